@@ -0,0 +1,63 @@
+/**
+ * Test the candle store's coverage bookkeeping
+ * Usage: node scripts/test-candle-store.js
+ *
+ * Pure checks, no database or exchange: which range a gap's fetch marks as
+ * covered, and that covered ranges aren't reported as gaps again.
+ */
+
+import assert from 'assert';
+import { getCandleStoreService } from '../src/services/candle-store.js';
+
+const store = getCandleStoreService();
+const MINUTE = 60 * 1000;
+const candle = (time) => ({ time, open: 1, high: 1, low: 1, close: 1, volume: 0 });
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+test('empty complete gap is covered and not fetched again', () => {
+  const gap = { start: 0, end: 99 * MINUTE };
+  const covered = store.coveredRange(gap, [], true, 200 * MINUTE);
+
+  assert.deepStrictEqual(covered, { start: 0, end: 99 * MINUTE });
+  assert.deepStrictEqual(store.computeGaps(0, 99 * MINUTE, [covered], MINUTE), []);
+});
+
+test('complete gap is covered to its end, not just to the last candle', () => {
+  const gap = { start: 0, end: 99 * MINUTE };
+  const covered = store.coveredRange(gap, [candle(0), candle(10 * MINUTE)], true, 200 * MINUTE);
+
+  assert.deepStrictEqual(covered, { start: 0, end: 99 * MINUTE });
+});
+
+test('complete gap stops at the last closed candle', () => {
+  const gap = { start: 0, end: 99 * MINUTE };
+  const covered = store.coveredRange(gap, [], true, 49 * MINUTE);
+
+  assert.deepStrictEqual(covered, { start: 0, end: 49 * MINUTE });
+});
+
+test('incomplete fetch only covers the candles it returned', () => {
+  const gap = { start: 0, end: 99 * MINUTE };
+
+  assert.deepStrictEqual(
+    store.coveredRange(gap, [candle(20 * MINUTE), candle(30 * MINUTE)], false, 200 * MINUTE),
+    { start: 20 * MINUTE, end: 30 * MINUTE }
+  );
+  assert.strictEqual(store.coveredRange(gap, [], false, 200 * MINUTE), null);
+});
+
+test('only the open candle: nothing covered', () => {
+  const gap = { start: 100 * MINUTE, end: 100 * MINUTE };
+
+  assert.strictEqual(store.coveredRange(gap, [candle(100 * MINUTE)], true, 99 * MINUTE), null);
+});
@@ -0,0 +1,93 @@
+/**
+ * Test the plain WebSocket gateway's refusals
+ * Usage: node scripts/test-ws-gateway.js
+ *
+ * Runs the gateway on a local port with synthetic market data (no Binance
+ * connection, no database) and checks that refused connections are closed
+ * cleanly, whatever the client put in the stream names.
+ */
+
+import assert from 'assert';
+import http from 'http';
+import WebSocket from 'ws';
+
+process.env.MARKET_DATA_MODE = 'synthetic';
+
+const { default: BinanceWsGateway } = await import('../src/services/binance-ws-gateway.js');
+const { default: RelayAccessControl } = await import('../src/services/relay-access.js');
+const { getMarketDataSource } = await import('../src/services/market-data-source.js');
+
+let unhandled = null;
+process.on('unhandledRejection', (reason) => {
+  unhandled = reason;
+});
+
+const relay = { access: new RelayAccessControl(), onTickerStream: () => () => {} };
+const gateway = new BinanceWsGateway(relay);
+const server = http.createServer();
+gateway.attach(server);
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const { port } = server.address();
+
+function connect(path) {
+  return new Promise((resolve) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}`);
+    const timer = setTimeout(() => {
+      ws.terminate();
+      resolve({ code: null, reason: 'no close frame within 2s' });
+    }, 2000);
+    ws.on('error', () => {});
+    ws.on('close', (code, reason) => {
+      clearTimeout(timer);
+      resolve({ code, reason: reason.toString() });
+    });
+  });
+}
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    console.log(`❌ ${name}`);
+    console.error(error);
+    process.exitCode = 1;
+  }
+}
+
+await test('multi-byte, over-long stream name is refused without crashing', async () => {
+  const stream = encodeURIComponent('ş'.repeat(200) + '@trade');
+  const { code, reason } = await connect(`/stream?streams=${stream}`);
+
+  assert.strictEqual(code, 1008);
+  assert.strictEqual(reason, 'invalid stream name');
+});
+
+await test('over-long upstream error is cut to 123 bytes', async () => {
+  const source = getMarketDataSource();
+  const subscribe = source.subscribe;
+  source.subscribe = () => {
+    throw new Error('Akış limiti aşıldı: '.repeat(20));
+  };
+
+  try {
+    const { code, reason } = await connect('/ws/btcusdt@trade');
+    assert.strictEqual(code, 1013);
+    assert.ok(Buffer.byteLength(reason) <= 123, `${Buffer.byteLength(reason)} bytes`);
+    assert.ok(!reason.includes('�'), 'reason was cut inside a character');
+  } finally {
+    source.subscribe = subscribe;
+  }
+});
+
+await test('no unhandled rejection and every slot released', async () => {
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  assert.strictEqual(unhandled, null);
+  assert.strictEqual(gateway.getStatus().clients, 0);
+  assert.strictEqual(gateway.getStatus().addresses, 0);
+  assert.deepStrictEqual(relay.access.getStatus().connections, { guest: 0, free: 0, premium: 0 });
+});
+
+gateway.stop();
+server.close();
@@ -25,7 +25,13 @@ import { getScheduledSummaryService } from './lib/push/scheduled-summary.js';
 import { getFundingOIAlertService } from './lib/push/funding-oi-alerts.js';
 import { initPushDatabase } from './lib/push/db.js';
 import { initAuthDatabase } from './lib/auth/db.js';
+import { initCandleDatabase } from './lib/candles/db.js';
+import { initDerivativesDatabase } from './lib/derivatives/db.js';
+import { initRelayDatabase } from './lib/relay/db.js';
 import BinanceRelayService from './services/binance-relay.js';
+import { getSymbolRegistry } from './services/symbol-registry.js';
+import { getMarketDataSource } from './services/market-data-source.js';
+import { getBinanceScheduler, BinanceRateLimitError } from './services/binance-scheduler.js';
 import MarketCapService from './services/market-cap-service.js';
 
 dotenv.config();
@@ -139,6 +145,9 @@ const io = new SocketIOServer(httpServer, {
 // Initialize Binance Relay Service
 const binanceRelay = new BinanceRelayService(io);
 
+// Binance-protocol WebSocket endpoint (/ws, /stream, /futures/...) next to Socket.io
+binanceRelay.attachWebSocketGateway(httpServer);
+
 // Initialize Market Cap Service
 const marketCapService = new MarketCapService(binanceRelay, io);
 
@@ -148,6 +157,29 @@ app.get('/api/relay/status', (req, res) => {
 });
 
 // Ticker cache endpoints (REST fallback)
+// Any exchange: /api/relay/ticker/:exchange/:marketType[/:symbol] (bybit, okx, binance)
+app.get('/api/relay/ticker/:exchange/:marketType/:symbol?', (req, res, next) => {
+  const { exchange, marketType, symbol } = req.params;
+
+  // Not an exchange: the Binance routes below (/api/relay/ticker/spot/btcusdt)
+  if (!binanceRelay.getTickerExchanges().includes(exchange.toLowerCase())) return next();
+
+  if (marketType !== 'spot' && marketType !== 'futures') {
+    return res.status(400).json({ error: 'Invalid market type. Must be "spot" or "futures"' });
+  }
+
+  const data = symbol
+    ? binanceRelay.getTicker(symbol, marketType, exchange)
+    : binanceRelay.getTickerCache(exchange, marketType);
+
+  if (data) {
+    res.json(data);
+  } else {
+    res.status(404).json({ error: symbol ? 'Symbol not found in cache' : `No ${marketType} tickers for ${exchange}` });
+  }
+});
+
+// Binance: /api/relay/ticker/:marketType[/:symbol]
 app.get('/api/relay/ticker/:marketType', (req, res) => {
   const { marketType } = req.params;
   if (marketType === 'futures') {
@@ -176,7 +208,10 @@ app.get('/api/relay/exchangeInfo/:marketType', async (req, res) => {
       ? 'https://fapi.binance.com/fapi/v1/exchangeInfo'
       : 'https://api.binance.com/api/v3/exchangeInfo';
 
-    const response = await fetch(url);
+    const response = await getBinanceScheduler().request(url);
+    if (!response.ok) {
+      throw new Error(`Binance HTTP ${response.status}`);
+    }
     const data = await response.json();
 
     // Cache headers for 5 minutes (exchangeInfo doesn't change often)
@@ -186,6 +221,10 @@ app.get('/api/relay/exchangeInfo/:marketType', async (req, res) => {
     console.log(`[Relay] ExchangeInfo ${marketType}: ${data.symbols?.length || 0} symbols`);
   } catch (error) {
     console.error('[Relay] ExchangeInfo error:', error.message);
+    if (error instanceof BinanceRateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({ error: 'Failed to fetch exchange info', reason: 'rate_limited' });
+    }
     res.status(500).json({ error: 'Failed to fetch exchange info' });
   }
 });
@@ -284,6 +323,15 @@ httpServer.listen(PORT, async () => {
     await initAuthDatabase();
     console.log('✅ Auth database initialized');
 
+    await initCandleDatabase();
+    console.log('✅ Candle store database initialized');
+
+    await initDerivativesDatabase();
+    console.log('✅ Derivatives history database initialized');
+
+    await initRelayDatabase();
+    console.log('✅ Relay snapshot database initialized');
+
     console.log('✅ All databases initialized successfully');
   } catch (error) {
     console.error('❌ Failed to initialize databases:', error);
@@ -293,6 +341,10 @@ httpServer.listen(PORT, async () => {
     process.exit(1);
   }
 
+  // Load Binance instrument metadata for symbol validation (relay/ticker/alerts);
+  // not awaited, lookups fall back to plain normalization until it's in
+  getSymbolRegistry().preload([['binance', 'spot'], ['binance', 'linear']]);
+
   // Start Binance Relay Service
   console.log('');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -330,6 +382,14 @@ httpServer.listen(PORT, async () => {
   const fundingOIService = getFundingOIAlertService();
   fundingOIService.start();
 
+  // Replay / synthetic mode: start feeding data now that every consumer has subscribed
+  const marketData = getMarketDataSource();
+  if (marketData.simulated) {
+    console.log('');
+    console.log(`🧪 Market data: ${marketData.mode} mode (${marketData.file || 'built-in symbols'}), push notifications are dry runs`);
+    marketData.start();
+  }
+
   console.log('');
   console.log('✅ All services running!');
   console.log('🔌 WebSocket Relay available at ws://localhost:' + PORT);
@@ -0,0 +1,208 @@
+/**
+ * Candle store database operations (Railway PostgreSQL)
+ * Persists historical candles keyed by exchange/market/symbol/interval
+ * and tracks which time ranges are already known locally.
+ */
+
+import postgres from 'postgres';
+
+let sql = null;
+
+function getSql() {
+  if (!sql) {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is not set');
+    }
+    // Railway PostgreSQL connection
+    sql = postgres(process.env.DATABASE_URL, {
+      max: 10,
+      idle_timeout: 20,
+      connect_timeout: 10,
+    });
+  }
+  return sql;
+}
+
+// Max rows per INSERT (10 columns -> stays well under the 65535 parameter limit)
+const INSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Initialize candle store tables
+ */
+export async function initCandleDatabase() {
+  const sql = getSql();
+  try {
+    // Candles table (open_time in ms, OHLCV as double precision)
+    await sql`
+      CREATE TABLE IF NOT EXISTS candles (
+        exchange VARCHAR(20) NOT NULL,
+        market VARCHAR(20) NOT NULL,
+        symbol VARCHAR(50) NOT NULL,
+        interval VARCHAR(10) NOT NULL,
+        open_time BIGINT NOT NULL,
+        open DOUBLE PRECISION NOT NULL,
+        high DOUBLE PRECISION NOT NULL,
+        low DOUBLE PRECISION NOT NULL,
+        close DOUBLE PRECISION NOT NULL,
+        volume DOUBLE PRECISION NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (exchange, market, symbol, interval, open_time)
+      )
+    `;
+
+    // Coverage table: closed ranges (inclusive open_time bounds) already fetched from upstream.
+    // A range can be covered with zero candles (e.g. before the pair was listed).
+    await sql`
+      CREATE TABLE IF NOT EXISTS candle_coverage (
+        id SERIAL PRIMARY KEY,
+        exchange VARCHAR(20) NOT NULL,
+        market VARCHAR(20) NOT NULL,
+        symbol VARCHAR(50) NOT NULL,
+        interval VARCHAR(10) NOT NULL,
+        range_start BIGINT NOT NULL,
+        range_end BIGINT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Indexes
+    await sql`CREATE INDEX IF NOT EXISTS idx_candle_coverage_key ON candle_coverage(exchange, market, symbol, interval, range_start)`;
+
+    console.log('✅ Candle store database initialized');
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to initialize candle store database:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get stored candles for a key within [from, to] (open_time, inclusive)
+ */
+export async function getStoredCandles(key, from, to, limit = null) {
+  const sql = getSql();
+  const { exchange, market, symbol, interval } = key;
+
+  const rows = await sql`
+    SELECT open_time, open, high, low, close, volume
+    FROM candles
+    WHERE exchange = ${exchange}
+      AND market = ${market}
+      AND symbol = ${symbol}
+      AND interval = ${interval}
+      AND open_time >= ${from}
+      AND open_time <= ${to}
+    ORDER BY open_time ASC
+    ${limit ? sql`LIMIT ${limit}` : sql``}
+  `;
+
+  // BIGINT comes back as string
+  return rows.map(row => ({
+    time: Number(row.open_time),
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: row.volume,
+  }));
+}
+
+/**
+ * Insert or update candles (latest upstream values win)
+ */
+export async function upsertCandles(key, candles) {
+  if (!candles || candles.length === 0) return 0;
+
+  const sql = getSql();
+  const { exchange, market, symbol, interval } = key;
+
+  for (let i = 0; i < candles.length; i += INSERT_CHUNK_SIZE) {
+    const rows = candles.slice(i, i + INSERT_CHUNK_SIZE).map(c => ({
+      exchange,
+      market,
+      symbol,
+      interval,
+      open_time: c.time,
+      open: c.open,
+      high: c.high,
+      low: c.low,
+      close: c.close,
+      volume: c.volume,
+    }));
+
+    await sql`
+      INSERT INTO candles ${sql(rows, 'exchange', 'market', 'symbol', 'interval', 'open_time', 'open', 'high', 'low', 'close', 'volume')}
+      ON CONFLICT (exchange, market, symbol, interval, open_time)
+      DO UPDATE SET
+        open = EXCLUDED.open,
+        high = EXCLUDED.high,
+        low = EXCLUDED.low,
+        close = EXCLUDED.close,
+        volume = EXCLUDED.volume,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+  }
+
+  return candles.length;
+}
+
+/**
+ * Get covered ranges overlapping [from, to], sorted by start
+ */
+export async function getCoverage(key, from, to) {
+  const sql = getSql();
+  const { exchange, market, symbol, interval } = key;
+
+  const rows = await sql`
+    SELECT range_start, range_end
+    FROM candle_coverage
+    WHERE exchange = ${exchange}
+      AND market = ${market}
+      AND symbol = ${symbol}
+      AND interval = ${interval}
+      AND range_start <= ${to}
+      AND range_end >= ${from}
+    ORDER BY range_start ASC
+  `;
+
+  return rows.map(row => ({
+    start: Number(row.range_start),
+    end: Number(row.range_end),
+  }));
+}
+
+/**
+ * Mark [start, end] as covered, merging with overlapping or adjacent ranges.
+ * stepMs is the candle interval so that back-to-back ranges collapse into one.
+ */
+export async function addCoverage(key, start, end, stepMs) {
+  if (end < start) return;
+
+  const sql = getSql();
+  const { exchange, market, symbol, interval } = key;
+
+  await sql.begin(async (tx) => {
+    const touching = await tx`
+      DELETE FROM candle_coverage
+      WHERE exchange = ${exchange}
+        AND market = ${market}
+        AND symbol = ${symbol}
+        AND interval = ${interval}
+        AND range_start <= ${end + stepMs}
+        AND range_end >= ${start - stepMs}
+      RETURNING range_start, range_end
+    `;
+
+    let mergedStart = start;
+    let mergedEnd = end;
+    touching.forEach(row => {
+      mergedStart = Math.min(mergedStart, Number(row.range_start));
+      mergedEnd = Math.max(mergedEnd, Number(row.range_end));
+    });
+
+    await tx`
+      INSERT INTO candle_coverage (exchange, market, symbol, interval, range_start, range_end)
+      VALUES (${exchange}, ${market}, ${symbol}, ${interval}, ${mergedStart}, ${mergedEnd})
+    `;
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * Derivatives history database operations (Railway PostgreSQL)
+ * Persists funding rate and open interest history of perpetual contracts
+ * and tracks which time ranges are already known locally (same idea as candle_coverage).
+ */
+
+import postgres from 'postgres';
+
+let sql = null;
+
+function getSql() {
+  if (!sql) {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is not set');
+    }
+    // Railway PostgreSQL connection
+    sql = postgres(process.env.DATABASE_URL, {
+      max: 10,
+      idle_timeout: 20,
+      connect_timeout: 10,
+    });
+  }
+  return sql;
+}
+
+// Max rows per INSERT (7 columns -> stays well under the 65535 parameter limit)
+const INSERT_CHUNK_SIZE = 1000;
+
+/**
+ * Initialize funding / open interest tables
+ */
+export async function initDerivativesDatabase() {
+  const sql = getSql();
+  try {
+    // Funding events (funding_time in ms)
+    await sql`
+      CREATE TABLE IF NOT EXISTS funding_rates (
+        exchange VARCHAR(20) NOT NULL,
+        market VARCHAR(20) NOT NULL,
+        symbol VARCHAR(50) NOT NULL,
+        funding_time BIGINT NOT NULL,
+        funding_rate DOUBLE PRECISION NOT NULL,
+        mark_price DOUBLE PRECISION,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (exchange, market, symbol, funding_time)
+      )
+    `;
+
+    // Open interest snapshots per period (time in ms)
+    await sql`
+      CREATE TABLE IF NOT EXISTS open_interest (
+        exchange VARCHAR(20) NOT NULL,
+        market VARCHAR(20) NOT NULL,
+        symbol VARCHAR(50) NOT NULL,
+        period VARCHAR(10) NOT NULL,
+        time BIGINT NOT NULL,
+        open_interest DOUBLE PRECISION NOT NULL,
+        open_interest_value DOUBLE PRECISION,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (exchange, market, symbol, period, time)
+      )
+    `;
+
+    // Coverage per series ('funding', 'oi:5m', ...): closed ranges already fetched from upstream
+    await sql`
+      CREATE TABLE IF NOT EXISTS derivatives_coverage (
+        id SERIAL PRIMARY KEY,
+        exchange VARCHAR(20) NOT NULL,
+        market VARCHAR(20) NOT NULL,
+        symbol VARCHAR(50) NOT NULL,
+        series VARCHAR(20) NOT NULL,
+        range_start BIGINT NOT NULL,
+        range_end BIGINT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `;
+
+    // Indexes
+    await sql`CREATE INDEX IF NOT EXISTS idx_derivatives_coverage_key ON derivatives_coverage(exchange, market, symbol, series, range_start)`;
+
+    console.log('✅ Derivatives history database initialized');
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to initialize derivatives history database:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get stored funding events for a key within [from, to] (inclusive)
+ */
+export async function getStoredFundingRates(key, from, to, limit = null) {
+  const sql = getSql();
+  const { exchange, market, symbol } = key;
+
+  const rows = await sql`
+    SELECT funding_time, funding_rate, mark_price
+    FROM funding_rates
+    WHERE exchange = ${exchange}
+      AND market = ${market}
+      AND symbol = ${symbol}
+      AND funding_time >= ${from}
+      AND funding_time <= ${to}
+    ORDER BY funding_time ASC
+    ${limit ? sql`LIMIT ${limit}` : sql``}
+  `;
+
+  // BIGINT comes back as string
+  return rows.map(row => ({
+    time: Number(row.funding_time),
+    rate: row.funding_rate,
+    markPrice: row.mark_price,
+  }));
+}
+
+/**
+ * Insert or update funding events (latest upstream values win)
+ */
+export async function upsertFundingRates(key, events) {
+  if (!events || events.length === 0) return 0;
+
+  const sql = getSql();
+  const { exchange, market, symbol } = key;
+
+  for (let i = 0; i < events.length; i += INSERT_CHUNK_SIZE) {
+    const rows = events.slice(i, i + INSERT_CHUNK_SIZE).map(e => ({
+      exchange,
+      market,
+      symbol,
+      funding_time: e.time,
+      funding_rate: e.rate,
+      mark_price: e.markPrice,
+    }));
+
+    await sql`
+      INSERT INTO funding_rates ${sql(rows, 'exchange', 'market', 'symbol', 'funding_time', 'funding_rate', 'mark_price')}
+      ON CONFLICT (exchange, market, symbol, funding_time)
+      DO UPDATE SET
+        funding_rate = EXCLUDED.funding_rate,
+        mark_price = COALESCE(EXCLUDED.mark_price, funding_rates.mark_price),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+  }
+
+  return events.length;
+}
+
+/**
+ * Get stored open interest snapshots for a key within [from, to] (inclusive)
+ */
+export async function getStoredOpenInterest(key, from, to, limit = null) {
+  const sql = getSql();
+  const { exchange, market, symbol, period } = key;
+
+  const rows = await sql`
+    SELECT time, open_interest, open_interest_value
+    FROM open_interest
+    WHERE exchange = ${exchange}
+      AND market = ${market}
+      AND symbol = ${symbol}
+      AND period = ${period}
+      AND time >= ${from}
+      AND time <= ${to}
+    ORDER BY time ASC
+    ${limit ? sql`LIMIT ${limit}` : sql``}
+  `;
+
+  return rows.map(row => ({
+    time: Number(row.time),
+    openInterest: row.open_interest,
+    openInterestValue: row.open_interest_value,
+  }));
+}
+
+/**
+ * Insert or update open interest snapshots (latest upstream values win)
+ */
+export async function upsertOpenInterest(key, snapshots) {
+  if (!snapshots || snapshots.length === 0) return 0;
+
+  const sql = getSql();
+  const { exchange, market, symbol, period } = key;
+
+  for (let i = 0; i < snapshots.length; i += INSERT_CHUNK_SIZE) {
+    const rows = snapshots.slice(i, i + INSERT_CHUNK_SIZE).map(s => ({
+      exchange,
+      market,
+      symbol,
+      period,
+      time: s.time,
+      open_interest: s.openInterest,
+      open_interest_value: s.openInterestValue,
+    }));
+
+    await sql`
+      INSERT INTO open_interest ${sql(rows, 'exchange', 'market', 'symbol', 'period', 'time', 'open_interest', 'open_interest_value')}
+      ON CONFLICT (exchange, market, symbol, period, time)
+      DO UPDATE SET
+        open_interest = EXCLUDED.open_interest,
+        open_interest_value = EXCLUDED.open_interest_value,
+        updated_at = CURRENT_TIMESTAMP
+    `;
+  }
+
+  return snapshots.length;
+}
+
+/**
+ * Get covered ranges of a series overlapping [from, to], sorted by start
+ */
+export async function getSeriesCoverage(key, from, to) {
+  const sql = getSql();
+  const { exchange, market, symbol, series } = key;
+
+  const rows = await sql`
+    SELECT range_start, range_end
+    FROM derivatives_coverage
+    WHERE exchange = ${exchange}
+      AND market = ${market}
+      AND symbol = ${symbol}
+      AND series = ${series}
+      AND range_start <= ${to}
+      AND range_end >= ${from}
+    ORDER BY range_start ASC
+  `;
+
+  return rows.map(row => ({
+    start: Number(row.range_start),
+    end: Number(row.range_end),
+  }));
+}
+
+/**
+ * Mark [start, end] of a series as covered, merging with overlapping or adjacent ranges
+ * (stepMs: distance at which two ranges count as adjacent)
+ */
+export async function addSeriesCoverage(key, start, end, stepMs) {
+  if (end < start) return;
+
+  const sql = getSql();
+  const { exchange, market, symbol, series } = key;
+
+  await sql.begin(async (tx) => {
+    const touching = await tx`
+      DELETE FROM derivatives_coverage
+      WHERE exchange = ${exchange}
+        AND market = ${market}
+        AND symbol = ${symbol}
+        AND series = ${series}
+        AND range_start <= ${end + stepMs}
+        AND range_end >= ${start - stepMs}
+      RETURNING range_start, range_end
+    `;
+
+    let mergedStart = start;
+    let mergedEnd = end;
+    touching.forEach(row => {
+      mergedStart = Math.min(mergedStart, Number(row.range_start));
+      mergedEnd = Math.max(mergedEnd, Number(row.range_end));
+    });
+
+    await tx`
+      INSERT INTO derivatives_coverage (exchange, market, symbol, series, range_start, range_end)
+      VALUES (${exchange}, ${market}, ${symbol}, ${series}, ${mergedStart}, ${mergedEnd})
+    `;
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Alert Symbol Çözümleme
+ * Kayıtlı alarmlardaki symbol'leri (btcusdt, BTC/USDT...) Binance spot ID'sine çevirir.
+ * Delist edilmiş veya yanlış yazılmış symbol'ler paylaşılan stream bağlantısına
+ * gönderilmez: Binance tek bir hatalı isim için bütün SUBSCRIBE frame'ini reddeder.
+ */
+
+import { getSymbolRegistry } from '../../services/symbol-registry.js';
+import { getMarketDataSource } from '../../services/market-data-source.js';
+
+/**
+ * Symbol listesinin yüklenmesini bekle (hata fırlatmaz; yüklenemezse alertSymbol undefined döner)
+ */
+export function loadAlertSymbols() {
+  return getSymbolRegistry().ensureLoaded('binance', 'spot');
+}
+
+/**
+ * Alarm symbol'ünün Binance spot ID'si
+ * @returns {string|null|undefined} ID; null if unknown or no longer trading; undefined if the symbol list isn't loaded
+ */
+export function alertSymbol(input) {
+  const raw = String(input || '').trim();
+
+  // Replay / sentetik veri Binance'e bağlanmaz: kayıttaki / config'teki symbol olduğu gibi kullanılır
+  if (getMarketDataSource().simulated) return raw.toUpperCase() || null;
+
+  const instrument = getSymbolRegistry().find('binance', 'spot', raw);
+  if (!instrument) return instrument;
+  return instrument.active ? instrument.id : null;
+}
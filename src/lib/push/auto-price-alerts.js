@@ -3,9 +3,10 @@
  * Önemli fiyat seviyelerine yaklaşınca SADECE PREMIUM/TRIAL kullanıcılara bildirim gönderir
  */
 
-import WebSocket from 'ws';
 import { getPremiumTrialDevices, getActivePriceAlertsBySymbol, getAllActiveCustomAlerts, updatePriceAlertNotification } from './db.js';
 import { sendPriceAlertNotification, formatPriceString } from './unified-push.js';
+import { alertSymbol, loadAlertSymbols } from './alert-symbols.js';
+import { getMarketDataSource } from '../../services/market-data-source.js';
 
 /**
  * Otomatik fiyat uyarı servisi (PREMIUM ÖZELLİK)
@@ -13,7 +14,8 @@ import { sendPriceAlertNotification, formatPriceString } from './unified-push.js
  */
 export class AutoPriceAlertService {
   constructor() {
-    this.wsConnections = new Map();
+    this.streamSubscriptions = new Map(); // symbol -> unsubscribe
+    this.skippedSymbols = new Set(); // Alarm kayıtlarındaki bilinmeyen symbol'ler (bir kez uyarılır)
     this.priceCache = new Map();
     this.prevPriceCache = new Map(); // Önceki fiyatları sakla (zona muerta için)
     this.lastNotifications = new Map(); // Symbol + level için son bildirim zamanı (UNIFIED: no direction)
@@ -89,7 +91,7 @@ export class AutoPriceAlertService {
       console.log(`   ${config.emoji} ${config.name} (${symbol})`);
     });
 
-    // Her symbol için WebSocket bağlantısı kur
+    // Her symbol'ün ticker stream'ine abone ol
     Object.keys(this.watchList).forEach(symbol => {
       this.connectToSymbol(symbol);
     });
@@ -119,36 +121,25 @@ export class AutoPriceAlertService {
       this.customAlertsCheckInterval = null;
     }
 
-    // WebSocket bağlantılarını kapat
-    this.wsConnections.forEach((ws) => {
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.close();
-      }
-    });
-    this.wsConnections.clear();
+    // Stream aboneliklerini kapat
+    this.streamSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.streamSubscriptions.clear();
     this.customAlertsCache.clear();
 
     console.log('🛑 Auto price alert service stopped');
   }
 
   /**
-   * Symbol için WebSocket bağlantısı kur
+   * Symbol'ün <symbol>@ticker stream'ine abone ol
+   * (market data source: canlı Binance, kayıt veya sentetik veri; yeniden bağlanma orada)
    */
   connectToSymbol(symbol) {
-    if (this.wsConnections.has(symbol)) return;
-
-    const wsUrl = `wss://stream.binance.com:9443/ws/${symbol.toLowerCase()}@ticker`;
+    if (this.streamSubscriptions.has(symbol)) return;
 
+    let unsubscribe;
     try {
-      const ws = new WebSocket(wsUrl);
-
-      ws.on('open', () => {
-        console.log(`✅ Connected to ${symbol} price feed`);
-      });
-
-      ws.on('message', (data) => {
-        try {
-          const message = JSON.parse(data.toString());
+      unsubscribe = getMarketDataSource().subscribe('spot', `${symbol.toLowerCase()}@ticker`, {
+        onMessage: (message) => {
           const price = parseFloat(message.c); // 'c' = current price
 
           if (price) {
@@ -168,33 +159,17 @@ export class AutoPriceAlertService {
               this.checkCustomAlerts(symbol, price);
             }
           }
-        } catch (error) {
-          console.error(`Error parsing price data for ${symbol}:`, error);
-        }
+        },
+        onError: (error) => console.error(`❌ ${symbol} feed rejected:`, error.message),
       });
-
-      ws.on('error', (error) => {
-        console.error(`WebSocket error for ${symbol}:`, error.message);
-      });
-
-      ws.on('close', () => {
-        console.log(`❌ Disconnected from ${symbol} price feed`);
-        this.wsConnections.delete(symbol);
-
-        // Yeniden bağlan (5 saniye sonra)
-        if (this.isRunning) {
-          setTimeout(() => {
-            if (this.isRunning) {
-              this.connectToSymbol(symbol);
-            }
-          }, 5000);
-        }
-      });
-
-      this.wsConnections.set(symbol, ws);
     } catch (error) {
-      console.error(`Failed to connect to ${symbol}:`, error);
+      // Paylaşılan bağlantı dolu (1024 stream): bu symbol atlanır, diğerleri çalışmaya devam eder
+      console.error(`❌ Failed to subscribe to ${symbol}:`, error.message);
+      return;
     }
+
+    this.streamSubscriptions.set(symbol, unsubscribe);
+    console.log(`✅ Subscribed to ${symbol} price feed`);
   }
 
   /**
@@ -245,7 +220,7 @@ export class AutoPriceAlertService {
     const lastTriggered = this.lastTriggeredLevel.get(symbol);
     if (lastTriggered) {
       const { level: lastLevel, timestamp } = lastTriggered;
-      const timeSince = Date.now() - timestamp;
+      const timeSince = getMarketDataSource().now() - timestamp;
       const closeRange = lastLevel * (this.HYSTERESIS_CLOSE_RANGE_PERCENT / 100);
       const distanceFromLastLevel = Math.abs(currentPrice - lastLevel);
 
@@ -331,7 +306,7 @@ export class AutoPriceAlertService {
       // 🔥 HYSTERESIS: Record last triggered level
       this.lastTriggeredLevel.set(symbol, {
         level: targetLevel,
-        timestamp: Date.now(),
+        timestamp: getMarketDataSource().now(),
         direction: direction
       });
 
@@ -372,7 +347,7 @@ export class AutoPriceAlertService {
 
     if (!lastNotification) return true;
 
-    const timeSince = Date.now() - lastNotification;
+    const timeSince = getMarketDataSource().now() - lastNotification;
     return timeSince >= this.NOTIFICATION_COOLDOWN;
   }
 
@@ -381,7 +356,7 @@ export class AutoPriceAlertService {
    * REFACTORED: Unified level key (no direction) - prevents UP/DOWN flickering
    */
   markNotified(levelKey) {
-    this.lastNotifications.set(levelKey, Date.now());
+    this.lastNotifications.set(levelKey, getMarketDataSource().now());
   }
 
   /**
@@ -567,16 +542,27 @@ export class AutoPriceAlertService {
   }
 
   /**
-   * Custom alert'leri yükle ve WebSocket bağlantılarını kur
+   * Custom alert'leri yükle ve stream aboneliklerini kur
    */
   async loadCustomAlerts() {
     try {
       const alerts = await getAllActiveCustomAlerts();
 
+      await loadAlertSymbols();
+
       // Symbol bazında grupla
       const alertsBySymbol = new Map();
       alerts.forEach(alert => {
-        const symbol = alert.symbol.toUpperCase();
+        // Eski kayıtlar (btcusdt, BTC/USDT...) da Binance ID'sine normalize edilir
+        const symbol = alertSymbol(alert.symbol);
+        if (!symbol) {
+          // Bilinmeyen / delist edilmiş symbol bir kez uyarılıp atlanır; liste yüklenemediyse sonraki yüklemede tekrar denenir
+          if (symbol === null && !this.skippedSymbols.has(alert.symbol)) {
+            this.skippedSymbols.add(alert.symbol);
+            console.warn(`⚠️  Skipping custom alerts for unknown symbol: ${alert.symbol}`);
+          }
+          return;
+        }
         if (!alertsBySymbol.has(symbol)) {
           alertsBySymbol.set(symbol, []);
         }
@@ -586,9 +572,9 @@ export class AutoPriceAlertService {
       // Cache'i güncelle
       this.customAlertsCache = alertsBySymbol;
 
-      // Yeni symbol'ler için WebSocket bağlantısı kur
+      // Yeni symbol'ler için stream aboneliği kur
       alertsBySymbol.forEach((alerts, symbol) => {
-        if (!this.wsConnections.has(symbol)) {
+        if (!this.streamSubscriptions.has(symbol)) {
           console.log(`🔔 Connecting to custom alert symbol: ${symbol} (${alerts.length} alert(s))`);
           this.connectToSymbol(symbol);
         }
@@ -620,14 +606,15 @@ export class AutoPriceAlertService {
       const triggerKey = `custom_${id}`;
       const lastTriggered = this.triggeredCustomAlerts.get(triggerKey);
       if (lastTriggered) {
-        const timeSince = Date.now() - lastTriggered;
+        const timeSince = getMarketDataSource().now() - lastTriggered;
         if (timeSince < this.NOTIFICATION_COOLDOWN) {
           continue; // Already triggered recently, skip
         }
       }
 
       // Cooldown kontrolü (5 dakika) - database check
-      if (last_notified_at) {
+      // (replay / sentetik modda DB'deki gerçek zaman simüle saatle karşılaştırılmaz; yukarıdaki bellek kontrolü yeterli)
+      if (last_notified_at && !getMarketDataSource().simulated) {
         const timeSince = Date.now() - new Date(last_notified_at).getTime();
         if (timeSince < this.NOTIFICATION_COOLDOWN) {
           continue;
@@ -677,7 +664,7 @@ export class AutoPriceAlertService {
         }
 
         // 🔥 CRITICAL: Mark as triggered BEFORE sending notification (prevent race condition)
-        this.triggeredCustomAlerts.set(triggerKey, Date.now());
+        this.triggeredCustomAlerts.set(triggerKey, getMarketDataSource().now());
 
         // 🔥 MULTILINGUAL: Device language bilgisini al
         const deviceLang = alert.language ? alert.language.toLowerCase() : 'tr';
@@ -716,8 +703,10 @@ export class AutoPriceAlertService {
           );
 
           if (success) {
-            // Database'i güncelle
-            await updatePriceAlertNotification(id, currentPrice);
+            // Database'i güncelle (replay / sentetik fiyatlar gerçek alarm kayıtlarına yazılmaz)
+            if (!getMarketDataSource().simulated) {
+              await updatePriceAlertNotification(id, currentPrice);
+            }
             console.log(`✅ Custom alert triggered: ${symbol} @ ${target_price} (${direction}) for user ${alert.user_id} [${isTurkish ? 'TR' : 'EN'}]`);
           } else {
             // If notification failed, clear trigger to allow retry
@@ -741,7 +730,7 @@ export class AutoPriceAlertService {
     // Mevcut sistem coin'leri
     Object.keys(this.watchList).forEach(symbol => {
       const price = this.priceCache.get(symbol);
-      const connected = this.wsConnections.has(symbol);
+      const connected = this.streamSubscriptions.has(symbol);
 
       status[symbol] = {
         price: price || null,
@@ -755,7 +744,7 @@ export class AutoPriceAlertService {
     this.customAlertsCache.forEach((alerts, symbol) => {
       if (!status[symbol]) {
         const price = this.priceCache.get(symbol);
-        const connected = this.wsConnections.has(symbol);
+        const connected = this.streamSubscriptions.has(symbol);
 
         status[symbol] = {
           price: price || null,
@@ -5,6 +5,7 @@
 
 import { getPremiumTrialDevices } from './db.js';
 import { sendPushNotifications } from './unified-push.js';
+import { getBinanceScheduler } from '../../services/binance-scheduler.js';
 
 /**
  * Funding Rate & Open Interest Alert Service
@@ -108,8 +109,9 @@ export class FundingOIAlertService {
      */
     async fetchFundingRate(symbol) {
         try {
-            const response = await fetch(
-                `https://fapi.binance.com/fapi/v1/fundingRate?symbol=${symbol}&limit=1`
+            const response = await getBinanceScheduler().request(
+                `https://fapi.binance.com/fapi/v1/fundingRate?symbol=${symbol}&limit=1`,
+                { priority: 'background' }
             );
 
             if (!response.ok) {
@@ -135,8 +137,9 @@ export class FundingOIAlertService {
      */
     async fetchOpenInterest(symbol) {
         try {
-            const response = await fetch(
-                `https://fapi.binance.com/fapi/v1/openInterest?symbol=${symbol}`
+            const response = await getBinanceScheduler().request(
+                `https://fapi.binance.com/fapi/v1/openInterest?symbol=${symbol}`,
+                { priority: 'background' }
             );
 
             if (!response.ok) {
@@ -3,9 +3,10 @@
  * Fiyat belirli sürelerde belirli yüzde değiştiğinde bildirim gönderir
  */
 
-import WebSocket from 'ws';
 import { getPremiumTrialDevices, getCustomAlertsByType, updateCustomAlertNotification } from './db.js';
 import { sendPriceAlertNotification, sendPushNotifications, formatPriceString } from './unified-push.js';
+import { alertSymbol, loadAlertSymbols } from './alert-symbols.js';
+import { getMarketDataSource } from '../../services/market-data-source.js';
 
 /**
  * Yüzde değişim takip servisi
@@ -13,7 +14,9 @@ import { sendPriceAlertNotification, sendPushNotifications, formatPriceString }
  */
 export class PercentageAlertService {
     constructor() {
-        this.wsConnections = new Map();
+        this.streamSubscriptions = new Map(); // symbol -> unsubscribe
+        this.skippedSymbols = new Set(); // Alarm kayıtlarındaki bilinmeyen symbol'ler (bir kez uyarılır)
+        this.simulatedNotifiedAt = new Map(); // alert id -> son bildirim (replay / sentetik saat; DB'ye yazılmaz)
         this.priceCache = new Map(); // Güncel fiyatlar
         this.priceHistory = new Map(); // Geçmiş fiyatlar (symbol -> {timeframe: [prices]})
         this.lastNotifications = new Map(); // Son bildirim zamanları (spam önleme)
@@ -100,7 +103,7 @@ export class PercentageAlertService {
             console.log(`   ${config.emoji} ${config.name}: ${config.thresholds.join('%, ')}% thresholds`);
         });
 
-        // Her symbol için WebSocket bağlantısı kur
+        // Her symbol'ün ticker stream'ine abone ol
         Object.keys(this.watchList).forEach(symbol => {
             this.connectToSymbol(symbol);
         });
@@ -143,74 +146,46 @@ export class PercentageAlertService {
             this.customAlertsCheckInterval = null;
         }
 
-        this.wsConnections.forEach((ws) => {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.close();
-            }
-        });
-        this.wsConnections.clear();
+        this.streamSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.streamSubscriptions.clear();
         this.customAlertsCache.clear();
 
         console.log('🛑 Percentage alert service stopped');
     }
 
     /**
-     * Symbol için WebSocket bağlantısı kur
+     * Symbol'ün <symbol>@ticker stream'ine abone ol (yeniden bağlanma market data source'ta)
      */
     connectToSymbol(symbol) {
-        if (this.wsConnections.has(symbol)) return;
-
-        const wsUrl = `wss://stream.binance.com:9443/ws/${symbol.toLowerCase()}@ticker`;
+        if (this.streamSubscriptions.has(symbol)) return;
 
+        let unsubscribe;
         try {
-            const ws = new WebSocket(wsUrl);
-
-            ws.on('open', () => {
-                console.log(`✅ [PercentageAlerts] Connected to ${symbol} price feed`);
-            });
-
-            ws.on('message', (data) => {
-                try {
-                    const message = JSON.parse(data.toString());
+            unsubscribe = getMarketDataSource().subscribe('spot', `${symbol.toLowerCase()}@ticker`, {
+                onMessage: (message) => {
                     const price = parseFloat(message.c); // 'c' = current price
 
                     if (price) {
                         this.priceCache.set(symbol, price);
                     }
-                } catch (error) {
-                    console.error(`[PercentageAlerts] Error parsing ${symbol}:`, error);
-                }
-            });
-
-            ws.on('error', (error) => {
-                console.error(`[PercentageAlerts] WebSocket error for ${symbol}:`, error.message);
-            });
-
-            ws.on('close', () => {
-                console.log(`❌ [PercentageAlerts] Disconnected from ${symbol}`);
-                this.wsConnections.delete(symbol);
-
-                // Yeniden bağlan
-                if (this.isRunning) {
-                    setTimeout(() => {
-                        if (this.isRunning) {
-                            this.connectToSymbol(symbol);
-                        }
-                    }, 5000);
-                }
+                },
+                onError: (error) => console.error(`❌ [PercentageAlerts] ${symbol} feed rejected:`, error.message),
             });
-
-            this.wsConnections.set(symbol, ws);
         } catch (error) {
-            console.error(`[PercentageAlerts] Failed to connect to ${symbol}:`, error);
+            // Paylaşılan bağlantı dolu (1024 stream): bu symbol atlanır, diğerleri çalışmaya devam eder
+            console.error(`❌ [PercentageAlerts] Failed to subscribe to ${symbol}:`, error.message);
+            return;
         }
+
+        this.streamSubscriptions.set(symbol, unsubscribe);
+        console.log(`✅ [PercentageAlerts] Subscribed to ${symbol} price feed`);
     }
 
     /**
      * Güncel fiyatları history'ye kaydet
      */
     recordPrices() {
-        const now = Date.now();
+        const now = getMarketDataSource().now();
 
         this.priceCache.forEach((price, symbol) => {
             const history = this.priceHistory.get(symbol);
@@ -229,7 +204,7 @@ export class PercentageAlertService {
      * Yüzde değişimlerini kontrol et
      */
     async checkPercentageChanges() {
-        const now = Date.now();
+        const now = getMarketDataSource().now();
 
         for (const [symbol, config] of Object.entries(this.watchList)) {
             const currentPrice = this.priceCache.get(symbol);
@@ -297,7 +272,7 @@ export class PercentageAlertService {
         const lastNotification = this.lastNotifications.get(key);
         if (!lastNotification) return true;
 
-        const timeSince = Date.now() - lastNotification;
+        const timeSince = getMarketDataSource().now() - lastNotification;
         return timeSince >= this.NOTIFICATION_COOLDOWN;
     }
 
@@ -305,7 +280,7 @@ export class PercentageAlertService {
      * Bildirim gönderildi olarak işaretle
      */
     markNotified(key) {
-        this.lastNotifications.set(key, Date.now());
+        this.lastNotifications.set(key, getMarketDataSource().now());
     }
 
     /**
@@ -405,7 +380,7 @@ export class PercentageAlertService {
             const history = this.priceHistory.get(symbol);
 
             status.connections[symbol] = {
-                connected: this.wsConnections.has(symbol),
+                connected: this.streamSubscriptions.has(symbol),
                 currentPrice: price || null,
                 historyCount: history ? history.prices.length : 0,
             };
@@ -423,10 +398,20 @@ export class PercentageAlertService {
         try {
             const alerts = await getCustomAlertsByType('percentage_change');
 
+            await loadAlertSymbols();
+
             // Symbol bazında grupla
             const alertsBySymbol = new Map();
             alerts.forEach(alert => {
-                const symbol = alert.symbol.toUpperCase();
+                const symbol = alertSymbol(alert.symbol);
+                if (!symbol) {
+                    // Bilinmeyen / delist edilmiş symbol bir kez uyarılıp atlanır; liste yüklenemediyse sonraki yüklemede tekrar denenir
+                    if (symbol === null && !this.skippedSymbols.has(alert.symbol)) {
+                        this.skippedSymbols.add(alert.symbol);
+                        console.warn(`⚠️  [PercentageAlerts] Skipping custom alerts for unknown symbol: ${alert.symbol}`);
+                    }
+                    return;
+                }
                 if (!alertsBySymbol.has(symbol)) {
                     alertsBySymbol.set(symbol, []);
                 }
@@ -436,9 +421,9 @@ export class PercentageAlertService {
             // Cache'i güncelle
             this.customAlertsCache = alertsBySymbol;
 
-            // Yeni symbol'ler için WebSocket bağlantısı kur
+            // Yeni symbol'ler için stream aboneliği kur
             alertsBySymbol.forEach((alerts, symbol) => {
-                if (!this.wsConnections.has(symbol)) {
+                if (!this.streamSubscriptions.has(symbol)) {
                     console.log(`🔔 [PercentageAlerts] Connecting to custom symbol: ${symbol}`);
                     this.connectToSymbol(symbol);
 
@@ -465,7 +450,7 @@ export class PercentageAlertService {
      * Custom percentage alert'leri kontrol et
      */
     async checkCustomPercentageAlerts() {
-        const now = Date.now();
+        const now = getMarketDataSource().now();
 
         for (const [symbol, alerts] of this.customAlertsCache) {
             const currentPrice = this.priceCache.get(symbol);
@@ -510,9 +495,13 @@ export class PercentageAlertService {
                 if (absChange < parseFloat(percentage_threshold)) continue;
 
                 // Cooldown kontrolü
-                if (last_notified_at) {
+                // (replay / sentetik modda DB'deki gerçek zaman yerine bellekteki simüle zaman kullanılır)
+                const notifiedAt = getMarketDataSource().simulated
+                    ? this.simulatedNotifiedAt.get(id)
+                    : last_notified_at && new Date(last_notified_at).getTime();
+                if (notifiedAt) {
                     const cooldownMs = (cooldown_minutes || 30) * 60 * 1000;
-                    const timeSince = Date.now() - new Date(last_notified_at).getTime();
+                    const timeSince = getMarketDataSource().now() - notifiedAt;
                     if (timeSince < cooldownMs) continue;
                 }
 
@@ -566,7 +555,12 @@ export class PercentageAlertService {
                         priority: 'high',
                     }]);
 
-                    await updateCustomAlertNotification(id, percentChange);
+                    // Replay / sentetik veri gerçek alarm kayıtlarına yazılmaz, cooldown bellekte tutulur
+                    if (getMarketDataSource().simulated) {
+                        this.simulatedNotifiedAt.set(id, getMarketDataSource().now());
+                    } else {
+                        await updateCustomAlertNotification(id, percentChange);
+                    }
                     console.log(`✅ [PercentageAlerts] Custom alert triggered: ${symbol} ${absChange.toFixed(1)}% [${isTurkish ? 'TR' : 'EN'}]`);
                 } catch (error) {
                     console.error('[PercentageAlerts] Error sending custom alert:', error);
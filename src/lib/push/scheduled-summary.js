@@ -6,6 +6,7 @@
 import cron from 'node-cron';
 import { getPremiumTrialDevices } from './db.js';
 import { sendPushNotifications } from './unified-push.js';
+import { getBinanceScheduler } from '../../services/binance-scheduler.js';
 
 /**
  * Zamanlanmış piyasa özeti servisi
@@ -100,7 +101,15 @@ export class ScheduledSummaryService {
 
             for (const symbol of symbols) {
                 try {
-                    const response = await fetch(`https://api.binance.com/api/v3/ticker/24hr?symbol=${symbol}`);
+                    const response = await getBinanceScheduler().request(
+                        `https://api.binance.com/api/v3/ticker/24hr?symbol=${symbol}`,
+                        { priority: 'background' }
+                    );
+
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+
                     const data = await response.json();
 
                     results[symbol] = {
@@ -4,6 +4,20 @@
  */
 
 import { sendFCMNotification, sendFCMNotifications } from './fcm-push.js';
+import { getMarketDataSource } from '../../services/market-data-source.js';
+
+/**
+ * Replayed / synthetic prices must never reach real devices: log instead of sending
+ */
+function isDryRun(payloads) {
+  if (!getMarketDataSource().simulated) return false;
+
+  payloads.forEach(payload => {
+    const tokenCount = Array.isArray(payload.to) ? payload.to.length : 1;
+    console.log(`[UnifiedPush] 🧪 Dry run (${getMarketDataSource().mode} market data), not sent to ${tokenCount} token(s): ${payload.title} | ${payload.body}`);
+  });
+  return true;
+}
 
 /**
  * Format price as string for display in notifications
@@ -31,6 +45,8 @@ export function formatPriceString(price) {
  * Send push notification to single device (FCM only)
  */
 export async function sendPushNotification(token, title, body, data) {
+  if (isDryRun([{ to: token, title, body }])) return true;
+
   console.log('[UnifiedPush] Using FCM for token:', token.substring(0, 20) + '...');
   return sendFCMNotification(token, title, body, data);
 }
@@ -39,6 +55,8 @@ export async function sendPushNotification(token, title, body, data) {
  * Send push notifications to multiple devices (FCM only)
  */
 export async function sendPushNotifications(payloads) {
+  if (isDryRun(payloads)) return true;
+
   // Convert all payloads to FCM format
   const fcmPayloads = [];
 
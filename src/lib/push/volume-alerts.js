@@ -3,9 +3,10 @@
  * Anormal hacim artışlarında bildirim gönderir
  */
 
-import WebSocket from 'ws';
 import { getPremiumTrialDevices, getCustomAlertsByType, updateCustomAlertNotification } from './db.js';
 import { sendPriceAlertNotification, sendPushNotifications, formatPriceString } from './unified-push.js';
+import { alertSymbol, loadAlertSymbols } from './alert-symbols.js';
+import { getMarketDataSource } from '../../services/market-data-source.js';
 
 /**
  * Hacim patlaması takip servisi
@@ -13,7 +14,9 @@ import { sendPriceAlertNotification, sendPushNotifications, formatPriceString }
  */
 export class VolumeAlertService {
     constructor() {
-        this.wsConnections = new Map();
+        this.streamSubscriptions = new Map(); // symbol -> unsubscribe
+        this.skippedSymbols = new Set(); // Alarm kayıtlarındaki bilinmeyen symbol'ler (bir kez uyarılır)
+        this.simulatedNotifiedAt = new Map(); // alert id -> son bildirim (replay / sentetik saat; DB'ye yazılmaz)
         this.volumeCache = new Map(); // Güncel 24h hacim
         this.priceCache = new Map(); // Güncel fiyat
         this.volumeHistory = new Map(); // Hacim geçmişi (rolling average için)
@@ -92,7 +95,7 @@ export class VolumeAlertService {
             console.log(`   ${config.emoji} ${config.name}: ${config.spikeMultipliers.join('x, ')}x spike detection`);
         });
 
-        // Her symbol için WebSocket bağlantısı kur
+        // Her symbol'ün ticker stream'ine abone ol
         Object.keys(this.watchList).forEach(symbol => {
             this.connectToSymbol(symbol);
         });
@@ -135,49 +138,26 @@ export class VolumeAlertService {
             this.customAlertsCheckInterval = null;
         }
 
-        this.wsConnections.forEach((ws) => {
-            if (ws.readyState === WebSocket.OPEN) {
-                ws.close();
-            }
-        });
-        this.wsConnections.clear();
+        this.streamSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.streamSubscriptions.clear();
         this.customAlertsCache.clear();
 
         console.log('🛑 Volume alert service stopped');
     }
 
     /**
-     * Symbol için WebSocket bağlantısı kur
+     * Symbol'ün <symbol>@ticker stream'ine abone ol (yeniden bağlanma market data source'ta)
      */
     connectToSymbol(symbol) {
         // Symbol'ü uppercase ve trim yap (normalizasyon USDT eklemez - kullanıcı düzgün yazmalı)
         const normalizedSymbol = symbol.toUpperCase().trim();
 
-        if (this.wsConnections.has(normalizedSymbol)) return;
-
-        const wsUrl = `wss://stream.binance.com:9443/ws/${normalizedSymbol.toLowerCase()}@ticker`;
+        if (this.streamSubscriptions.has(normalizedSymbol)) return;
 
+        let unsubscribe;
         try {
-            const ws = new WebSocket(wsUrl);
-
-            // 🔥 Bağlantı timeout - 10 saniye içinde açılmazsa kapat
-            const connectionTimeout = setTimeout(() => {
-                if (ws.readyState !== WebSocket.OPEN) {
-                    console.warn(`[VolumeAlerts] Connection timeout for ${normalizedSymbol}, closing...`);
-                    ws.terminate();
-                    this.wsConnections.delete(normalizedSymbol);
-                }
-            }, 10000);
-
-            ws.on('open', () => {
-                clearTimeout(connectionTimeout);
-                console.log(`✅ [VolumeAlerts] Connected to ${normalizedSymbol} feed`);
-            });
-
-            ws.on('message', (data) => {
-                try {
-                    const message = JSON.parse(data.toString());
-
+            unsubscribe = getMarketDataSource().subscribe('spot', `${normalizedSymbol.toLowerCase()}@ticker`, {
+                onMessage: (message) => {
                     // Binance ticker data:
                     // 'c' = current price
                     // 'q' = quote volume (24h volume in USDT)
@@ -193,49 +173,24 @@ export class VolumeAlertService {
                     if (quoteVolume) {
                         this.volumeCache.set(normalizedSymbol, quoteVolume);
                     }
-                } catch (error) {
-                    console.error(`[VolumeAlerts] Error parsing ${normalizedSymbol}:`, error);
-                }
-            });
-
-            ws.on('error', (error) => {
-                clearTimeout(connectionTimeout);
-                console.error(`[VolumeAlerts] WebSocket error for ${normalizedSymbol}:`, error.message);
-
-                // 🔥 400/Bad Request hatası durumunda retry yapma - geçersiz sembol
-                if (error.message && (error.message.includes('400') || error.message.includes('Unexpected server response'))) {
-                    console.warn(`[VolumeAlerts] ⚠️ Invalid symbol ${normalizedSymbol} - not retrying`);
-                    this.wsConnections.delete(normalizedSymbol);
-                    return; // Retry yapma
-                }
+                },
+                onError: (error) => console.error(`❌ [VolumeAlerts] ${normalizedSymbol} feed rejected:`, error.message),
             });
-
-            ws.on('close', () => {
-                clearTimeout(connectionTimeout);
-                console.log(`❌ [VolumeAlerts] Disconnected from ${normalizedSymbol}`);
-                this.wsConnections.delete(normalizedSymbol);
-
-                // Yeniden bağlan (sadece geçerli semboller için)
-                if (this.isRunning && !this.invalidSymbols?.has(normalizedSymbol)) {
-                    setTimeout(() => {
-                        if (this.isRunning) {
-                            this.connectToSymbol(normalizedSymbol);
-                        }
-                    }, 5000);
-                }
-            });
-
-            this.wsConnections.set(normalizedSymbol, ws);
         } catch (error) {
-            console.error(`[VolumeAlerts] Failed to connect to ${normalizedSymbol}:`, error);
+            // Paylaşılan bağlantı dolu (1024 stream): bu symbol atlanır, diğerleri çalışmaya devam eder
+            console.error(`❌ [VolumeAlerts] Failed to subscribe to ${normalizedSymbol}:`, error.message);
+            return;
         }
+
+        this.streamSubscriptions.set(normalizedSymbol, unsubscribe);
+        console.log(`✅ [VolumeAlerts] Subscribed to ${normalizedSymbol} feed`);
     }
 
     /**
      * Güncel hacimleri history'ye kaydet
      */
     recordVolumes() {
-        const now = Date.now();
+        const now = getMarketDataSource().now();
 
         this.volumeCache.forEach((volume, symbol) => {
             const history = this.volumeHistory.get(symbol);
@@ -263,7 +218,7 @@ export class VolumeAlertService {
      * Gece yarısı UTC'de sıfırlanır.
      */
     async checkVolumeSpikes() {
-        const today = new Date().toISOString().split('T')[0]; // 'YYYY-MM-DD'
+        const today = new Date(getMarketDataSource().now()).toISOString().split('T')[0]; // 'YYYY-MM-DD'
 
         for (const [symbol, config] of Object.entries(this.watchList)) {
             const currentVolume = this.volumeCache.get(symbol);
@@ -332,7 +287,7 @@ export class VolumeAlertService {
         const lastNotification = this.lastNotifications.get(key);
         if (!lastNotification) return true;
 
-        const timeSince = Date.now() - lastNotification;
+        const timeSince = getMarketDataSource().now() - lastNotification;
         return timeSince >= this.NOTIFICATION_COOLDOWN;
     }
 
@@ -340,7 +295,7 @@ export class VolumeAlertService {
      * Bildirim gönderildi olarak işaretle
      */
     markNotified(key) {
-        this.lastNotifications.set(key, Date.now());
+        this.lastNotifications.set(key, getMarketDataSource().now());
     }
 
     /**
@@ -453,7 +408,7 @@ export class VolumeAlertService {
             const history = this.volumeHistory.get(symbol);
 
             status.symbols[symbol] = {
-                connected: this.wsConnections.has(symbol),
+                connected: this.streamSubscriptions.has(symbol),
                 currentPrice: price || null,
                 currentVolume: volume ? this.formatVolume(volume) : null,
                 baselineVolume: history?.baselineVolume ? this.formatVolume(history.baselineVolume) : null,
@@ -476,10 +431,20 @@ export class VolumeAlertService {
         try {
             const alerts = await getCustomAlertsByType('volume_spike');
 
+            await loadAlertSymbols();
+
             // Symbol bazında grupla
             const alertsBySymbol = new Map();
             alerts.forEach(alert => {
-                const symbol = alert.symbol.toUpperCase();
+                const symbol = alertSymbol(alert.symbol);
+                if (!symbol) {
+                    // Bilinmeyen / delist edilmiş symbol bir kez uyarılıp atlanır; liste yüklenemediyse sonraki yüklemede tekrar denenir
+                    if (symbol === null && !this.skippedSymbols.has(alert.symbol)) {
+                        this.skippedSymbols.add(alert.symbol);
+                        console.warn(`⚠️  [VolumeAlerts] Skipping custom alerts for unknown symbol: ${alert.symbol}`);
+                    }
+                    return;
+                }
                 if (!alertsBySymbol.has(symbol)) {
                     alertsBySymbol.set(symbol, []);
                 }
@@ -489,9 +454,9 @@ export class VolumeAlertService {
             // Cache'i güncelle
             this.customAlertsCache = alertsBySymbol;
 
-            // Yeni symbol'ler için WebSocket bağlantısı kur
+            // Yeni symbol'ler için stream aboneliği kur
             alertsBySymbol.forEach((alerts, symbol) => {
-                if (!this.wsConnections.has(symbol)) {
+                if (!this.streamSubscriptions.has(symbol)) {
                     console.log(`🔔 [VolumeAlerts] Connecting to custom symbol: ${symbol}`);
                     this.connectToSymbol(symbol);
 
@@ -531,9 +496,13 @@ export class VolumeAlertService {
                 const { id, spike_multiplier, last_notified_at, cooldown_minutes, expo_push_token, language } = alert;
 
                 // Cooldown kontrolü
-                if (last_notified_at) {
+                // (replay / sentetik modda DB'deki gerçek zaman yerine bellekteki simüle zaman kullanılır)
+                const notifiedAt = getMarketDataSource().simulated
+                    ? this.simulatedNotifiedAt.get(id)
+                    : last_notified_at && new Date(last_notified_at).getTime();
+                if (notifiedAt) {
                     const cooldownMs = (cooldown_minutes || 60) * 60 * 1000;
-                    const timeSince = Date.now() - new Date(last_notified_at).getTime();
+                    const timeSince = getMarketDataSource().now() - notifiedAt;
                     if (timeSince < cooldownMs) continue;
                 }
 
@@ -577,7 +546,12 @@ export class VolumeAlertService {
                             priority: 'high',
                         }]);
 
-                        await updateCustomAlertNotification(id, spikeRatio);
+                        // Replay / sentetik veri gerçek alarm kayıtlarına yazılmaz, cooldown bellekte tutulur
+                        if (getMarketDataSource().simulated) {
+                            this.simulatedNotifiedAt.set(id, getMarketDataSource().now());
+                        } else {
+                            await updateCustomAlertNotification(id, spikeRatio);
+                        }
                         console.log(`✅ [VolumeAlerts] Custom alert triggered: ${symbol} ${spike_multiplier}x [${isTurkish ? 'TR' : 'EN'}]`);
                     } catch (error) {
                         console.error('[VolumeAlerts] Error sending custom alert:', error);
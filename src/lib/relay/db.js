@@ -0,0 +1,80 @@
+/**
+ * Relay snapshot database operations (Railway PostgreSQL)
+ * Keeps the latest ticker cache of each relayed market so a restarted relay
+ * has prices before its first live data arrives.
+ */
+
+import postgres from 'postgres';
+
+let sql = null;
+
+function getSql() {
+  if (!sql) {
+    if (!process.env.DATABASE_URL) {
+      throw new Error('DATABASE_URL environment variable is not set');
+    }
+    // Railway PostgreSQL connection
+    sql = postgres(process.env.DATABASE_URL, {
+      max: 10,
+      idle_timeout: 20,
+      connect_timeout: 10,
+    });
+  }
+  return sql;
+}
+
+/**
+ * Initialize relay snapshot table
+ */
+export async function initRelayDatabase() {
+  const sql = getSql();
+  try {
+    // One row per exchange/market: symbol -> ticker as JSON, saved_at in ms
+    await sql`
+      CREATE TABLE IF NOT EXISTS relay_ticker_snapshots (
+        exchange VARCHAR(20) NOT NULL,
+        market_type VARCHAR(20) NOT NULL,
+        saved_at BIGINT NOT NULL,
+        tickers JSONB NOT NULL,
+        PRIMARY KEY (exchange, market_type)
+      )
+    `;
+
+    console.log('✅ Relay snapshot database initialized');
+    return true;
+  } catch (error) {
+    console.error('❌ Failed to initialize relay snapshot database:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the stored ticker snapshot of a market
+ * @returns {Promise<{ savedAt: number, tickers: object }|null>}
+ */
+export async function getTickerSnapshot(exchange, marketType) {
+  const sql = getSql();
+  const rows = await sql`
+    SELECT saved_at, tickers
+    FROM relay_ticker_snapshots
+    WHERE exchange = ${exchange} AND market_type = ${marketType}
+  `;
+
+  if (rows.length === 0) return null;
+
+  // BIGINT comes back as string
+  return { savedAt: Number(rows[0].saved_at), tickers: rows[0].tickers };
+}
+
+/**
+ * Replace the stored ticker snapshot of a market
+ */
+export async function saveTickerSnapshot(exchange, marketType, tickers, savedAt = Date.now()) {
+  const sql = getSql();
+  await sql`
+    INSERT INTO relay_ticker_snapshots (exchange, market_type, saved_at, tickers)
+    VALUES (${exchange}, ${marketType}, ${savedAt}, ${sql.json(tickers)})
+    ON CONFLICT (exchange, market_type)
+    DO UPDATE SET saved_at = EXCLUDED.saved_at, tickers = EXCLUDED.tickers
+  `;
+}
@@ -14,9 +14,19 @@ import {
 import { authenticateToken, optionalAuth } from '../lib/auth/middleware.js';
 import { getUserById, getSessionByRefreshToken, getUserByEmail, getSql as getAuthSql } from '../lib/auth/db.js';
 import { generateAccessToken, verifyRefreshToken } from '../lib/auth/jwt.js';
+import { getSymbolRegistry } from '../services/symbol-registry.js';
 
 const router = express.Router();
 
+/**
+ * Resolve an alert symbol (btcusdt, BTC/USDT, ...) to its Binance spot ID
+ * Alert services watch Binance spot streams; returns null for unknown symbols.
+ */
+async function resolveAlertSymbol(symbol) {
+  const instrument = await getSymbolRegistry().resolve('binance', 'spot', symbol);
+  return instrument ? instrument.id : null;
+}
+
 /**
  * Check if user has premium access
  */
@@ -75,6 +85,13 @@ router.post('/price', optionalAuth, async (req, res) => {
       });
     }
 
+    const binanceSymbol = await resolveAlertSymbol(symbol);
+    if (!binanceSymbol) {
+      return res.status(400).json({
+        error: `Unknown symbol: ${symbol}`
+      });
+    }
+
     // Premium check - if no user, try to refresh token
     let userId = req.user?.userId;
 
@@ -225,14 +242,14 @@ router.post('/price', optionalAuth, async (req, res) => {
 
     const alert = await createPriceAlert(
       deviceId,
-      symbol,
+      binanceSymbol,
       parseFloat(targetPrice),
       parseFloat(proximityDelta),
       direction,
       userId
     );
 
-    console.log(`✅ Price alert created: ${symbol} @ ${targetPrice} (${direction}) for user ${userId}`);
+    console.log(`✅ Price alert created: ${binanceSymbol} @ ${targetPrice} (${direction}) for user ${userId}`);
 
     res.json({ success: true, alert });
   } catch (error) {
@@ -451,6 +468,13 @@ router.post('/volume', optionalAuth, async (req, res) => {
       });
     }
 
+    const binanceSymbol = await resolveAlertSymbol(symbol);
+    if (!binanceSymbol) {
+      return res.status(400).json({
+        error: `Unknown symbol: ${symbol}`
+      });
+    }
+
     // Get userId (similar to price alerts)
     let userId = req.user?.userId;
 
@@ -475,12 +499,12 @@ router.post('/volume', optionalAuth, async (req, res) => {
       });
     }
 
-    const alert = await createCustomAlert(deviceId, userId, symbol, 'volume_spike', {
+    const alert = await createCustomAlert(deviceId, userId, binanceSymbol, 'volume_spike', {
       spikeMultiplier: parseFloat(spikeMultiplier),
       cooldownMinutes: 60,
     });
 
-    console.log(`✅ Volume spike alert created: ${symbol} ${spikeMultiplier}x for user ${userId}`);
+    console.log(`✅ Volume spike alert created: ${binanceSymbol} ${spikeMultiplier}x for user ${userId}`);
 
     res.json({ success: true, alert });
   } catch (error) {
@@ -522,6 +546,13 @@ router.post('/percentage', optionalAuth, async (req, res) => {
       });
     }
 
+    const binanceSymbol = await resolveAlertSymbol(symbol);
+    if (!binanceSymbol) {
+      return res.status(400).json({
+        error: `Unknown symbol: ${symbol}`
+      });
+    }
+
     // Get userId
     let userId = req.user?.userId;
 
@@ -546,14 +577,14 @@ router.post('/percentage', optionalAuth, async (req, res) => {
       });
     }
 
-    const alert = await createCustomAlert(deviceId, userId, symbol, 'percentage_change', {
+    const alert = await createCustomAlert(deviceId, userId, binanceSymbol, 'percentage_change', {
       percentageThreshold: parseFloat(threshold),
       timeframeMinutes: parseInt(timeframe),
       direction: direction,
       cooldownMinutes: 30,
     });
 
-    console.log(`✅ Percentage alert created: ${symbol} ${threshold}% (${timeframe}min) for user ${userId}`);
+    console.log(`✅ Percentage alert created: ${binanceSymbol} ${threshold}% (${timeframe}min) for user ${userId}`);
 
     res.json({ success: true, alert });
   } catch (error) {
@@ -1,90 +1,982 @@
 /**
  * Historical Data Routes
  * Supports pagination for unlimited candle fetching
+ * Candles are served through the Postgres candle store (only gaps hit the exchange)
  */
 
 import express from 'express';
-import { fetchBinanceCandles, fetchBinanceFuturesCandles, fetchBybitCandles, fetchOKXCandles } from '../services/exchangeService.js';
+import { getCandleStoreService } from '../services/candle-store.js';
+import { getCompositeCandles } from '../services/composite-candles.js';
+import { getDerivativesHistoryService } from '../services/derivatives-history.js';
+import { negotiateFormat, streamCandleExport, EXPORT_FORMATS } from '../services/candle-export.js';
+import { streamCandles, STREAM_TRANSPORTS } from '../services/candle-stream.js';
+import { parseIndicatorSpecs, getWarmup, computeIndicators } from '../services/indicators.js';
+import { createBarBuilder, CHART_TYPES, HEIKIN_ASHI_WARMUP } from '../services/chart-transforms.js';
+import { buildVolumeProfile, computeCandleDelta, autoRowSize, DEFAULT_ROWS, DEFAULT_VALUE_AREA } from '../services/volume-profile.js';
+import { resolveTimeframe, fetchTrades, UpstreamError } from '../services/exchangeService.js';
+import { getCandleSource, listAdapters, normalizeMarket, MARKET_TYPES } from '../services/exchanges/index.js';
+import { parseExpiry } from '../services/exchanges/symbols.js';
+import { getSymbolRegistry } from '../services/symbol-registry.js';
+import { parseTimeframe, timeframeError } from '../services/timeframes.js';
 
 const router = express.Router();
 
+// Most base candles one /bars request walks through (e.g. ~70 days of 1m)
+const MAX_BASE_CANDLES = 100000;
+
+// Most candles (or bars) one JSON request returns; every one of them may cost an upstream fetch,
+// and indicators add their warm-up on top
+const MAX_CANDLES_LIMIT = 5000;
+
+// Largest page of raw trades, and most trades one profile/delta request analyzes
+// (busy pairs trade that much in well under an hour; `truncated` says where it stopped)
+const MAX_TRADES_LIMIT = 10000;
+const MAX_ANALYZED_TRADES = 100000;
+
+// HTTP status for each UpstreamError reason
+const UPSTREAM_STATUS = {
+  rejected: 400, // the exchange refused the request itself (unknown symbol, bad range, ...)
+  rate_limited: 503,
+  timeout: 504,
+  network_error: 502,
+  upstream_error: 502,
+};
+
 /**
- * GET /api/historical/:exchange/:pair/:timeframe
+ * Send an error response: upstream failures keep their meaning, anything else is a 500
+ */
+function sendError(res, error, tag) {
+  console.error(tag, error);
+
+  if (error instanceof UpstreamError) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    return res.status(UPSTREAM_STATUS[error.reason] || 502).json({
+      error: error.message,
+      reason: error.reason,
+      exchange: error.exchange,
+      timestamp: Date.now()
+    });
+  }
+
+  res.status(500).json({
+    error: error.message,
+    timestamp: Date.now()
+  });
+}
+
+/**
+ * Parse the `limit` query param; null if invalid
+ */
+function parseLimit(limit) {
+  const value = Number(limit);
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+/**
+ * GET /api/historical/exchanges
+ * List supported exchanges, their market types and native intervals
+ */
+router.get('/exchanges', (req, res) => {
+  res.json({ exchanges: listAdapters() });
+});
+
+/**
+ * GET /api/historical/composite/:pair/:timeframe
+ * Aggregated candles for one pair across several exchanges
+ * (volume-weighted OHLC, summed volume, per-exchange volume breakdown)
  * Query params:
- *   - from: timestamp (ms)
- *   - to: timestamp (ms)
- *   - limit: max candles (optional, default 1000)
+ *   - from, to, limit: same as /:exchange/:pair/:timeframe
+ *   - exchanges: comma-separated (optional, default BINANCE,BYBIT,OKX)
+ *   - market: spot | linear | inverse (optional, default spot)
  */
-router.get('/:exchange/:pair/:timeframe', async (req, res) => {
+router.get('/composite/:pair/:timeframe', async (req, res) => {
   try {
-    const { exchange, pair, timeframe } = req.params;
-    const { from, to, limit = 1000 } = req.query;
+    const { pair, timeframe } = req.params;
+    const { from, to, limit = 1000, market = 'spot', exchanges = 'BINANCE,BYBIT,OKX' } = req.query;
 
-    // Validate params
     if (!from || !to) {
-      return res.status(400).json({ 
-        error: 'Missing required query params: from, to' 
+      return res.status(400).json({
+        error: 'Missing required query params: from, to'
       });
     }
 
     const fromTs = parseInt(from);
     const toTs = parseInt(to);
-    const limitNum = parseInt(limit);
-    const timeframeSeconds = parseInt(timeframe);
+    const limitNum = parseLimit(limit);
+    const timeframeSeconds = parseTimeframe(timeframe);
 
-    console.log(`[API] Fetching ${exchange} ${pair} ${timeframeSeconds}s from ${new Date(fromTs).toISOString()} to ${new Date(toTs).toISOString()}`);
+    if (Number.isNaN(fromTs) || Number.isNaN(toTs) || fromTs > toTs) {
+      return res.status(400).json({ error: 'from and to must be timestamps (ms) with from <= to' });
+    }
+
+    if (!limitNum || limitNum > MAX_CANDLES_LIMIT) {
+      return res.status(400).json({ error: `Invalid limit: ${limit}. Must be 1-${MAX_CANDLES_LIMIT}` });
+    }
+
+    if (!timeframeSeconds) {
+      return res.status(400).json({ error: timeframeError(timeframe) });
+    }
+
+    const marketType = normalizeMarket(market);
+    if (!marketType || marketType === 'delivery') {
+      return res.status(400).json({
+        error: `Invalid market for composite candles: ${market}. Must be one of: spot, linear, inverse`
+      });
+    }
+
+    const names = exchanges.split(',').map(name => name.trim().toUpperCase()).filter(Boolean);
+    const entries = [];
 
-    let candles = [];
-
-    // Fetch from appropriate exchange
-    switch (exchange.toUpperCase()) {
-      case 'BINANCE':
-        candles = await fetchBinanceCandles(pair, fromTs, toTs, timeframeSeconds, limitNum);
-        break;
-      
-      case 'BINANCE_FUTURES':
-        candles = await fetchBinanceFuturesCandles(pair, fromTs, toTs, timeframeSeconds, limitNum);
-        break;
-      
-      case 'BYBIT':
-        candles = await fetchBybitCandles(pair, fromTs, toTs, timeframeSeconds, limitNum);
-        break;
-      
-      case 'OKX':
-        candles = await fetchOKXCandles(pair, fromTs, toTs, timeframeSeconds, limitNum);
-        break;
-      
-      default:
-        return res.status(400).json({ 
-          error: `Unsupported exchange: ${exchange}` 
+    for (const name of new Set(names)) {
+      const source = getCandleSource(name, marketType);
+      if (!source) {
+        return res.status(400).json({
+          error: `Unsupported exchange/market: ${name} ${marketType}`
+        });
+      }
+      if (!resolveTimeframe(source, timeframeSeconds)) {
+        return res.status(400).json({
+          error: `Unsupported timeframe for ${name}: ${timeframe}`
         });
+      }
+      if (!await getSymbolRegistry().resolve(source.adapter.id, marketType, pair)) {
+        return res.status(400).json({
+          error: `Unknown symbol for ${name} ${marketType}: ${pair}`
+        });
+      }
+      entries.push({ name, source });
+    }
+
+    if (entries.length === 0) {
+      return res.status(400).json({ error: 'No exchanges given' });
+    }
+
+    console.log(`[API] Composite ${pair} ${timeframeSeconds}s across ${entries.map(e => e.name).join(', ')}`);
+
+    const { candles, complete, exchanges: coverage } = await getCompositeCandles(
+      entries, pair, fromTs, toTs, timeframeSeconds, limitNum
+    );
+
+    res.json({
+      pair,
+      market: marketType,
+      timeframe: timeframeSeconds,
+      from: fromTs,
+      to: toTs,
+      count: candles.length,
+      complete,
+      exchanges: coverage,
+      data: candles,
+    });
+
+  } catch (error) {
+    sendError(res, error, '[Composite Route Error]');
+  }
+});
+
+/**
+ * Parse and validate the exchange/pair/timeframe/range shared by the candle routes
+ * The pair is resolved against the exchange's instrument metadata (unknown symbols are rejected).
+ * Returns { error } (400 message) or the resolved request.
+ */
+async function parseCandleRequest(params, query) {
+  const { exchange, pair, timeframe } = params;
+  const { from, to, market = 'spot', expiry } = query;
+
+  if (!from || !to) {
+    return { error: 'Missing required query params: from, to' };
+  }
+
+  const fromTs = parseInt(from);
+  const toTs = parseInt(to);
+  const timeframeSeconds = parseTimeframe(timeframe);
+
+  if (Number.isNaN(fromTs) || Number.isNaN(toTs) || fromTs > toTs) {
+    return { error: 'from and to must be timestamps (ms) with from <= to' };
+  }
+
+  if (!timeframeSeconds) {
+    return { error: timeframeError(timeframe) };
+  }
+
+  const marketType = normalizeMarket(market);
+  if (!marketType) {
+    return { error: `Invalid market: ${market}. Must be one of: ${MARKET_TYPES.join(', ')}` };
+  }
+
+  if (!getCandleSource(exchange)) {
+    return { error: `Unsupported exchange: ${exchange}` };
+  }
+
+  const source = getCandleSource(exchange, marketType);
+  if (!source) {
+    return { error: `Unsupported market for ${exchange}: ${marketType}` };
+  }
+
+  // Dated futures need an expiry, either in the pair or as a query param
+  let instrumentPair = pair;
+  if (source.market === 'delivery') {
+    if (expiry && !parseExpiry(expiry)) {
+      return { error: `Invalid expiry: ${expiry}. Expected YYMMDD` };
+    }
+    if (expiry) {
+      instrumentPair = `${pair.split('_')[0]}_${expiry}`;
+    }
+  }
+
+  const resolved = resolveTimeframe(source, timeframeSeconds);
+  if (!resolved) {
+    const native = Object.keys(source.intervals).join(', ');
+    return { error: `Unsupported timeframe for ${exchange}: ${timeframe}. Native intervals: ${native}. Custom timeframes must be a multiple of one of them.` };
+  }
+
+  const instrument = await getSymbolRegistry().resolve(source.adapter.id, source.market, instrumentPair);
+  if (!instrument) {
+    return { error: `Unknown symbol for ${exchange} ${source.market}: ${instrumentPair}` };
+  }
+  if (source.market === 'delivery' && !instrument.expiry) {
+    return { error: 'Delivery contracts need an expiry: use the expiry query param (YYMMDD) or a pair like btcusdt_251226' };
+  }
+
+  return {
+    exchange,
+    pair,
+    instrumentPair: instrument.key, // canonical pair passed down to the store/fetchers
+    instrument,
+    source,
+    symbol: instrument.id,
+    resolved,
+    timeframeSeconds,
+    fromTs,
+    toTs,
+  };
+}
+
+/**
+ * GET /api/historical/:exchange/:pair/:timeframe/stream
+ * Streams the whole range page by page as it is fetched (no candle cap)
+ * Query params: same as /:exchange/:pair/:timeframe, plus
+ *   - transport: sse (default) | ndjson
+ *   - cursor: resume from a cursor sent in an earlier candles/progress/error event
+ *     (SSE clients resume automatically via Last-Event-ID)
+ */
+router.get('/:exchange/:pair/:timeframe/stream', async (req, res) => {
+  try {
+    const request = await parseCandleRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { transport = 'sse' } = req.query;
+    if (!STREAM_TRANSPORTS.includes(transport)) {
+      return res.status(400).json({
+        error: `Invalid transport: ${transport}. Must be one of: ${STREAM_TRANSPORTS.join(', ')}`
+      });
+    }
+
+    const { source, instrumentPair, symbol, resolved, timeframeSeconds, fromTs, toTs } = request;
+
+    // Resume point: explicit cursor wins over the SSE reconnect header
+    const resumeFrom = parseInt(req.query.cursor ?? req.get('Last-Event-ID'));
+    const startTs = Number.isFinite(resumeFrom) && resumeFrom > fromTs ? resumeFrom : fromTs;
+
+    console.log(`[API] Streaming ${request.exchange} ${symbol} ${resolved.label} from ${new Date(startTs).toISOString()} (${transport})`);
+
+    const windows = getCandleStoreService().iterateCandles(
+      source, instrumentPair, startTs, toTs, timeframeSeconds
+    );
+
+    await streamCandles(req, res, transport, windows, {
+      exchange: source.adapter.id,
+      market: source.market,
+      symbol,
+      interval: resolved.label,
+      from: fromTs,
+      to: toTs,
+      resumedFrom: startTs !== fromTs ? startTs : null,
+    });
+  } catch (error) {
+    if (!res.headersSent) {
+      sendError(res, error, '[Historical Stream Route Error]');
+    } else {
+      console.error('[Historical Stream Route Error]', error);
+      res.end();
+    }
+  }
+});
+
+/**
+ * GET /api/historical/:exchange/:pair/:timeframe/indicators
+ * Indicator series aligned with the candles of the requested range
+ * Warm-up candles before `from` are fetched automatically so the first values are correct.
+ * Query params: same as /:exchange/:pair/:timeframe (JSON only), plus
+ *   - indicators: comma-separated specs, e.g. rsi:14,ema:50,macd:12:26:9,bb:20:2,atr:14,vwap:day
+ */
+router.get('/:exchange/:pair/:timeframe/indicators', async (req, res) => {
+  const { exchange, pair } = req.params;
+
+  try {
+    const request = await parseCandleRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { specs, error } = parseIndicatorSpecs(req.query.indicators);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const limit = req.query.limit ?? 1000;
+    const limitNum = parseLimit(limit);
+    if (!limitNum || limitNum > MAX_CANDLES_LIMIT) {
+      return res.status(400).json({ error: `Invalid limit: ${limit}. Must be 1-${MAX_CANDLES_LIMIT}` });
     }
 
+    const { source, instrumentPair, symbol, resolved, timeframeSeconds, fromTs, toTs } = request;
+    const stepMs = timeframeSeconds * 1000;
+    const warmup = getWarmup(specs, fromTs, stepMs);
+    const warmupFrom = fromTs - warmup * stepMs;
+
+    console.log(`[API] Indicators ${exchange} ${pair} ${resolved.label} [${specs.map(s => s.key).join(', ')}] with ${warmup} warm-up candles`);
+
+    const result = await getCandleStoreService()
+      .getCandles(source, instrumentPair, warmupFrom, toTs, timeframeSeconds, limitNum + warmup);
+
+    const { candles, indicators } = computeIndicators(result.candles, specs, fromTs, limitNum);
+
     res.json({
       exchange,
       pair,
+      market: source.market,
+      symbol,
       timeframe: timeframeSeconds,
+      interval: resolved.label,
+      resampledFrom: result.resampledFrom,
       from: fromTs,
       to: toTs,
+      warmup,
       count: candles.length,
+      complete: result.complete,
+      stopReason: result.stopReason,
+      gaps: result.gaps.filter(gap => gap.to >= fromTs),
+      indicators,
       data: candles,
     });
 
   } catch (error) {
-    console.error('[Historical Route Error]', error);
-    
-    // Return empty data instead of error to prevent frontend crashes
+    sendError(res, error, `[Indicators Route Error] ${exchange} ${pair}`);
+  }
+});
+
+/**
+ * Parse a positive number query param; null if invalid
+ */
+function parsePositive(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
+
+/**
+ * Renko box size for the range: ATR(period) as of the candle before `from`
+ */
+async function atrBoxSize(request, period) {
+  const { source, instrumentPair, timeframeSeconds, fromTs } = request;
+  const { specs } = parseIndicatorSpecs(`atr:${period}`);
+  const stepMs = timeframeSeconds * 1000;
+  const warmup = getWarmup(specs, fromTs, stepMs) + period;
+
+  const { candles } = await getCandleStoreService().getCandles(
+    source, instrumentPair, fromTs - warmup * stepMs, fromTs - 1, timeframeSeconds, warmup
+  );
+  const { indicators } = computeIndicators(candles, specs, -Infinity);
+  const values = indicators[specs[0].key].series.value.filter(v => v !== null);
+
+  return values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * GET /api/historical/:exchange/:pair/:timeframe/bars
+ * Alternative chart types built from the :timeframe candles (use a fine one, e.g. 1m,
+ * for renko/range/volume bars)
+ * Query params: from, to, market, expiry as for /:exchange/:pair/:timeframe, plus
+ *   - type: heikin-ashi | renko | range | volume
+ *   - box: renko box size in price units, or atr:<period> (ATR as of `from`, default atr:14)
+ *   - range: range bar size in price units
+ *   - volume: volume bar size in base asset
+ *   - limit: max bars (optional, default 1000)
+ */
+router.get('/:exchange/:pair/:timeframe/bars', async (req, res) => {
+  const { exchange, pair } = req.params;
+
+  try {
+    const request = await parseCandleRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { type, box = 'atr:14' } = req.query;
+    if (!CHART_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `Invalid type: ${type}. Must be one of: ${CHART_TYPES.join(', ')}`
+      });
+    }
+
+    const limit = req.query.limit ?? 1000;
+    const limitNum = parseLimit(limit);
+    if (!limitNum || limitNum > MAX_CANDLES_LIMIT) {
+      return res.status(400).json({ error: `Invalid limit: ${limit}. Must be 1-${MAX_CANDLES_LIMIT}` });
+    }
+
+    const { source, instrumentPair, symbol, resolved, timeframeSeconds, fromTs, toTs } = request;
+    const options = {};
+
+    if (type === 'renko') {
+      const atrMatch = String(box).match(/^atr(?::(\d+))?$/i);
+      if (atrMatch) {
+        const period = parseInt(atrMatch[1] || 14);
+        if (period < 1 || period > 1000) {
+          return res.status(400).json({ error: `Invalid ATR period: ${atrMatch[1]}` });
+        }
+        options.box = await atrBoxSize(request, period);
+        if (!options.box) {
+          return res.status(400).json({ error: `Not enough history before from to compute ATR(${period}); give box as a price instead` });
+        }
+      } else {
+        options.box = parsePositive(box);
+      }
+      if (!options.box) {
+        return res.status(400).json({ error: `Invalid box: ${box}. Use a price size or atr:<period>` });
+      }
+    }
+
+    if (type === 'range' || type === 'volume') {
+      options[type] = parsePositive(req.query[type]);
+      if (!options[type]) {
+        return res.status(400).json({ error: `Missing or invalid ${type}: ${type} bars need a positive ${type} size` });
+      }
+    }
+
+    // Heikin-Ashi opens depend on the previous bar, so start a little earlier
+    const stepMs = timeframeSeconds * 1000;
+    const startTs = type === 'heikin-ashi' ? fromTs - HEIKIN_ASHI_WARMUP * stepMs : fromTs;
+
+    console.log(`[API] ${type} bars ${exchange} ${pair} from ${resolved.label} candles`);
+
+    const builder = createBarBuilder(type, options);
+    const windows = getCandleStoreService().iterateCandles(
+      source, instrumentPair, startTs, toTs, timeframeSeconds, { limit: MAX_BASE_CANDLES }
+    );
+
+    const bars = [];
+    let baseCount = 0;
+    let lastTime = null;
+    let next = null;
+
+    for await (const { candles } of windows) {
+      for (const candle of candles) {
+        baseCount++;
+        lastTime = candle.time;
+        bars.push(...builder.add(candle).filter(bar => bar.time >= fromTs));
+        if (bars.length >= limitNum) {
+          next = candle.time + stepMs;
+          break;
+        }
+      }
+      if (next) break;
+    }
+
+    // Stopped at the base candle cap before reaching `to`
+    if (!next && baseCount >= MAX_BASE_CANDLES) {
+      next = lastTime + stepMs;
+    }
+
     res.json({
       exchange,
       pair,
+      market: source.market,
+      symbol,
+      type,
+      ...options,
       timeframe: timeframeSeconds,
+      interval: resolved.label,
       from: fromTs,
       to: toTs,
-      count: 0,
-      data: [],
-      error: error.message,
-      timestamp: Date.now()
+      count: Math.min(bars.length, limitNum),
+      baseCount,
+      // More data after this point; continuing from here starts a fresh build
+      next: next && next <= toTs ? next : null,
+      data: bars.slice(0, limitNum),
+      forming: next ? null : builder.flush(),
+    });
+
+  } catch (error) {
+    sendError(res, error, `[Bars Route Error] ${exchange} ${pair}`);
+  }
+});
+
+/**
+ * Parse and validate the exchange/pair/range shared by the funding and open interest routes
+ * Only perpetual markets of exchanges with derivatives history support qualify.
+ * Returns { error } (400 message) or the resolved request.
+ */
+async function parseDerivativesRequest(params, query) {
+  const { exchange, pair } = params;
+  const { from, to, limit = 1000, market = 'linear' } = query;
+
+  if (!from || !to) {
+    return { error: 'Missing required query params: from, to' };
+  }
+
+  const fromTs = parseInt(from);
+  const toTs = parseInt(to);
+  const limitNum = parseLimit(limit);
+
+  if (Number.isNaN(fromTs) || Number.isNaN(toTs) || fromTs > toTs) {
+    return { error: 'from and to must be timestamps (ms) with from <= to' };
+  }
+
+  if (!limitNum) {
+    return { error: `Invalid limit: ${limit}` };
+  }
+
+  const base = getCandleSource(exchange);
+  if (!base) {
+    return { error: `Unsupported exchange: ${exchange}` };
+  }
+  if (!base.adapter.derivatives) {
+    return { error: `No funding / open interest history for ${exchange}` };
+  }
+
+  const marketType = normalizeMarket(market);
+  const supported = base.adapter.derivatives.markets;
+  if (!supported.includes(marketType)) {
+    return { error: `Invalid market: ${market}. Must be one of: ${supported.join(', ')}` };
+  }
+
+  const source = getCandleSource(exchange, marketType);
+  const instrument = await getSymbolRegistry().resolve(source.adapter.id, source.market, pair);
+  if (!instrument) {
+    return { error: `Unknown symbol for ${exchange} ${source.market}: ${pair}` };
+  }
+
+  return { source, instrument, symbol: instrument.id, fromTs, toTs, limitNum };
+}
+
+/**
+ * GET /api/historical/:exchange/:pair/funding
+ * Funding rate history of a perpetual contract (one entry per funding event)
+ * Query params:
+ *   - from, to: timestamps (ms)
+ *   - limit: max events (optional, default 1000); `next` is the `from` of the following page
+ *   - market: linear | inverse (optional, default linear)
+ */
+router.get('/:exchange/:pair/funding', async (req, res) => {
+  const { exchange, pair } = req.params;
+
+  try {
+    const request = await parseDerivativesRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { source, instrument, symbol, fromTs, toTs, limitNum } = request;
+
+    console.log(`[API] Funding ${exchange} ${source.market} ${symbol} from ${new Date(fromTs).toISOString()} to ${new Date(toTs).toISOString()}`);
+
+    const result = await getDerivativesHistoryService().getFundingRates(source, symbol, fromTs, toTs, limitNum);
+
+    res.json({
+      exchange,
+      market: source.market,
+      symbol,
+      pair: instrument.key,
+      from: fromTs,
+      to: toTs,
+      count: result.rows.length,
+      complete: result.complete,
+      stopReason: result.stopReason,
+      gaps: result.gaps,
+      next: result.next,
+      data: result.rows,
+    });
+
+  } catch (error) {
+    sendError(res, error, `[Funding Route Error] ${exchange} ${pair}`);
+  }
+});
+
+/**
+ * GET /api/historical/:exchange/:pair/open-interest/:period
+ * Open interest history of a perpetual contract, one snapshot per period
+ * period: one of the exchange's openInterestPeriods (Binance: 5m ... 1d)
+ * Query params: same as /:exchange/:pair/funding (limit counts snapshots)
+ */
+router.get('/:exchange/:pair/open-interest/:period', async (req, res) => {
+  const { exchange, pair, period } = req.params;
+
+  try {
+    const request = await parseDerivativesRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { source, instrument, symbol, fromTs, toTs, limitNum } = request;
+    const periods = source.adapter.derivatives.openInterestPeriods;
+    if (!periods.includes(period)) {
+      return res.status(400).json({
+        error: `Unsupported open interest period for ${exchange}: ${period}. Must be one of: ${periods.join(', ')}`
+      });
+    }
+
+    console.log(`[API] Open interest ${exchange} ${source.market} ${symbol} ${period} from ${new Date(fromTs).toISOString()} to ${new Date(toTs).toISOString()}`);
+
+    const result = await getDerivativesHistoryService().getOpenInterest(source, symbol, period, fromTs, toTs, limitNum);
+
+    res.json({
+      exchange,
+      market: source.market,
+      symbol,
+      pair: instrument.key,
+      period,
+      from: fromTs,
+      to: toTs,
+      count: result.rows.length,
+      complete: result.complete,
+      stopReason: result.stopReason,
+      gaps: result.gaps,
+      next: result.next,
+      data: result.rows,
+    });
+
+  } catch (error) {
+    sendError(res, error, `[Open Interest Route Error] ${exchange} ${pair}`);
+  }
+});
+
+/**
+ * Parse and validate the exchange/pair/range shared by the trade routes
+ * Returns { error } (400 message) or the resolved request.
+ */
+async function parseTradesRequest(params, query) {
+  const { exchange, pair } = params;
+  const { from, to, market = 'spot' } = query;
+
+  if (!from || !to) {
+    return { error: 'Missing required query params: from, to' };
+  }
+
+  const fromTs = parseInt(from);
+  const toTs = parseInt(to);
+
+  if (Number.isNaN(fromTs) || Number.isNaN(toTs) || fromTs > toTs) {
+    return { error: 'from and to must be timestamps (ms) with from <= to' };
+  }
+
+  const base = getCandleSource(exchange);
+  if (!base) {
+    return { error: `Unsupported exchange: ${exchange}` };
+  }
+  if (!base.adapter.trades) {
+    return { error: `No trade history for ${exchange}` };
+  }
+
+  const marketType = normalizeMarket(market);
+  const supported = base.adapter.trades.markets;
+  if (!supported.includes(marketType)) {
+    return { error: `Invalid market: ${market}. Must be one of: ${supported.join(', ')}` };
+  }
+
+  const source = getCandleSource(exchange, marketType);
+  const instrument = await getSymbolRegistry().resolve(source.adapter.id, source.market, pair);
+  if (!instrument) {
+    return { error: `Unknown symbol for ${exchange} ${source.market}: ${pair}` };
+  }
+
+  return { source, instrument, symbol: instrument.id, fromTs, toTs };
+}
+
+/**
+ * Trades for an analysis request (profile/delta), capped at MAX_ANALYZED_TRADES
+ * Throws UpstreamError if the exchange failed before returning anything.
+ */
+async function fetchAnalyzedTrades(request) {
+  const { source, symbol, fromTs, toTs } = request;
+  const result = await fetchTrades(source, symbol, fromTs, toTs, { limit: MAX_ANALYZED_TRADES });
+
+  if (result.stop && result.trades.length === 0) {
+    throw new UpstreamError(result.stop.message, { ...result.stop, exchange: source.adapter.id });
+  }
+
+  const last = result.trades[result.trades.length - 1];
+  return {
+    trades: result.trades,
+    meta: {
+      tradeCount: result.trades.length,
+      complete: result.complete,
+      stopReason: result.stop?.reason ?? null,
+      truncated: result.nextId !== null, // MAX_ANALYZED_TRADES reached before `to`
+      lastTradeTime: last ? last.time : null,
+    },
+  };
+}
+
+/**
+ * GET /api/historical/:exchange/:pair/trades
+ * Aggregated trades, oldest first
+ * Query params:
+ *   - from, to: timestamps (ms)
+ *   - limit: max trades (optional, default 1000, max 10000)
+ *   - market: spot | linear (optional, default spot)
+ *   - fromId: continue from a trade ID (the nextId of the previous page)
+ */
+router.get('/:exchange/:pair/trades', async (req, res) => {
+  const { exchange, pair } = req.params;
+
+  try {
+    const request = await parseTradesRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { limit = 1000, fromId } = req.query;
+    const limitNum = parseLimit(limit);
+    if (!limitNum || limitNum > MAX_TRADES_LIMIT) {
+      return res.status(400).json({ error: `Invalid limit: ${limit}. Must be 1-${MAX_TRADES_LIMIT}` });
+    }
+
+    const fromIdNum = fromId === undefined ? null : Number(fromId);
+    if (fromIdNum !== null && !(Number.isInteger(fromIdNum) && fromIdNum >= 0)) {
+      return res.status(400).json({ error: `Invalid fromId: ${fromId}` });
+    }
+
+    const { source, instrument, symbol, fromTs, toTs } = request;
+
+    console.log(`[API] Trades ${exchange} ${source.market} ${symbol} from ${new Date(fromTs).toISOString()} to ${new Date(toTs).toISOString()}`);
+
+    const result = await fetchTrades(source, symbol, fromTs, toTs, { fromId: fromIdNum, limit: limitNum });
+    if (result.stop && result.trades.length === 0) {
+      throw new UpstreamError(result.stop.message, { ...result.stop, exchange: source.adapter.id });
+    }
+
+    res.json({
+      exchange,
+      market: source.market,
+      symbol,
+      pair: instrument.key,
+      from: fromTs,
+      to: toTs,
+      count: result.trades.length,
+      complete: result.complete,
+      stopReason: result.stop?.reason ?? null,
+      nextId: result.nextId,
+      data: result.trades,
+    });
+
+  } catch (error) {
+    sendError(res, error, `[Trades Route Error] ${exchange} ${pair}`);
+  }
+});
+
+/**
+ * GET /api/historical/:exchange/:pair/volume-profile
+ * Volume at price over [from, to] from aggregated trades, with POC and value area
+ * Query params: from, to, market as /:exchange/:pair/trades, plus
+ *   - rowSize: price height of a row (optional; default splits the range into `rows`)
+ *   - rows: number of rows when rowSize is not given (optional, default 50)
+ *   - valueArea: percent of volume in the value area (optional, default 70)
+ */
+router.get('/:exchange/:pair/volume-profile', async (req, res) => {
+  const { exchange, pair } = req.params;
+
+  try {
+    const request = await parseTradesRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const { rowSize, rows = DEFAULT_ROWS, valueArea = DEFAULT_VALUE_AREA * 100 } = req.query;
+    const rowSizeNum = rowSize === undefined ? null : parsePositive(rowSize);
+    const rowsNum = parseLimit(rows);
+    const valueAreaNum = parsePositive(valueArea);
+
+    if (rowSize !== undefined && !rowSizeNum) {
+      return res.status(400).json({ error: `Invalid rowSize: ${rowSize}` });
+    }
+    if (!rowsNum || rowsNum > 1000) {
+      return res.status(400).json({ error: `Invalid rows: ${rows}. Must be 1-1000` });
+    }
+    if (!valueAreaNum || valueAreaNum > 100) {
+      return res.status(400).json({ error: `Invalid valueArea: ${valueArea}. Must be a percentage (0-100]` });
+    }
+
+    const { source, instrument, symbol, fromTs, toTs } = request;
+
+    console.log(`[API] Volume profile ${exchange} ${source.market} ${symbol} from ${new Date(fromTs).toISOString()} to ${new Date(toTs).toISOString()}`);
+
+    const { trades, meta } = await fetchAnalyzedTrades(request);
+    const profile = buildVolumeProfile(trades, {
+      rowSize: rowSizeNum || autoRowSize(trades, rowsNum),
+      valueArea: valueAreaNum / 100,
     });
+
+    res.json({
+      exchange,
+      market: source.market,
+      symbol,
+      pair: instrument.key,
+      from: fromTs,
+      to: toTs,
+      ...meta,
+      valueArea: valueAreaNum,
+      ...profile,
+    });
+
+  } catch (error) {
+    sendError(res, error, `[Volume Profile Route Error] ${exchange} ${pair}`);
+  }
+});
+
+/**
+ * GET /api/historical/:exchange/:pair/:timeframe/delta
+ * Taker buy/sell volume and delta per candle, built from aggregated trades
+ * (any timeframe, candles without trades are omitted)
+ * Query params: from, to, market as /:exchange/:pair/trades, plus
+ *   - rowSize: include each candle's footprint (buy/sell volume per price row of this size)
+ */
+router.get('/:exchange/:pair/:timeframe/delta', async (req, res) => {
+  const { exchange, pair, timeframe } = req.params;
+
+  try {
+    const request = await parseTradesRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const timeframeSeconds = parseTimeframe(timeframe);
+    if (!timeframeSeconds) {
+      return res.status(400).json({ error: timeframeError(timeframe) });
+    }
+
+    const { rowSize } = req.query;
+    const rowSizeNum = rowSize === undefined ? null : parsePositive(rowSize);
+    if (rowSize !== undefined && !rowSizeNum) {
+      return res.status(400).json({ error: `Invalid rowSize: ${rowSize}` });
+    }
+
+    const { source, instrument, symbol, fromTs, toTs } = request;
+
+    console.log(`[API] Delta ${exchange} ${source.market} ${symbol} ${timeframeSeconds}s from ${new Date(fromTs).toISOString()} to ${new Date(toTs).toISOString()}`);
+
+    const { trades, meta } = await fetchAnalyzedTrades(request);
+    const candles = computeCandleDelta(trades, timeframeSeconds * 1000, { rowSize: rowSizeNum });
+
+    res.json({
+      exchange,
+      market: source.market,
+      symbol,
+      pair: instrument.key,
+      timeframe: timeframeSeconds,
+      from: fromTs,
+      to: toTs,
+      ...meta,
+      rowSize: rowSizeNum,
+      count: candles.length,
+      data: candles,
+    });
+
+  } catch (error) {
+    sendError(res, error, `[Delta Route Error] ${exchange} ${pair}`);
+  }
+});
+
+/**
+ * GET /api/historical/:exchange/:pair/:timeframe
+ * timeframe: seconds (e.g. 7200) or a label (e.g. 2h, 45m, 3d, 1w).
+ * Timeframes without a native exchange interval are resampled server-side.
+ * Query params:
+ *   - from: timestamp (ms)
+ *   - to: timestamp (ms)
+ *   - limit: max candles (optional, default 1000, max 5000 for JSON)
+ *   - market: spot | linear | inverse | delivery (optional, default spot; 'futures' = linear)
+ *   - expiry: YYMMDD for delivery contracts (optional if the pair already has it, e.g. btcusdt_251226)
+ *   - format: json | csv | ndjson (optional; otherwise picked from the Accept header)
+ *     csv/ndjson are streamed as a download and cover the whole range unless limit is given
+ */
+router.get('/:exchange/:pair/:timeframe', async (req, res) => {
+  const { exchange, pair } = req.params;
+
+  try {
+    const request = await parseCandleRequest(req.params, req.query);
+    if (request.error) {
+      return res.status(400).json({ error: request.error });
+    }
+
+    const format = negotiateFormat(req);
+    if (!format) {
+      return res.status(400).json({
+        error: `Invalid format: ${req.query.format}. Must be one of: json, ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+
+    const { source, instrumentPair, symbol, resolved, timeframeSeconds, fromTs, toTs } = request;
+
+    // Exports default to the whole range, JSON to 1000 candles
+    const limit = req.query.limit ?? (format === 'json' ? 1000 : Infinity);
+    const limitNum = limit === Infinity ? Infinity : parseLimit(limit);
+    if (!limitNum || (format === 'json' && limitNum > MAX_CANDLES_LIMIT)) {
+      return res.status(400).json({ error: `Invalid limit: ${limit}. Must be 1-${MAX_CANDLES_LIMIT}` });
+    }
+
+    console.log(`[API] Fetching ${exchange} ${pair} ${timeframeSeconds}s from ${new Date(fromTs).toISOString()} to ${new Date(toTs).toISOString()}`);
+
+    if (format !== 'json') {
+      const windows = getCandleStoreService().iterateCandles(
+        source, instrumentPair, fromTs, toTs, timeframeSeconds, { limit: limitNum }
+      );
+      return await streamCandleExport(req, res, format, windows, {
+        exchange: source.adapter.id,
+        market: source.market,
+        symbol,
+        interval: resolved.label,
+        from: fromTs,
+        to: toTs,
+      });
+    }
+
+    // Stored ranges come from Postgres, missing gaps from the exchange
+    // If the exchange fails halfway, the fetched part is returned with complete: false
+    const { candles, sources, resampledFrom, complete, stopReason, gaps } = await getCandleStoreService()
+      .getCandles(source, instrumentPair, fromTs, toTs, timeframeSeconds, limitNum);
+
+    res.json({
+      exchange,
+      pair,
+      market: source.market,
+      symbol,
+      base: request.instrument.base,
+      quote: request.instrument.quote,
+      timeframe: timeframeSeconds,
+      interval: resolved.label,
+      resampledFrom,
+      from: fromTs,
+      to: toTs,
+      count: candles.length,
+      complete,
+      stopReason,
+      gaps,
+      sources,
+      data: candles,
+    });
+
+  } catch (error) {
+    if (!res.headersSent) {
+      sendError(res, error, `[Historical Route Error] ${exchange} ${pair}`);
+    } else {
+      console.error('[Historical Route Error]', error);
+      res.destroy();
+    }
   }
 });
 
@@ -5,13 +5,17 @@
 
 import express from 'express';
 import NodeCache from 'node-cache';
-import fetch from 'node-fetch';
+import { getSymbolRegistry } from '../services/symbol-registry.js';
+import { getBinanceScheduler, BinanceRateLimitError } from '../services/binance-scheduler.js';
 
 const router = express.Router();
 
 // Cache ticker data for 15 seconds to prevent rate limiting
 const tickerCache = new NodeCache({ stdTTL: 15 });
 
+// Route market type -> symbol registry market
+const REGISTRY_MARKETS = { spot: 'spot', futures: 'linear' };
+
 /**
  * Fetch 24h ticker data from Binance
  */
@@ -28,28 +32,19 @@ async function fetchBinanceTicker(symbols, marketType = 'spot') {
   console.log(`[Ticker API] Fetching ${marketType} ticker for ${symbolsArray.length} symbols`);
   
   // Timeout after 10 seconds
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 10000);
-  
-  try {
-    const response = await fetch(url, { signal: controller.signal });
-    clearTimeout(timeout);
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error(`[Ticker API] HTTP ${response.status}: ${errorText}`);
-      
-      if (response.status === 418 || response.status === 429) {
-        throw new Error('Binance rate limit');
-      }
-      throw new Error(`Binance API error: ${response.status}`);
+  const response = await getBinanceScheduler().request(url, { timeoutMs: 10000 });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error(`[Ticker API] HTTP ${response.status}: ${errorText}`);
+
+    if (response.status === 418 || response.status === 429) {
+      throw new Error('Binance rate limit');
     }
-    
-    return await response.json();
-  } catch (error) {
-    clearTimeout(timeout);
-    throw error;
+    throw new Error(`Binance API error: ${response.status}`);
   }
+
+  return await response.json();
 }
 
 /**
@@ -75,8 +70,22 @@ router.get('/:marketType', async (req, res) => {
       });
     }
 
-    // Parse symbols
-    const symbolsArray = symbols.split(',').map(s => s.trim().toLowerCase());
+    // Resolve symbols to Binance IDs (btcusdt, BTC/USDT, ... -> BTCUSDT)
+    const registry = getSymbolRegistry();
+    const requested = symbols.split(',').map(s => s.trim()).filter(Boolean);
+    const instruments = await Promise.all(
+      requested.map(symbol => registry.resolve('binance', REGISTRY_MARKETS[marketType], symbol))
+    );
+
+    const unknown = requested.filter((symbol, i) => !instruments[i]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown ${marketType} symbols: ${unknown.join(', ')}`,
+        unknown,
+      });
+    }
+
+    const symbolsArray = [...new Set(instruments.map(instrument => instrument.id.toLowerCase()))];
     
     // Create cache key
     const cacheKey = `${marketType}-${symbolsArray.sort().join(',')}`;
@@ -106,7 +115,11 @@ router.get('/:marketType', async (req, res) => {
     console.error('[Ticker Route Error]', error);
     
     // If rate limited, try to return stale cache
-    const cacheKey = `${req.params.marketType}-${req.query.symbols.split(',').sort().join(',')}`;
+    const registryMarket = REGISTRY_MARKETS[req.params.marketType];
+    const staleSymbols = req.query.symbols.split(',').map(symbol =>
+      (getSymbolRegistry().find('binance', registryMarket, symbol.trim())?.id || symbol.trim()).toLowerCase()
+    );
+    const cacheKey = `${req.params.marketType}-${[...new Set(staleSymbols)].sort().join(',')}`;
     const staleCache = tickerCache.get(cacheKey);
     
     if (staleCache) {
@@ -118,6 +131,15 @@ router.get('/:marketType', async (req, res) => {
       });
     }
     
+    if (error instanceof BinanceRateLimitError) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({
+        error: error.message,
+        reason: 'rate_limited',
+        timestamp: Date.now()
+      });
+    }
+
     res.status(500).json({ 
       error: error.message,
       timestamp: Date.now()
@@ -9,10 +9,60 @@
  * - Single Binance connection for all clients (rate limit friendly)
  * - In-memory cache for instant data on new connections
  * - Room-based subscriptions (clients only get coins they need)
- * - Automatic reconnection with exponential backoff
+ * - Automatic reconnection with capped exponential backoff, retried indefinitely
+ * - REST /ticker/24hr polling while a ticker WebSocket is down or silent;
+ *   tickers and status carry a `stale` flag when no data arrived for a while
+ * - Ticker caches saved to Postgres periodically and restored (stale) on startup
+ * - Futures mark price, index price and funding (!markPrice@arr@1s), merged
+ *   into the futures cache and relayed on its own subscription
+ * - Order book depth per symbol (see depth-relay.js)
+ * - Live klines per symbol/interval (see kline-relay.js)
+ * - Trade tape per symbol, live or batched (see trade-relay.js)
+ * - Delta-compressed "all tickers" feed with sequence numbers (see ticker-delta.js)
+ * - Plain WebSocket endpoint with Binance's stream protocol (see binance-ws-gateway.js)
+ * - Bybit / OKX tickers in the same shape, per exchange (see venue-ticker-relay.js)
+ * - Recorded or synthetic market data instead of Binance for offline testing (see market-data-source.js)
+ * - Optional JWT auth and per-plan connection/subscription limits (see relay-access.js)
  */
 
 import WebSocket from 'ws';
+import { getSymbolRegistry } from './symbol-registry.js';
+import { getMarketDataSource } from './market-data-source.js';
+import DepthRelayService from './depth-relay.js';
+import KlineRelayService, { klineIntervals } from './kline-relay.js';
+import TradeRelayService from './trade-relay.js';
+import TickerDeltaStream, { TICKER_ENCODINGS } from './ticker-delta.js';
+import BinanceWsGateway from './binance-ws-gateway.js';
+import { fetchPage } from './exchangeService.js';
+import { getBinanceScheduler } from './binance-scheduler.js';
+import VenueTickerRelay from './venue-ticker-relay.js';
+import RelayAccessControl from './relay-access.js';
+import { getTickerSnapshot, saveTickerSnapshot } from '../lib/relay/db.js';
+
+// Relay market type -> symbol registry market
+const REGISTRY_MARKETS = { spot: 'spot', futures: 'linear' };
+
+const TICKER_24HR_URLS = {
+    spot: 'https://api.binance.com/api/v3/ticker/24hr',
+    futures: 'https://fapi.binance.com/fapi/v1/ticker/24hr',
+};
+
+// !ticker@arr pushes every second: an open connection this quiet is dead
+const WS_SILENT_MS = 10000;
+
+// No ticker data from either source for this long marks a market's tickers stale
+const STALE_AFTER_MS = 15000;
+
+// REST fallback cadence (all-symbol 24hr tickers weigh 80 on spot, 40 on futures)
+const REST_POLL_MS = 5000;
+
+const FEED_CHECK_MS = 2000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+const SNAPSHOT_SAVE_MS = 30000;
+
+// Restored tickers older than this are dropped rather than served as stale
+const MAX_SNAPSHOT_AGE_MS = 24 * 60 * 60 * 1000;
 
 class BinanceRelayService {
     constructor(io) {
@@ -31,11 +81,55 @@ class BinanceRelayService {
         this.futuresConnected = false;
         this.spotReconnectAttempts = 0;
         this.futuresReconnectAttempts = 0;
-        this.maxReconnectAttempts = 10;
 
-        // Broadcast throttle (avoid overwhelming clients)
-        this.lastBroadcastTime = 0;
+        // Ticker feed health per market: last WS message, last data from any source, REST fallback,
+        // symbols restored from the saved snapshot that haven't had live data yet, last broadcast
+        this.feeds = {
+            spot: { lastMessageAt: 0, lastUpdateAt: 0, stale: true, polling: false, pollTimer: null, reconnectTimer: null, restored: new Set(), savedAt: 0, lastBroadcastAt: 0 },
+            futures: { lastMessageAt: 0, lastUpdateAt: 0, stale: true, polling: false, pollTimer: null, reconnectTimer: null, restored: new Set(), savedAt: 0, lastBroadcastAt: 0 },
+        };
+        this.feedCheckTimer = null;
+        this.snapshotTimer = null;
+
+        // Latest !markPrice@arr@1s fields per futures symbol, merged into futuresCache
+        this.markPrices = new Map(); // symbol -> { markPrice, indexPrice, fundingRate, nextFundingTime, markPriceTime }
+        this.markPriceUpdatedAt = 0;
+        this.unsubscribeMarkPrices = null;
+        this.stopped = false;
+
+        // Broadcast throttle per market (avoid overwhelming clients)
         this.broadcastInterval = 100; // ms - Binance sends every 100ms anyway
+
+        // Local order books for depth subscribers
+        this.depthRelay = new DepthRelayService(io);
+
+        // Per-symbol kline streams for live chart candles
+        this.klineRelay = new KlineRelayService(io);
+
+        // Per-symbol aggTrade streams for the time-and-sales panel
+        this.tradeRelay = new TradeRelayService(io);
+
+        // Changed-only "all tickers" feeds, one sequence per market
+        this.tickerDeltas = {
+            spot: new TickerDeltaStream('spot'),
+            futures: new TickerDeltaStream('futures'),
+        };
+
+        // Raw !ticker@arr frames for the plain WebSocket gateway
+        this.tickerListeners = { spot: new Set(), futures: new Set() };
+        this.wsGateway = new BinanceWsGateway(this);
+
+        // Tickers of the other exchanges (RELAY_EXCHANGES, default bybit,okx)
+        const venues = process.env.RELAY_EXCHANGES?.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+        this.venueTickers = new VenueTickerRelay(io, venues);
+
+        // Live Binance streams, or a recording / synthetic prices (MARKET_DATA_MODE)
+        this.marketData = getMarketDataSource();
+        this.unsubscribeSourceTickers = [];
+
+        // Handshake auth and plan limits, in place before the first client connects
+        this.access = new RelayAccessControl();
+        this.access.attach(io);
     }
 
     /**
@@ -44,13 +138,29 @@ class BinanceRelayService {
     start() {
         console.log('[Binance Relay] 🚀 Starting Binance WebSocket Relay Service...');
 
-        // Fetch initial snapshot via REST to populate cache immediately
-        this.fetchInitialSnapshot();
+        if (this.marketData.simulated) {
+            // Replayed / synthetic tickers only: nothing from the exchanges, and real saved caches stay untouched
+            this.connectToMarketData();
+        } else {
+            // Serve the last saved caches (stale) until the REST snapshot or the streams arrive
+            this.restoreCacheSnapshots();
+
+            // Fetch initial snapshot via REST to populate cache immediately
+            this.fetchInitialSnapshot();
 
-        this.connectToSpot();
-        this.connectToFutures();
+            this.connectToSpot();
+            this.connectToFutures();
+            this.venueTickers.start();
+            this.snapshotTimer = setInterval(() => this.saveCacheSnapshots(), SNAPSHOT_SAVE_MS);
+        }
+
+        this.unsubscribeMarkPrices = this.marketData.subscribe('futures', '!markPrice@arr@1s', {
+            onMessage: (events) => this.handleMarkPrices(events),
+        });
         this.setupSocketIOHandlers();
 
+        this.feedCheckTimer = setInterval(() => this.checkFeeds(), FEED_CHECK_MS);
+
         console.log('[Binance Relay] ✅ Relay service started');
     }
 
@@ -59,27 +169,92 @@ class BinanceRelayService {
      * (Fixes "Red Daily Candle" issue due to missing inactive coins)
      */
     async fetchInitialSnapshot() {
-        try {
-            console.log('[Binance Relay] 📸 Fetching initial snapshot...');
-            const [spotRes, futuresRes] = await Promise.all([
-                fetch('https://api.binance.com/api/v1/ticker/24hr'),
-                fetch('https://fapi.binance.com/fapi/v1/ticker/24hr')
-            ]);
-
-            if (spotRes.ok) {
-                const spotData = await spotRes.json();
-                this.handleSpotMessage(Buffer.from(JSON.stringify(spotData)));
-                console.log(`[Binance Relay] ✅ Initial Spot snapshot loaded: ${spotData.length} coins`);
+        console.log('[Binance Relay] 📸 Fetching initial snapshot...');
+
+        await Promise.all(['spot', 'futures'].map(async (marketType) => {
+            const tickers = await this.fetchTickers(marketType);
+            if (!tickers) return;
+
+            this.updateTickers(marketType, tickers);
+            console.log(`[Binance Relay] ✅ Initial ${marketType} snapshot loaded: ${tickers.length} coins`);
+        }));
+    }
+
+    /**
+     * Load the saved ticker caches. Restored tickers keep their original
+     * timestamp and stay stale until their symbol gets live data; symbols
+     * that already have live data are left alone.
+     */
+    async restoreCacheSnapshots() {
+        await Promise.all(['spot', 'futures'].map(async (marketType) => {
+            let snapshot;
+            try {
+                snapshot = await getTickerSnapshot('binance', marketType);
+            } catch (error) {
+                console.error(`[Binance Relay] Failed to load saved ${marketType} tickers:`, error.message);
+                return;
             }
+            if (!snapshot) return;
+
+            const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
+            const feed = this.feeds[marketType];
+            const oldest = Date.now() - MAX_SNAPSHOT_AGE_MS;
+
+            Object.entries(snapshot.tickers).forEach(([symbol, ticker]) => {
+                if (cache.has(symbol) || !(ticker.timestamp > oldest)) return;
 
-            if (futuresRes.ok) {
-                const futuresData = await futuresRes.json();
-                this.handleFuturesMessage(Buffer.from(JSON.stringify(futuresData)));
-                console.log(`[Binance Relay] ✅ Initial Futures snapshot loaded: ${futuresData.length} coins`);
+                cache.set(symbol, { ...ticker, stale: true });
+                feed.restored.add(symbol);
+            });
+            if (feed.restored.size === 0) return;
+
+            feed.savedAt = snapshot.savedAt;
+            this.broadcastToClients(marketType, true);
+            console.log(`[Binance Relay] ✅ Restored ${feed.restored.size} ${marketType} tickers saved ${Math.round((Date.now() - snapshot.savedAt) / 1000)}s ago (stale until live)`);
+        }));
+    }
+
+    /**
+     * Save each market's ticker cache if it got live data since the last save
+     */
+    async saveCacheSnapshots() {
+        await Promise.all(['spot', 'futures'].map(async (marketType) => {
+            const feed = this.feeds[marketType];
+            if (feed.lastUpdateAt <= feed.savedAt) return;
+
+            const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
+            const savedAt = Date.now();
+            try {
+                await saveTickerSnapshot('binance', marketType, Object.fromEntries(cache), savedAt);
+                feed.savedAt = savedAt;
+            } catch (error) {
+                console.error(`[Binance Relay] Failed to save ${marketType} tickers:`, error.message);
             }
-        } catch (error) {
-            console.error('[Binance Relay] ❌ Failed to fetch initial snapshot:', error.message);
+        }));
+    }
+
+    /**
+     * All 24hr tickers of a market over REST, in the stream's field names
+     * @returns {Promise<object[]|null>} null if the request failed
+     */
+    async fetchTickers(marketType) {
+        const tag = `[Binance Relay] ${marketType} REST`;
+        const page = await fetchPage(TICKER_24HR_URLS[marketType], { name: 'Binance', tag, priority: 'background' });
+
+        if (!Array.isArray(page.body)) {
+            console.error(`${tag} Ticker fetch failed:`, page.stop?.message || page.body?.msg);
+            return null;
         }
+
+        return page.body.map(ticker => ({
+            s: ticker.symbol,
+            c: ticker.lastPrice,
+            P: ticker.priceChangePercent,
+            v: ticker.volume,
+            h: ticker.highPrice,
+            l: ticker.lowPrice,
+            o: ticker.openPrice,
+        }));
     }
 
     /**
@@ -99,10 +274,13 @@ class BinanceRelayService {
                 console.log('[Binance Relay] ✅ Connected to Binance Spot WebSocket');
                 this.spotConnected = true;
                 this.spotReconnectAttempts = 0;
+                this.feeds.spot.lastMessageAt = Date.now();
             });
 
             this.spotWs.on('message', (data) => {
+                this.feeds.spot.lastMessageAt = Date.now();
                 this.handleSpotMessage(data);
+                this.tickerListeners.spot.forEach(listener => listener(data));
             });
 
             this.spotWs.on('close', () => {
@@ -137,10 +315,13 @@ class BinanceRelayService {
                 console.log('[Binance Relay] ✅ Connected to Binance Futures WebSocket');
                 this.futuresConnected = true;
                 this.futuresReconnectAttempts = 0;
+                this.feeds.futures.lastMessageAt = Date.now();
             });
 
             this.futuresWs.on('message', (data) => {
+                this.feeds.futures.lastMessageAt = Date.now();
                 this.handleFuturesMessage(data);
+                this.tickerListeners.futures.forEach(listener => listener(data));
             });
 
             this.futuresWs.on('close', () => {
@@ -158,6 +339,27 @@ class BinanceRelayService {
         }
     }
 
+    /**
+     * Replay / synthetic mode: !ticker@arr of both markets from the market data source,
+     * through the same handlers as the Binance connections
+     */
+    connectToMarketData() {
+        console.log(`[Binance Relay] Tickers from market data source (${this.marketData.mode})`);
+
+        this.unsubscribeSourceTickers = ['spot', 'futures'].map(marketType => this.marketData.subscribe(marketType, '!ticker@arr', {
+            onMessage: (tickers) => {
+                const data = JSON.stringify(tickers);
+                this.feeds[marketType].lastMessageAt = Date.now();
+                if (marketType === 'spot') {
+                    this.handleSpotMessage(data);
+                } else {
+                    this.handleFuturesMessage(data);
+                }
+                this.tickerListeners[marketType].forEach(listener => listener(data));
+            },
+        }));
+    }
+
     /**
      * Handle Spot ticker messages
      */
@@ -167,24 +369,8 @@ class BinanceRelayService {
 
             if (!Array.isArray(tickers)) return;
 
-            // Update cache
-            tickers.forEach(ticker => {
-                const symbol = ticker.s.toLowerCase();
-
-                this.spotCache.set(symbol, {
-                    symbol: symbol,
-                    price: parseFloat(ticker.c),           // Close price
-                    change24h: parseFloat(ticker.P || '0'), // Price change percent (only in full ticker)
-                    volume24h: parseFloat(ticker.v || '0'), // Base asset volume
-                    high24h: parseFloat(ticker.h || '0'),   // High price
-                    low24h: parseFloat(ticker.l || '0'),    // Low price
-                    openPrice: parseFloat(ticker.o || '0'), // Open price
-                    timestamp: Date.now()
-                });
-            });
-
-            // Broadcast to clients
-            this.broadcastToClients('spot');
+            this.marketData.record('spot', '!ticker@arr', tickers);
+            this.updateTickers('spot', tickers);
 
         } catch (error) {
             console.error('[Binance Relay] Spot parse error:', error.message);
@@ -200,41 +386,185 @@ class BinanceRelayService {
 
             if (!Array.isArray(tickers)) return;
 
-            // Update cache
-            tickers.forEach(ticker => {
-                const symbol = ticker.s.toLowerCase();
-
-                this.futuresCache.set(symbol, {
-                    symbol: symbol,
-                    price: parseFloat(ticker.c),
-                    change24h: parseFloat(ticker.P || '0'),
-                    volume24h: parseFloat(ticker.v || '0'),
-                    high24h: parseFloat(ticker.h || '0'),
-                    low24h: parseFloat(ticker.l || '0'),
-                    openPrice: parseFloat(ticker.o || '0'),
-                    timestamp: Date.now()
-                });
-            });
-
-            // Broadcast to clients
-            this.broadcastToClients('futures');
+            this.marketData.record('futures', '!ticker@arr', tickers);
+            this.updateTickers('futures', tickers);
 
         } catch (error) {
             console.error('[Binance Relay] Futures parse error:', error.message);
         }
     }
 
+    /**
+     * Store stream-format tickers ({ s, c, P, v, h, l, o }) and broadcast them
+     */
+    updateTickers(marketType, tickers) {
+        const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
+        const feed = this.feeds[marketType];
+
+        feed.lastUpdateAt = Date.now();
+        if (feed.stale) this.setStale(marketType, false);
+
+        // Update cache
+        tickers.forEach(ticker => {
+            const symbol = ticker.s.toLowerCase();
+            feed.restored.delete(symbol);
+
+            cache.set(symbol, {
+                symbol: symbol,
+                price: parseFloat(ticker.c),           // Close price
+                change24h: parseFloat(ticker.P || '0'), // Price change percent (only in full ticker)
+                volume24h: parseFloat(ticker.v || '0'), // Base asset volume
+                high24h: parseFloat(ticker.h || '0'),   // High price
+                low24h: parseFloat(ticker.l || '0'),    // Low price
+                openPrice: parseFloat(ticker.o || '0'), // Open price
+                ...(marketType === 'futures' ? this.markPrices.get(symbol) : null),
+                stale: false,
+                timestamp: feed.lastUpdateAt
+            });
+        });
+
+        // Broadcast to clients
+        this.broadcastToClients(marketType);
+    }
+
+    /**
+     * Store mark price events ({ s, p, i, r, T, E }), merge them into the
+     * futures cache and send them to the mark price rooms
+     */
+    handleMarkPrices(events) {
+        if (!Array.isArray(events)) return;
+
+        const updates = {};
+        events.forEach(event => {
+            const symbol = event.s.toLowerCase();
+            const mark = {
+                markPrice: parseFloat(event.p),
+                indexPrice: parseFloat(event.i),
+                // Empty for delivery contracts, which have no funding
+                fundingRate: event.r === '' ? null : parseFloat(event.r),
+                nextFundingTime: event.T || null,
+                markPriceTime: event.E,
+            };
+
+            this.markPrices.set(symbol, mark);
+            const ticker = this.futuresCache.get(symbol);
+            if (ticker) this.futuresCache.set(symbol, { ...ticker, ...mark });
+            updates[symbol] = { symbol, ...mark };
+        });
+        this.markPriceUpdatedAt = Date.now();
+
+        const rooms = this.io.sockets.adapter.rooms;
+        if (rooms.has('mark-price-all')) {
+            this.io.to('mark-price-all').emit('mark-price-update', { marketType: 'futures', data: updates });
+        }
+
+        Object.entries(updates).forEach(([symbol, mark]) => {
+            const roomName = `mark-price-${symbol}`;
+            if (rooms.has(roomName)) {
+                this.io.to(roomName).emit('mark-price-update', { marketType: 'futures', data: { [symbol]: mark } });
+            }
+        });
+    }
+
+    /**
+     * Flag (or unflag) every cached ticker of a market as stale; restored
+     * tickers without live data yet stay stale.
+     * Entries are replaced rather than mutated so the delta feed sees the change.
+     */
+    setStale(marketType, stale) {
+        const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
+        const feed = this.feeds[marketType];
+
+        feed.stale = stale;
+        cache.forEach((ticker, symbol) => cache.set(symbol, { ...ticker, stale: stale || feed.restored.has(symbol) }));
+
+        if (stale) {
+            console.warn(`[Binance Relay] ⚠️ ${marketType} tickers stale (no data for ${STALE_AFTER_MS / 1000}s)`);
+        } else {
+            console.log(`[Binance Relay] ${marketType} tickers fresh again`);
+        }
+    }
+
+    /**
+     * Feed watchdog: drop silent connections, poll REST while a ticker
+     * WebSocket isn't delivering, and flag markets without data as stale
+     */
+    checkFeeds() {
+        const now = Date.now();
+
+        ['spot', 'futures'].forEach(marketType => {
+            const feed = this.feeds[marketType];
+            const ws = marketType === 'spot' ? this.spotWs : this.futuresWs;
+            const connected = marketType === 'spot' ? this.spotConnected : this.futuresConnected;
+            const silent = now - feed.lastMessageAt > WS_SILENT_MS;
+
+            // Simulated feeds have no connection to repair and no REST to fall back to
+            if (!this.marketData.simulated) {
+                // Still open but nothing for a while: force the close -> reconnect path
+                if (connected && silent && ws) {
+                    console.warn(`[Binance Relay] ${marketType} WebSocket silent for ${Math.round((now - feed.lastMessageAt) / 1000)}s, reconnecting`);
+                    ws.terminate();
+                }
+
+                if (connected && !silent) {
+                    if (feed.polling) console.log(`[Binance Relay] ${marketType} WebSocket delivering again, REST polling stopped`);
+                    this.stopPolling(marketType);
+                } else {
+                    this.startPolling(marketType);
+                }
+            }
+
+            if (!feed.stale && now - feed.lastUpdateAt > STALE_AFTER_MS) {
+                this.setStale(marketType, true);
+                this.broadcastToClients(marketType, true);
+            }
+        });
+    }
+
+    /**
+     * Poll /ticker/24hr every REST_POLL_MS until stopPolling()
+     */
+    startPolling(marketType) {
+        const feed = this.feeds[marketType];
+        if (feed.polling) return;
+
+        feed.polling = true;
+        console.warn(`[Binance Relay] ${marketType} WebSocket down, polling REST every ${REST_POLL_MS / 1000}s`);
+
+        const poll = async () => {
+            feed.pollTimer = null;
+            const tickers = await this.fetchTickers(marketType);
+
+            // The WebSocket may have come back while the request was in flight
+            if (!feed.polling) return;
+            if (tickers) this.updateTickers(marketType, tickers);
+            if (!feed.pollTimer) feed.pollTimer = setTimeout(poll, REST_POLL_MS);
+        };
+        poll();
+    }
+
+    stopPolling(marketType) {
+        const feed = this.feeds[marketType];
+        if (!feed.polling) return;
+
+        feed.polling = false;
+        clearTimeout(feed.pollTimer);
+        feed.pollTimer = null;
+    }
+
     /**
      * Broadcast cached data to Socket.io clients
+     * (force skips the throttle, e.g. for staleness changes nothing else would send)
      */
-    broadcastToClients(marketType) {
+    broadcastToClients(marketType, force = false) {
         const now = Date.now();
+        const feed = this.feeds[marketType];
 
-        // Throttle broadcasts to avoid overwhelming clients
-        if (now - this.lastBroadcastTime < this.broadcastInterval) {
+        // Throttle broadcasts to avoid overwhelming clients (each market on its own)
+        if (!force && now - feed.lastBroadcastAt < this.broadcastInterval) {
             return;
         }
-        this.lastBroadcastTime = now;
+        feed.lastBroadcastAt = now;
 
         const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
         const rooms = this.io.sockets.adapter.rooms;
@@ -249,6 +579,8 @@ class BinanceRelayService {
             });
         }
 
+        this.broadcastTickerDelta(marketType);
+
         // Broadcast to symbol-specific rooms
         cache.forEach((tickerData, symbol) => {
             const roomName = `ticker-${marketType}-${symbol}`;
@@ -261,6 +593,133 @@ class BinanceRelayService {
         });
     }
 
+    /**
+     * Send what changed since the last delta to the market's delta rooms
+     * (unless forced, nothing is diffed while nobody is listening)
+     */
+    broadcastTickerDelta(marketType, force = false) {
+        const rooms = this.io.sockets.adapter.rooms;
+        const listening = TICKER_ENCODINGS.filter(encoding => rooms.has(TickerDeltaStream.roomName(marketType, encoding)));
+        if (listening.length === 0 && !force) return;
+
+        const stream = this.tickerDeltas[marketType];
+        const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
+        const changes = stream.update(cache);
+        if (!changes) return;
+
+        listening.forEach(encoding => {
+            this.io.to(TickerDeltaStream.roomName(marketType, encoding)).emit('ticker-delta', stream.encodeDelta(changes, encoding));
+        });
+    }
+
+    /**
+     * Send a socket the delta feed's current snapshot. Pending changes are
+     * broadcast first so the snapshot is as fresh as the cache.
+     */
+    sendTickerSnapshot(socket, marketType, encoding) {
+        const room = TickerDeltaStream.roomName(marketType, encoding);
+
+        // Room members get the pending changes as a delta, this socket as part of its snapshot
+        socket.leave(room);
+        this.broadcastTickerDelta(marketType, true);
+        socket.emit('ticker-snapshot', this.tickerDeltas[marketType].snapshot(encoding));
+        socket.join(room);
+    }
+
+    /**
+     * Listen to the raw !ticker@arr frames of a market's ticker connection
+     * @returns {() => void} unsubscribe
+     */
+    onTickerStream(marketType, listener) {
+        this.tickerListeners[marketType].add(listener);
+        return () => this.tickerListeners[marketType].delete(listener);
+    }
+
+    /**
+     * Serve the Binance-protocol WebSocket endpoint on an HTTP server
+     */
+    attachWebSocketGateway(server) {
+        this.wsGateway.attach(server);
+    }
+
+    /**
+     * Where an exchange's tickers live: cache, room names and ticker-update envelope
+     * (Binance keeps its original rooms and envelope without `exchange`)
+     * @returns {object|null} null if the exchange has no ticker feed for the market
+     */
+    tickerVenue(exchange, marketType) {
+        const id = String(exchange).toLowerCase();
+
+        if (id === 'binance') {
+            return {
+                exchange: id,
+                cache: marketType === 'futures' ? this.futuresCache : this.spotCache,
+                room: (symbol) => `ticker-${marketType}-${symbol}`,
+                allRoom: `ticker-all-${marketType}`,
+                envelope: { marketType },
+            };
+        }
+
+        const feed = this.venueTickers.getFeed(id, marketType);
+        if (!feed) return null;
+
+        return {
+            exchange: id,
+            cache: feed.cache,
+            room: (symbol) => VenueTickerRelay.roomName(id, marketType, symbol),
+            allRoom: VenueTickerRelay.roomName(id, marketType),
+            envelope: { exchange: id, marketType },
+        };
+    }
+
+    /**
+     * Exchanges with relayed tickers
+     */
+    getTickerExchanges() {
+        return ['binance', ...this.venueTickers.exchanges];
+    }
+
+    /**
+     * Normalize client symbols (btcusdt, BTC/USDT, BTCUSDT) to the relay's
+     * lowercase symbols using the symbol registry: Binance IDs, or canonical
+     * keys on other exchanges (BTC-USDT-SWAP -> btcusdt)
+     * Symbols the registry doesn't know are returned separately; until its metadata
+     * has loaded, the symbol is guessed from the pair.
+     */
+    normalizeSymbols(symbols, marketType, exchange = 'binance') {
+        const registry = getSymbolRegistry();
+        const known = [];
+        const unknown = [];
+
+        (Array.isArray(symbols) ? symbols : [symbols]).forEach(symbol => {
+            if (typeof symbol !== 'string' || !symbol.trim()) return;
+
+            // Metadata not loaded yet: guess from the pair (BTC/USDT -> btcusdt)
+            const market = REGISTRY_MARKETS[marketType];
+            const instrument = registry.find(exchange, market, symbol) ?? (registry.isLoaded(exchange, market) ? null : registry.guess(exchange, market, symbol));
+            if (!instrument) {
+                unknown.push(symbol);
+            } else {
+                known.push((exchange === 'binance' ? instrument.id : instrument.key).toLowerCase());
+            }
+        });
+
+        return { known: [...new Set(known)], unknown };
+    }
+
+    /**
+     * Check a subscribe request against the socket's plan
+     * @param {object} added - { symbols, feeds } the request would add
+     * @returns {boolean} false (after a subscribe-error) if it's over the limit
+     */
+    withinPlan(socket, added, envelope) {
+        const limited = this.access.checkSubscription(socket, added);
+        if (!limited) return true;
+
+        socket.emit('subscribe-error', { ...envelope, ...limited });
+        return false;
+    }
+
     /**
      * Setup Socket.io event handlers for clients
      */
@@ -269,40 +728,109 @@ class BinanceRelayService {
             console.log(`[Binance Relay] Client connected: ${socket.id}`);
 
             // Client subscribes to specific symbols
-            // Format: { symbols: ['btcusdt', 'ethusdt'], marketType: 'spot' | 'futures' }
+            // Format: { symbols: ['btcusdt', 'ethusdt'], marketType: 'spot' | 'futures', exchange: 'binance' | 'bybit' | 'okx' }
             socket.on('subscribe', (params) => {
-                const { symbols, marketType = 'spot' } = params;
-                const symbolList = Array.isArray(symbols) ? symbols : [symbols];
+                const { symbols, marketType = 'spot', exchange = 'binance' } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) {
+                    socket.emit('subscribe-error', { marketType, error: 'Invalid market type. Must be "spot" or "futures"' });
+                    return;
+                }
+
+                const venue = this.tickerVenue(exchange, marketType);
+                if (!venue) {
+                    socket.emit('subscribe-error', { exchange, marketType, error: `Unknown exchange. Must be one of: ${this.getTickerExchanges().join(', ')}` });
+                    return;
+                }
+
+                const { known: symbolList, unknown } = this.normalizeSymbols(symbols, marketType, venue.exchange);
+
+                if (unknown.length > 0) {
+                    socket.emit('subscribe-error', {
+                        ...venue.envelope,
+                        symbols: unknown,
+                        error: `Unknown ${marketType} symbols: ${unknown.join(', ')}`
+                    });
+                }
+
+                const added = symbolList.filter(symbol => !socket.rooms.has(venue.room(symbol))).length;
+                if (!this.withinPlan(socket, { symbols: added }, { ...venue.envelope, symbols: symbolList })) return;
 
                 symbolList.forEach(symbol => {
-                    const normalizedSymbol = symbol.toLowerCase();
-                    const roomName = `ticker-${marketType}-${normalizedSymbol}`;
-                    socket.join(roomName);
+                    socket.join(venue.room(symbol));
                 });
 
                 // Immediately send cached data for subscribed symbols
-                const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
+                const cache = venue.cache;
                 const responseData = {};
 
                 symbolList.forEach(symbol => {
-                    const normalizedSymbol = symbol.toLowerCase();
-                    if (cache.has(normalizedSymbol)) {
-                        responseData[normalizedSymbol] = cache.get(normalizedSymbol);
+                    if (cache.has(symbol)) {
+                        responseData[symbol] = cache.get(symbol);
                     }
                 });
 
                 if (Object.keys(responseData).length > 0) {
                     socket.emit('ticker-update', {
-                        marketType,
+                        ...venue.envelope,
                         data: responseData
                     });
                 }
 
-                console.log(`[Binance Relay] ${socket.id} subscribed to ${marketType}: ${symbolList.join(', ')}`);
+                console.log(`[Binance Relay] ${socket.id} subscribed to ${venue.exchange} ${marketType}: ${symbolList.join(', ')}`);
             });
 
             // Client subscribes to all tickers for a market type
-            socket.on('subscribe-all', (marketType = 'spot') => {
+            // Format: 'spot' | 'futures' (full ticker-update every tick), or
+            // { marketType, delta: true, encoding: 'json' | 'compact' } for ticker-snapshot + ticker-delta, or
+            // { marketType, exchange: 'bybit' | 'okx' } for another exchange (ticker-update with the changed symbols)
+            socket.on('subscribe-all', (params = 'spot') => {
+                const { marketType = 'spot', exchange = 'binance', delta = false, encoding = 'json' } = typeof params === 'string' ? { marketType: params } : params || {};
+                if (!REGISTRY_MARKETS[marketType]) {
+                    socket.emit('subscribe-error', { marketType, error: 'Invalid market type. Must be "spot" or "futures"' });
+                    return;
+                }
+
+                const venue = this.tickerVenue(exchange, marketType);
+                if (!venue) {
+                    socket.emit('subscribe-error', { exchange, marketType, error: `Unknown exchange. Must be one of: ${this.getTickerExchanges().join(', ')}` });
+                    return;
+                }
+
+                if (venue.exchange !== 'binance' && delta) {
+                    socket.emit('subscribe-error', { ...venue.envelope, error: 'The delta feed is only available for Binance' });
+                    return;
+                }
+
+                // Switching between the full and the delta feed of a market doesn't add one
+                const feedRooms = venue.exchange === 'binance'
+                    ? [venue.allRoom, ...TICKER_ENCODINGS.map(e => TickerDeltaStream.roomName(marketType, e))]
+                    : [venue.allRoom];
+                const held = feedRooms.some(room => socket.rooms.has(room));
+                if (!held && !this.withinPlan(socket, { feeds: 1 }, venue.envelope)) return;
+
+                if (venue.exchange !== 'binance') {
+                    socket.join(venue.allRoom);
+                    socket.emit('ticker-update', { ...venue.envelope, data: Object.fromEntries(venue.cache) });
+                    console.log(`[Binance Relay] ${socket.id} subscribed to all ${venue.exchange} ${marketType} tickers`);
+                    return;
+                }
+
+                if (delta) {
+                    if (!TICKER_ENCODINGS.includes(encoding)) {
+                        socket.emit('subscribe-error', { marketType, error: `Invalid encoding. Must be one of: ${TICKER_ENCODINGS.join(', ')}` });
+                        return;
+                    }
+
+                    // One all-tickers feed per market
+                    socket.leave(`ticker-all-${marketType}`);
+                    TICKER_ENCODINGS.filter(e => e !== encoding).forEach(e => socket.leave(TickerDeltaStream.roomName(marketType, e)));
+
+                    this.sendTickerSnapshot(socket, marketType, encoding);
+                    console.log(`[Binance Relay] ${socket.id} subscribed to all ${marketType} ticker deltas (${encoding})`);
+                    return;
+                }
+
+                TICKER_ENCODINGS.forEach(e => socket.leave(TickerDeltaStream.roomName(marketType, e)));
                 const roomName = `ticker-all-${marketType}`;
                 socket.join(roomName);
 
@@ -318,20 +846,295 @@ class BinanceRelayService {
 
             // Client unsubscribes from specific symbols
             socket.on('unsubscribe', (params) => {
-                const { symbols, marketType = 'spot' } = params;
-                const symbolList = Array.isArray(symbols) ? symbols : [symbols];
+                const { symbols, marketType = 'spot', exchange = 'binance' } = params || {};
+                const venue = REGISTRY_MARKETS[marketType] ? this.tickerVenue(exchange, marketType) : null;
+                if (!venue) return;
+
+                const { known: symbolList } = this.normalizeSymbols(symbols, marketType, venue.exchange);
 
                 symbolList.forEach(symbol => {
-                    const roomName = `ticker-${marketType}-${symbol.toLowerCase()}`;
-                    socket.leave(roomName);
+                    socket.leave(venue.room(symbol));
                 });
 
-                console.log(`[Binance Relay] ${socket.id} unsubscribed from ${marketType}: ${symbolList.join(', ')}`);
+                console.log(`[Binance Relay] ${socket.id} unsubscribed from ${venue.exchange} ${marketType}: ${symbolList.join(', ')}`);
             });
 
             // Client unsubscribes from all
-            socket.on('unsubscribe-all', (marketType = 'spot') => {
-                socket.leave(`ticker-all-${marketType}`);
+            socket.on('unsubscribe-all', (params = 'spot') => {
+                const { marketType = 'spot', exchange = 'binance' } = typeof params === 'string' ? { marketType: params } : params || {};
+                const venue = REGISTRY_MARKETS[marketType] ? this.tickerVenue(exchange, marketType) : null;
+                if (!venue) return;
+
+                socket.leave(venue.allRoom);
+                if (venue.exchange === 'binance') {
+                    TICKER_ENCODINGS.forEach(encoding => socket.leave(TickerDeltaStream.roomName(marketType, encoding)));
+                }
+            });
+
+            // Delta client missed a seq: send a fresh snapshot in its encoding
+            // Format: { marketType }
+            socket.on('ticker-resync', (params) => {
+                const marketType = typeof params === 'string' ? params : params?.marketType || 'spot';
+                const encoding = TICKER_ENCODINGS.find(e => socket.rooms.has(TickerDeltaStream.roomName(marketType, e)));
+                if (!encoding) return;
+
+                this.sendTickerSnapshot(socket, marketType, encoding);
+            });
+
+            // Client subscribes to order book depth
+            // Format: { symbols: ['btcusdt'], marketType: 'spot' | 'futures' }
+            socket.on('subscribe-depth', (params) => {
+                const { symbols, marketType = 'spot' } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) {
+                    socket.emit('subscribe-error', { marketType, error: 'Invalid market type. Must be "spot" or "futures"' });
+                    return;
+                }
+
+                const { known: symbolList, unknown } = this.normalizeSymbols(symbols, marketType);
+
+                if (unknown.length > 0) {
+                    socket.emit('subscribe-error', {
+                        marketType,
+                        symbols: unknown,
+                        error: `Unknown ${marketType} symbols: ${unknown.join(', ')}`
+                    });
+                }
+
+                const added = symbolList.filter(symbol => !socket.rooms.has(DepthRelayService.roomName(marketType, symbol))).length;
+                if (!this.withinPlan(socket, { symbols: added }, { marketType, symbols: symbolList })) return;
+
+                symbolList.forEach(symbol => {
+                    try {
+                        this.depthRelay.acquire(marketType, symbol);
+                    } catch (error) {
+                        socket.emit('subscribe-error', { marketType, symbols: [symbol], error: error.message });
+                        return;
+                    }
+                    socket.join(DepthRelayService.roomName(marketType, symbol));
+
+                    // Current book right away if it's already synced (otherwise it comes with the room's first snapshot)
+                    const snapshot = this.depthRelay.getSnapshot(marketType, symbol);
+                    if (snapshot) {
+                        socket.emit('depth-snapshot', snapshot);
+                    }
+                });
+
+                console.log(`[Binance Relay] ${socket.id} subscribed to ${marketType} depth: ${symbolList.join(', ')}`);
+            });
+
+            socket.on('unsubscribe-depth', (params) => {
+                const { symbols, marketType = 'spot' } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) return;
+
+                const { known: symbolList } = this.normalizeSymbols(symbols, marketType);
+
+                symbolList.forEach(symbol => {
+                    const roomName = DepthRelayService.roomName(marketType, symbol);
+                    socket.leave(roomName);
+                    this.depthRelay.release(roomName);
+                });
+
+                console.log(`[Binance Relay] ${socket.id} unsubscribed from ${marketType} depth: ${symbolList.join(', ')}`);
+            });
+
+            // Client missed an update (seq gap) and wants the current book again
+            socket.on('depth-snapshot', (params) => {
+                const { symbol, marketType = 'spot' } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) return;
+
+                const [normalized] = this.normalizeSymbols(symbol, marketType).known;
+                if (!normalized || !socket.rooms.has(DepthRelayService.roomName(marketType, normalized))) return;
+
+                const snapshot = this.depthRelay.getSnapshot(marketType, normalized);
+                if (snapshot) {
+                    socket.emit('depth-snapshot', snapshot);
+                }
+            });
+
+            // Client subscribes to live candles
+            // Format: { symbols: ['btcusdt'], interval: '1m', marketType: 'spot' | 'futures' }
+            socket.on('subscribe-kline', (params) => {
+                const { symbols, interval, marketType = 'spot' } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) {
+                    socket.emit('subscribe-error', { marketType, error: 'Invalid market type. Must be "spot" or "futures"' });
+                    return;
+                }
+
+                const intervals = klineIntervals(marketType);
+                if (!intervals.includes(interval)) {
+                    socket.emit('subscribe-error', {
+                        marketType,
+                        interval,
+                        error: `Invalid interval: ${interval}. Must be one of: ${intervals.join(', ')}`
+                    });
+                    return;
+                }
+
+                const { known: symbolList, unknown } = this.normalizeSymbols(symbols, marketType);
+
+                if (unknown.length > 0) {
+                    socket.emit('subscribe-error', {
+                        marketType,
+                        symbols: unknown,
+                        error: `Unknown ${marketType} symbols: ${unknown.join(', ')}`
+                    });
+                }
+
+                const added = symbolList.filter(symbol => !socket.rooms.has(KlineRelayService.roomName(marketType, symbol, interval))).length;
+                if (!this.withinPlan(socket, { symbols: added }, { marketType, interval, symbols: symbolList })) return;
+
+                symbolList.forEach(symbol => {
+                    try {
+                        this.klineRelay.acquire(marketType, symbol, interval);
+                    } catch (error) {
+                        socket.emit('subscribe-error', { marketType, symbols: [symbol], error: error.message });
+                        return;
+                    }
+                    socket.join(KlineRelayService.roomName(marketType, symbol, interval));
+
+                    // Replay the open candle so the last bar updates right away
+                    const current = this.klineRelay.getCurrent(marketType, symbol, interval);
+                    if (current) {
+                        socket.emit('kline-update', current);
+                    }
+                });
+
+                console.log(`[Binance Relay] ${socket.id} subscribed to ${marketType} ${interval} klines: ${symbolList.join(', ')}`);
+            });
+
+            socket.on('unsubscribe-kline', (params) => {
+                const { symbols, interval, marketType = 'spot' } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) return;
+
+                const { known: symbolList } = this.normalizeSymbols(symbols, marketType);
+
+                symbolList.forEach(symbol => {
+                    const roomName = KlineRelayService.roomName(marketType, symbol, interval);
+                    socket.leave(roomName);
+                    this.klineRelay.release(roomName);
+                });
+
+                console.log(`[Binance Relay] ${socket.id} unsubscribed from ${marketType} ${interval} klines: ${symbolList.join(', ')}`);
+            });
+
+            // Client subscribes to the trade tape
+            // Format: { symbols: ['btcusdt'], marketType: 'spot' | 'futures', batch: false }
+            // batch: true -> periodic trade-batch events instead of one trade event per trade
+            socket.on('subscribe-trades', (params) => {
+                const { symbols, marketType = 'spot', batch = false } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) {
+                    socket.emit('subscribe-error', { marketType, error: 'Invalid market type. Must be "spot" or "futures"' });
+                    return;
+                }
+
+                const { known: symbolList, unknown } = this.normalizeSymbols(symbols, marketType);
+
+                if (unknown.length > 0) {
+                    socket.emit('subscribe-error', {
+                        marketType,
+                        symbols: unknown,
+                        error: `Unknown ${marketType} symbols: ${unknown.join(', ')}`
+                    });
+                }
+
+                // Switching a symbol between live and batched doesn't add one
+                const added = symbolList.filter(symbol => [false, true].every(b => !socket.rooms.has(TradeRelayService.roomName(marketType, symbol, b)))).length;
+                if (!this.withinPlan(socket, { symbols: added }, { marketType, symbols: symbolList })) return;
+
+                symbolList.forEach(symbol => {
+                    try {
+                        this.tradeRelay.acquire(marketType, symbol);
+                    } catch (error) {
+                        socket.emit('subscribe-error', { marketType, symbols: [symbol], error: error.message });
+                        return;
+                    }
+
+                    // One mode per symbol: switching leaves the other room
+                    socket.leave(TradeRelayService.roomName(marketType, symbol, !batch));
+                    socket.join(TradeRelayService.roomName(marketType, symbol, !!batch));
+                });
+
+                console.log(`[Binance Relay] ${socket.id} subscribed to ${marketType} trades${batch ? ' (batched)' : ''}: ${symbolList.join(', ')}`);
+            });
+
+            socket.on('unsubscribe-trades', (params) => {
+                const { symbols, marketType = 'spot' } = params || {};
+                if (!REGISTRY_MARKETS[marketType]) return;
+
+                const { known: symbolList } = this.normalizeSymbols(symbols, marketType);
+
+                symbolList.forEach(symbol => {
+                    [false, true].forEach(batch => socket.leave(TradeRelayService.roomName(marketType, symbol, batch)));
+                    this.tradeRelay.release(TradeRelayService.roomName(marketType, symbol));
+                });
+
+                console.log(`[Binance Relay] ${socket.id} unsubscribed from ${marketType} trades: ${symbolList.join(', ')}`);
+            });
+
+            // Client subscribes to futures mark price / index price / funding (every second)
+            // Format: { symbols: ['btcusdt'] } or { all: true }
+            socket.on('subscribe-mark-price', (params) => {
+                const { symbols, all = false } = params || {};
+
+                if (all) {
+                    if (!socket.rooms.has('mark-price-all') && !this.withinPlan(socket, { feeds: 1 }, { marketType: 'futures' })) return;
+
+                    socket.join('mark-price-all');
+                    const data = Object.fromEntries(Array.from(this.markPrices, ([symbol, mark]) => [symbol, { symbol, ...mark }]));
+                    socket.emit('mark-price-update', { marketType: 'futures', data });
+                    console.log(`[Binance Relay] ${socket.id} subscribed to all futures mark prices`);
+                    return;
+                }
+
+                const { known: symbolList, unknown } = this.normalizeSymbols(symbols, 'futures');
+
+                if (unknown.length > 0) {
+                    socket.emit('subscribe-error', {
+                        marketType: 'futures',
+                        symbols: unknown,
+                        error: `Unknown futures symbols: ${unknown.join(', ')}`
+                    });
+                }
+
+                const added = symbolList.filter(symbol => !socket.rooms.has(`mark-price-${symbol}`)).length;
+                if (!this.withinPlan(socket, { symbols: added }, { marketType: 'futures', symbols: symbolList })) return;
+
+                const data = {};
+                symbolList.forEach(symbol => {
+                    socket.join(`mark-price-${symbol}`);
+                    if (this.markPrices.has(symbol)) {
+                        data[symbol] = { symbol, ...this.markPrices.get(symbol) };
+                    }
+                });
+
+                if (Object.keys(data).length > 0) {
+                    socket.emit('mark-price-update', { marketType: 'futures', data });
+                }
+
+                console.log(`[Binance Relay] ${socket.id} subscribed to futures mark prices: ${symbolList.join(', ')}`);
+            });
+
+            socket.on('unsubscribe-mark-price', (params) => {
+                const { symbols, all = false } = params || {};
+
+                if (all) {
+                    socket.leave('mark-price-all');
+                    return;
+                }
+
+                const { known: symbolList } = this.normalizeSymbols(symbols, 'futures');
+                symbolList.forEach(symbol => {
+                    socket.leave(`mark-price-${symbol}`);
+                });
+            });
+
+            // Rooms are still known here (not in 'disconnect'); each relay ignores rooms that aren't its own
+            socket.on('disconnecting', () => {
+                socket.rooms.forEach(room => {
+                    this.depthRelay.release(room);
+                    this.klineRelay.release(room);
+                    this.tradeRelay.release(room);
+                });
             });
 
             // Get connection status
@@ -339,8 +1142,12 @@ class BinanceRelayService {
                 socket.emit('status', {
                     spotConnected: this.spotConnected,
                     futuresConnected: this.futuresConnected,
+                    spotStale: this.feeds.spot.stale,
+                    futuresStale: this.feeds.futures.stale,
                     spotCacheSize: this.spotCache.size,
-                    futuresCacheSize: this.futuresCache.size
+                    futuresCacheSize: this.futuresCache.size,
+                    plan: socket.data.access.plan,
+                    usage: RelayAccessControl.usage(socket)
                 });
             });
 
@@ -351,15 +1158,14 @@ class BinanceRelayService {
     }
 
     /**
-     * Schedule reconnection with exponential backoff
+     * Schedule reconnection with exponential backoff (capped, never gives up;
+     * REST polling covers the gap)
      */
     scheduleReconnect(type) {
-        const attempts = type === 'spot' ? this.spotReconnectAttempts : this.futuresReconnectAttempts;
+        const feed = this.feeds[type];
+        if (this.stopped || feed.reconnectTimer) return;
 
-        if (attempts >= this.maxReconnectAttempts) {
-            console.error(`[Binance Relay] Max reconnect attempts reached for ${type}`);
-            return;
-        }
+        const attempts = type === 'spot' ? this.spotReconnectAttempts : this.futuresReconnectAttempts;
 
         if (type === 'spot') {
             this.spotReconnectAttempts++;
@@ -367,11 +1173,12 @@ class BinanceRelayService {
             this.futuresReconnectAttempts++;
         }
 
-        const delay = Math.min(1000 * Math.pow(2, attempts), 30000);
+        const delay = Math.min(1000 * Math.pow(2, attempts), MAX_RECONNECT_DELAY_MS);
 
-        console.log(`[Binance Relay] Reconnecting ${type} in ${delay}ms (attempt ${attempts + 1}/${this.maxReconnectAttempts})`);
+        console.log(`[Binance Relay] Reconnecting ${type} in ${delay}ms (attempt ${attempts + 1})`);
 
-        setTimeout(() => {
+        feed.reconnectTimer = setTimeout(() => {
+            feed.reconnectTimer = null;
             if (type === 'spot') {
                 this.connectToSpot();
             } else {
@@ -397,9 +1204,41 @@ class BinanceRelayService {
     /**
      * Get specific ticker from cache
      */
-    getTicker(symbol, marketType = 'spot') {
-        const cache = marketType === 'futures' ? this.futuresCache : this.spotCache;
-        return cache.get(symbol.toLowerCase());
+    getTicker(symbol, marketType = 'spot', exchange = 'binance') {
+        const venue = this.tickerVenue(exchange, marketType);
+        if (!venue) return undefined;
+
+        const [normalized] = this.normalizeSymbols(symbol, marketType, venue.exchange).known;
+        return normalized ? venue.cache.get(normalized) : undefined;
+    }
+
+    /**
+     * All cached tickers of an exchange market (null if the exchange has no feed for it)
+     */
+    getTickerCache(exchange, marketType) {
+        const venue = this.tickerVenue(exchange, marketType);
+        return venue ? Object.fromEntries(venue.cache) : null;
+    }
+
+    /**
+     * Ticker feed health of a market
+     * source: where tickers currently come from ('websocket', 'rest', or null while neither delivers)
+     */
+    getFeedStatus(marketType) {
+        const feed = this.feeds[marketType];
+        const connected = marketType === 'spot' ? this.spotConnected : this.futuresConnected;
+
+        return {
+            connected,
+            stale: feed.stale,
+            source: feed.stale ? null : (this.marketData.simulated ? this.marketData.mode : (feed.polling ? 'rest' : 'websocket')),
+            lastMessageAt: feed.lastMessageAt || null,
+            lastUpdateAt: feed.lastUpdateAt || null,
+            reconnectAttempts: marketType === 'spot' ? this.spotReconnectAttempts : this.futuresReconnectAttempts,
+            polling: feed.polling,
+            restored: feed.restored.size,
+            snapshotSavedAt: feed.savedAt || null,
+        };
     }
 
     /**
@@ -409,8 +1248,26 @@ class BinanceRelayService {
         return {
             spotConnected: this.spotConnected,
             futuresConnected: this.futuresConnected,
+            spotStale: this.feeds.spot.stale,
+            futuresStale: this.feeds.futures.stale,
             spotCacheSize: this.spotCache.size,
             futuresCacheSize: this.futuresCache.size,
+            markPrice: {
+                symbols: this.markPrices.size,
+                lastUpdateAt: this.markPriceUpdatedAt || null,
+            },
+            feeds: {
+                spot: this.getFeedStatus('spot'),
+                futures: this.getFeedStatus('futures'),
+            },
+            depth: this.depthRelay.getStatus(),
+            klines: this.klineRelay.getStatus(),
+            trades: this.tradeRelay.getStatus(),
+            wsGateway: this.wsGateway.getStatus(),
+            venues: this.venueTickers.getStatus(),
+            access: this.access.getStatus(),
+            marketData: this.marketData.getStatus(),
+            binanceRequests: getBinanceScheduler().getStatus(),
             uptime: process.uptime()
         };
     }
@@ -421,6 +1278,20 @@ class BinanceRelayService {
     stop() {
         console.log('[Binance Relay] Stopping relay service...');
 
+        // No reconnects or polls from here on
+        this.stopped = true;
+        clearInterval(this.feedCheckTimer);
+        clearInterval(this.snapshotTimer);
+        this.unsubscribeMarkPrices?.();
+        this.unsubscribeMarkPrices = null;
+        this.unsubscribeSourceTickers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribeSourceTickers = [];
+        ['spot', 'futures'].forEach(marketType => {
+            this.stopPolling(marketType);
+            clearTimeout(this.feeds[marketType].reconnectTimer);
+            this.feeds[marketType].reconnectTimer = null;
+        });
+
         if (this.spotWs) {
             this.spotWs.close();
             this.spotWs = null;
@@ -431,6 +1302,12 @@ class BinanceRelayService {
             this.futuresWs = null;
         }
 
+        this.depthRelay.stop();
+        this.klineRelay.stop();
+        this.tradeRelay.stop();
+        this.wsGateway.stop();
+        this.venueTickers.stop();
+
         this.spotConnected = false;
         this.futuresConnected = false;
 
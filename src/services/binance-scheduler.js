@@ -0,0 +1,374 @@
+/**
+ * Binance Request Scheduler
+ *
+ * Every REST call to Binance (api / fapi / dapi) goes through one scheduler,
+ * so the whole process shares a single view of the IP's request weight:
+ * - Weight: a request's weight is estimated from its endpoint before it is
+ *   sent, and the minute's count is raised to Binance's own figure from the
+ *   X-MBX-USED-WEIGHT-1M response header. Requests wait in the queue while the
+ *   current minute's budget is spent.
+ * - Priority: `interactive` requests (a client is waiting for the answer) are
+ *   sent before `background` ones (pollers, alerts, market cap history) and
+ *   may use more of the budget, so background work always leaves headroom.
+ * - Dedup: a URL that is already queued or in flight shares that request's
+ *   response instead of being sent again.
+ * - Circuit breaker: a 429 or 418 pauses the host for its Retry-After. Queued
+ *   and new requests fail with BinanceRateLimitError meanwhile instead of
+ *   extending the ban, and afterwards a single request probes the host before
+ *   the queue opens up again.
+ *
+ * Responses are read once and handed out as { ok, status, headers, text(), json() },
+ * so every caller sharing a deduplicated request can read the body.
+ */
+
+import fetch from 'node-fetch';
+
+// Request weight per minute and IP, per host
+const WEIGHT_LIMITS = {
+  'api.binance.com': 6000,
+  'fapi.binance.com': 2400,
+  'dapi.binance.com': 2400,
+};
+
+const WEIGHT_WINDOW_MS = 60000;
+
+// Share of the weight limit a request may take the minute's count to, and how long it may queue
+export const PRIORITIES = {
+  interactive: { budget: 0.9, maxWaitMs: 10000 },
+  background: { budget: 0.6, maxWaitMs: 60000 },
+};
+
+const MAX_IN_FLIGHT = 10; // per host
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// Pause when a 429 / 418 comes without Retry-After (seconds)
+const DEFAULT_BAN_SECONDS = { 429: 60, 418: 120 };
+
+/**
+ * Weight of an endpoint whose cost grows with `limit`: steps of [max limit, weight]
+ */
+function limitWeight(defaultLimit, steps) {
+  return (params) => {
+    const limit = Number(params.get('limit')) || defaultLimit;
+    return (steps.find(([max]) => limit <= max) || steps[steps.length - 1])[1];
+  };
+}
+
+const FUTURES_KLINES_WEIGHT = limitWeight(500, [[99, 1], [499, 2], [1000, 5], [Infinity, 10]]);
+
+// Endpoint weights from Binance's API docs
+const ENDPOINT_WEIGHTS = {
+  '/api/v3/klines': 2,
+  '/api/v3/aggTrades': 4,
+  '/api/v3/exchangeInfo': 20,
+  '/api/v3/depth': limitWeight(100, [[100, 5], [500, 25], [1000, 50], [Infinity, 250]]),
+  '/api/v3/ticker/24hr': (params) => {
+    if (params.has('symbol')) return 2;
+    if (!params.has('symbols')) return 80;
+    const count = params.get('symbols').split(',').length;
+    return count <= 20 ? 2 : count <= 100 ? 40 : 80;
+  },
+  '/fapi/v1/klines': FUTURES_KLINES_WEIGHT,
+  '/fapi/v1/aggTrades': 20,
+  '/fapi/v1/exchangeInfo': 1,
+  '/fapi/v1/depth': limitWeight(500, [[50, 2], [100, 5], [500, 10], [Infinity, 20]]),
+  '/fapi/v1/ticker/24hr': (params) => (params.has('symbol') ? 1 : 40),
+  '/fapi/v1/fundingRate': 1,
+  '/fapi/v1/openInterest': 1,
+  '/dapi/v1/klines': FUTURES_KLINES_WEIGHT,
+  '/dapi/v1/exchangeInfo': 1,
+  '/dapi/v1/fundingRate': 1,
+  '/futures/data/openInterestHist': 1,
+};
+
+// Endpoints missing from the table
+const DEFAULT_WEIGHT = 5;
+
+function estimateWeight({ pathname, searchParams }) {
+  const weight = ENDPOINT_WEIGHTS[pathname] ?? DEFAULT_WEIGHT;
+  return typeof weight === 'function' ? weight(searchParams) : weight;
+}
+
+/**
+ * A request that wasn't sent: the host is paused after a rate limit, or the
+ * request waited in the queue longer than its priority allows
+ * reason: circuit_open | queue_timeout
+ */
+export class BinanceRateLimitError extends Error {
+  constructor(message, { reason, host, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'BinanceRateLimitError';
+    this.reason = reason;
+    this.host = host;
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+/**
+ * Response whose body has already been read, readable any number of times
+ */
+function settledResponse(response, text) {
+  return {
+    ok: response.ok,
+    status: response.status,
+    headers: response.headers,
+    text: async () => text,
+    json: async () => JSON.parse(text),
+  };
+}
+
+export class BinanceRequestScheduler {
+  constructor() {
+    this.hosts = new Map(); // hostname -> { limit, used, windowStart, inFlight, queues, pausedUntil, probing, ... }
+    this.pending = new Map(); // url -> queued or in-flight request
+    this.stats = { requests: 0, sent: 0, deduplicated: 0, rejected: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Whether a URL is a Binance REST endpoint (and must be sent through request())
+   */
+  handles(url) {
+    return Object.hasOwn(WEIGHT_LIMITS, new URL(url).hostname);
+  }
+
+  /**
+   * Queue a GET request
+   * @param {string} url - Binance REST URL
+   * @param {{priority?: 'interactive'|'background', timeoutMs?: number}} options
+   * @returns {Promise<{ok: boolean, status: number, headers: object, text: () => Promise<string>, json: () => Promise<any>}>}
+   *   any HTTP status, like fetch
+   * @throws {BinanceRateLimitError} if the request wasn't sent; network errors and
+   *   timeouts (AbortError) are thrown as by fetch
+   */
+  request(url, { priority = 'interactive', timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+    if (!PRIORITIES[priority]) {
+      return Promise.reject(new Error(`Unknown request priority "${priority}"`));
+    }
+
+    const parsed = new URL(url);
+    const host = this.getHost(parsed.hostname);
+    this.stats.requests++;
+
+    const existing = this.pending.get(url);
+    if (existing) {
+      this.stats.deduplicated++;
+      if (existing.queued && priority === 'interactive' && existing.priority !== priority) {
+        this.promote(host, existing, priority);
+      }
+      return existing.promise;
+    }
+
+    if (host.pausedUntil > Date.now()) {
+      this.stats.rejected++;
+      return Promise.reject(this.pausedError(host));
+    }
+
+    const entry = { url, priority, weight: estimateWeight(parsed), timeoutMs, queued: true, waitTimer: null };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    this.enqueue(host, entry);
+    this.pending.set(url, entry);
+    this.pump(host);
+
+    return entry.promise;
+  }
+
+  getHost(name) {
+    let host = this.hosts.get(name);
+    if (!host) {
+      host = {
+        name,
+        limit: WEIGHT_LIMITS[name],
+        windowStart: 0,
+        used: 0, // this minute's weight: our estimates, raised to the header's count
+        inFlight: 0,
+        queues: Object.fromEntries(Object.keys(PRIORITIES).map(priority => [priority, []])),
+        timer: null,
+        pausedUntil: 0,
+        probing: false, // after a pause: one request at a time until one succeeds
+      };
+      this.hosts.set(name, host);
+    }
+    return host;
+  }
+
+  rollWindow(host, now = Date.now()) {
+    const windowStart = now - (now % WEIGHT_WINDOW_MS);
+    if (windowStart !== host.windowStart) {
+      host.windowStart = windowStart;
+      host.used = 0;
+    }
+  }
+
+  enqueue(host, entry) {
+    host.queues[entry.priority].push(entry);
+    entry.waitTimer = setTimeout(() => this.expire(host, entry), PRIORITIES[entry.priority].maxWaitMs);
+  }
+
+  /**
+   * Move a queued background request up when a client asks for the same URL
+   */
+  promote(host, entry, priority) {
+    const queue = host.queues[entry.priority];
+    queue.splice(queue.indexOf(entry), 1);
+    clearTimeout(entry.waitTimer);
+
+    entry.priority = priority;
+    this.enqueue(host, entry);
+    this.pump(host);
+  }
+
+  /**
+   * Send whatever the weight budget, the concurrency cap and the circuit allow
+   */
+  pump(host) {
+    clearTimeout(host.timer);
+    host.timer = null;
+
+    const now = Date.now();
+    this.rollWindow(host, now);
+
+    if (host.pausedUntil > now) {
+      this.rejectQueued(host);
+      return;
+    }
+
+    while (host.inFlight < (host.probing ? 1 : MAX_IN_FLIGHT)) {
+      const priority = Object.keys(PRIORITIES).find(p => host.queues[p].length > 0);
+      if (!priority) return;
+
+      const entry = host.queues[priority][0];
+      if (host.used + entry.weight > host.limit * PRIORITIES[priority].budget) {
+        // Budget spent: wait for the next minute
+        host.timer = setTimeout(() => this.pump(host), host.windowStart + WEIGHT_WINDOW_MS - now);
+        return;
+      }
+
+      host.queues[priority].shift();
+      this.send(host, entry);
+    }
+  }
+
+  async send(host, entry) {
+    entry.queued = false;
+    clearTimeout(entry.waitTimer);
+
+    host.inFlight++;
+    host.used += entry.weight;
+    const windowStart = host.windowStart;
+    this.stats.sent++;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), entry.timeoutMs);
+
+    try {
+      const response = await fetch(entry.url, { signal: controller.signal });
+      const text = await response.text();
+
+      // Binance's count covers every client of this IP; ignore it if the minute rolled over meanwhile
+      const used = parseInt(response.headers.get('x-mbx-used-weight-1m') ?? response.headers.get('x-mbx-used-weight'));
+      this.rollWindow(host);
+      if (Number.isFinite(used) && host.windowStart === windowStart) {
+        host.used = Math.max(host.used, used);
+      }
+
+      if (response.status === 418 || response.status === 429) {
+        this.pause(host, response);
+      } else {
+        host.probing = false;
+      }
+
+      entry.resolve(settledResponse(response, text));
+    } catch (error) {
+      entry.reject(error);
+    } finally {
+      clearTimeout(timeout);
+      host.inFlight--;
+      this.pending.delete(entry.url);
+      this.pump(host);
+    }
+  }
+
+  /**
+   * Open the circuit after a 429 (weight exceeded) or 418 (IP banned)
+   */
+  pause(host, response) {
+    const seconds = parseInt(response.headers.get('retry-after')) || DEFAULT_BAN_SECONDS[response.status];
+    host.pausedUntil = Math.max(host.pausedUntil, Date.now() + seconds * 1000);
+    host.probing = true;
+    this.stats.rateLimited++;
+
+    console.warn(`[Binance Scheduler] ${host.name} answered ${response.status}, pausing requests for ${seconds}s`);
+  }
+
+  pausedError(host) {
+    const retryAfter = Math.ceil((host.pausedUntil - Date.now()) / 1000);
+    return new BinanceRateLimitError(`Binance is rate limiting ${host.name}, retry in ${retryAfter}s`, {
+      reason: 'circuit_open',
+      host: host.name,
+      retryAfter,
+    });
+  }
+
+  rejectQueued(host) {
+    Object.values(host.queues).forEach(queue => {
+      queue.splice(0).forEach(entry => {
+        clearTimeout(entry.waitTimer);
+        this.pending.delete(entry.url);
+        this.stats.rejected++;
+        entry.reject(this.pausedError(host));
+      });
+    });
+  }
+
+  /**
+   * Give up on a request that couldn't get weight in time
+   */
+  expire(host, entry) {
+    const queue = host.queues[entry.priority];
+    const index = queue.indexOf(entry);
+    if (index === -1) return;
+
+    queue.splice(index, 1);
+    this.pending.delete(entry.url);
+    this.stats.rejected++;
+
+    const retryAfter = Math.ceil((host.windowStart + WEIGHT_WINDOW_MS - Date.now()) / 1000);
+    entry.reject(new BinanceRateLimitError(`Binance ${host.name} request weight budget spent, retry in ${retryAfter}s`, {
+      reason: 'queue_timeout',
+      host: host.name,
+      retryAfter,
+    }));
+  }
+
+  getStatus() {
+    const now = Date.now();
+    const hosts = {};
+
+    this.hosts.forEach(host => {
+      this.rollWindow(host, now);
+      hosts[host.name] = {
+        limit: host.limit,
+        usedWeight: host.used,
+        inFlight: host.inFlight,
+        queued: Object.fromEntries(Object.entries(host.queues).map(([priority, queue]) => [priority, queue.length])),
+        circuit: host.pausedUntil > now ? 'open' : host.probing ? 'half-open' : 'closed',
+        pausedUntil: host.pausedUntil > now ? host.pausedUntil : null,
+      };
+    });
+
+    return { ...this.stats, hosts };
+  }
+}
+
+let binanceScheduler = null;
+
+export function getBinanceScheduler() {
+  if (!binanceScheduler) {
+    binanceScheduler = new BinanceRequestScheduler();
+  }
+  return binanceScheduler;
+}
@@ -0,0 +1,311 @@
+/**
+ * Binance Combined Stream Client
+ *
+ * One WebSocket per market for per-symbol streams (depth, klines, trades, ...),
+ * shared by every relay feature that needs them:
+ * - Streams are subscribed/unsubscribed on the live connection (SUBSCRIBE /
+ *   UNSUBSCRIBE frames) and ref-counted across listeners
+ * - Control frames go out at most every FRAME_INTERVAL_MS: changes wait in the
+ *   pending sets, where a subscribe and an unsubscribe of the same stream cancel
+ *   out, and each frame takes up to MAX_PARAMS_PER_FRAME of them
+ * - Binance rejects a whole frame for one bad stream name: the frame's streams
+ *   are retried one per frame, and a stream rejected on its own is dropped and
+ *   its listeners get onError()
+ * - The connection is opened on the first subscription and closed after the last
+ * - On reconnect all streams are resubscribed (through the same throttle) and
+ *   listeners get onReset(), since anything sent while disconnected is lost
+ */
+
+import WebSocket from 'ws';
+
+const STREAM_URLS = {
+    spot: 'wss://stream.binance.com:9443/stream',
+    futures: 'wss://fstream.binance.com/stream',
+};
+
+// Binance allows 1024 streams per connection and 5 incoming frames per second
+// (spot; futures allows 10) before it drops the connection
+const MAX_STREAMS = 1024;
+const MAX_PARAMS_PER_FRAME = 200;
+const FRAME_INTERVAL_MS = 250;
+
+export class BinanceStreamClient {
+    constructor(marketType, url = STREAM_URLS[marketType]) {
+        this.marketType = marketType;
+        this.url = url;
+        this.tag = `[Binance Streams ${marketType}]`;
+
+        this.ws = null;
+        this.connected = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+
+        this.listeners = new Map(); // stream -> Set<{ onMessage, onReset }>
+        this.pending = { SUBSCRIBE: new Set(), UNSUBSCRIBE: new Set() };
+        this.isolated = new Set(); // streams to subscribe one per frame after a batch was rejected
+        this.requests = new Map(); // request id -> { method, params } awaiting a reply
+        this.flushTimer = null;
+        this.lastFrameAt = 0;
+        this.requestId = 0;
+    }
+
+    /**
+     * Listen to a stream (e.g. 'btcusdt@depth@100ms')
+     * onError is called if Binance rejects the stream; the listener is dropped then.
+     * @param {{onMessage: (data: object) => void, onReset?: () => void, onError?: (error: Error) => void}} listener
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(stream, listener) {
+        let listeners = this.listeners.get(stream);
+        if (!listeners) {
+            if (this.listeners.size >= MAX_STREAMS) {
+                throw new Error(`Stream limit reached (${MAX_STREAMS}) on ${this.marketType}`);
+            }
+            listeners = new Set();
+            this.listeners.set(stream, listeners);
+            this.queue('SUBSCRIBE', stream);
+        }
+        listeners.add(listener);
+
+        this.connect();
+
+        return () => {
+            listeners.delete(listener);
+            if (listeners.size === 0 && this.listeners.get(stream) === listeners) {
+                this.listeners.delete(stream);
+                this.queue('UNSUBSCRIBE', stream);
+            }
+        };
+    }
+
+    /**
+     * Queue a stream change for the next control frame
+     */
+    queue(method, stream) {
+        if (method === 'UNSUBSCRIBE' && this.isolated.delete(stream)) return; // never subscribed
+
+        const opposite = method === 'SUBSCRIBE' ? 'UNSUBSCRIBE' : 'SUBSCRIBE';
+        if (this.pending[opposite].delete(stream)) return; // cancels out
+
+        this.pending[method].add(stream);
+        this.scheduleFlush();
+    }
+
+    /**
+     * Flush on the next tick, or once FRAME_INTERVAL_MS has passed since the last frame
+     */
+    scheduleFlush() {
+        if (this.flushTimer) return;
+
+        const delay = Math.max(0, this.lastFrameAt + FRAME_INTERVAL_MS - Date.now());
+        this.flushTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Send one control frame: unsubscribes first, then subscribes, then isolated retries
+     */
+    flush() {
+        this.flushTimer = null;
+
+        // Nothing left: drop the connection instead of unsubscribing one by one
+        if (this.listeners.size === 0) {
+            this.pending.SUBSCRIBE.clear();
+            this.pending.UNSUBSCRIBE.clear();
+            this.isolated.clear();
+            this.close();
+            return;
+        }
+
+        // Not open yet: everything is queued again on open
+        if (!this.connected) return;
+
+        const method = this.pending.UNSUBSCRIBE.size > 0 ? 'UNSUBSCRIBE' : 'SUBSCRIBE';
+        let params = [...this.pending[method]].slice(0, MAX_PARAMS_PER_FRAME);
+        params.forEach(stream => this.pending[method].delete(stream));
+
+        if (params.length === 0 && this.isolated.size > 0) {
+            const [stream] = this.isolated;
+            this.isolated.delete(stream);
+            params = [stream];
+        }
+        if (params.length === 0) return;
+
+        this.send(method, params);
+
+        if (this.pending.UNSUBSCRIBE.size + this.pending.SUBSCRIBE.size + this.isolated.size > 0) {
+            this.scheduleFlush();
+        }
+    }
+
+    send(method, params) {
+        const id = ++this.requestId;
+        this.requests.set(id, { method, params });
+        this.lastFrameAt = Date.now();
+        this.ws.send(JSON.stringify({ method, params, id }));
+    }
+
+    /**
+     * A control frame was rejected: retry a batch's streams one by one, drop a lone stream
+     */
+    handleRejected(request, error) {
+        const { method, params } = request;
+        const reason = error.msg || JSON.stringify(error);
+
+        if (method !== 'SUBSCRIBE') {
+            console.error(`${this.tag} ${method} ${params.length} stream(s) failed:`, reason);
+            return;
+        }
+
+        const listened = params.filter(stream => this.listeners.has(stream));
+        if (params.length > 1) {
+            console.error(`${this.tag} SUBSCRIBE of ${params.length} streams failed (${reason}), retrying them one by one`);
+            listened.forEach(stream => this.isolated.add(stream));
+            if (this.isolated.size > 0) this.scheduleFlush();
+            return;
+        }
+
+        listened.forEach(stream => {
+            console.error(`${this.tag} ${stream} rejected:`, reason);
+            const listeners = this.listeners.get(stream);
+            this.listeners.delete(stream);
+            listeners.forEach(listener => {
+                try {
+                    listener.onError?.(new Error(`Binance rejected ${stream}: ${reason}`));
+                } catch (handlerError) {
+                    console.error(`${this.tag} ${stream} error handler failed:`, handlerError.message);
+                }
+            });
+        });
+
+        if (this.listeners.size === 0) this.scheduleFlush();
+    }
+
+    connect() {
+        if (this.ws || this.reconnectTimer) return;
+
+        console.log(`${this.tag} Connecting...`);
+
+        try {
+            const ws = new WebSocket(this.url);
+            this.ws = ws;
+
+            ws.on('open', () => {
+                console.log(`${this.tag} ✅ Connected (${this.listeners.size} streams)`);
+                this.connected = true;
+                this.reconnectAttempts = 0;
+
+                this.requests.clear();
+                this.pending.UNSUBSCRIBE.clear();
+                this.pending.SUBSCRIBE = new Set([...this.listeners.keys()].filter(stream => !this.isolated.has(stream)));
+                this.scheduleFlush();
+            });
+
+            ws.on('message', (data) => this.handleMessage(data));
+
+            ws.on('close', () => {
+                if (this.ws !== ws) return; // closed on purpose
+                console.log(`${this.tag} Connection closed`);
+                this.ws = null;
+                this.connected = false;
+                this.requests.clear();
+                this.resetListeners();
+                this.scheduleReconnect();
+            });
+
+            ws.on('error', (error) => {
+                console.error(`${this.tag} WebSocket error:`, error.message);
+            });
+        } catch (error) {
+            console.error(`${this.tag} Failed to connect:`, error.message);
+            this.ws = null;
+            this.scheduleReconnect();
+        }
+    }
+
+    handleMessage(data) {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            console.error(`${this.tag} Parse error:`, error.message);
+            return;
+        }
+
+        // Control frame responses: { result: null, id } or { error, id }
+        if (message.id !== undefined) {
+            const request = this.requests.get(message.id);
+            this.requests.delete(message.id);
+            if (message.error) {
+                if (request) this.handleRejected(request, message.error);
+                else console.error(`${this.tag} Request ${message.id} failed:`, message.error.msg || message.error);
+            }
+            return;
+        }
+
+        const listeners = this.listeners.get(message.stream);
+        if (!listeners) return;
+
+        listeners.forEach(listener => {
+            try {
+                listener.onMessage(message.data);
+            } catch (error) {
+                console.error(`${this.tag} ${message.stream} handler error:`, error.message);
+            }
+        });
+    }
+
+    resetListeners() {
+        this.listeners.forEach(listeners => listeners.forEach(listener => listener.onReset?.()));
+    }
+
+    /**
+     * Reconnect with exponential backoff (capped at 30s) while anyone is listening
+     */
+    scheduleReconnect() {
+        if (this.listeners.size === 0) return;
+
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), 30000);
+        this.reconnectAttempts++;
+
+        console.log(`${this.tag} Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.listeners.size > 0) this.connect();
+        }, delay);
+    }
+
+    close() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            this.connected = false;
+            ws.close();
+            console.log(`${this.tag} Closed (no streams left)`);
+        }
+    }
+
+    getStatus() {
+        return {
+            connected: this.connected,
+            streams: this.listeners.size,
+            pending: this.pending.SUBSCRIBE.size + this.pending.UNSUBSCRIBE.size + this.isolated.size,
+        };
+    }
+}
+
+// One client per market type
+const clients = new Map();
+
+export function getBinanceStreams(marketType) {
+    if (!STREAM_URLS[marketType]) {
+        throw new Error(`Unknown market type: ${marketType}`);
+    }
+    if (!clients.has(marketType)) {
+        clients.set(marketType, new BinanceStreamClient(marketType));
+    }
+    return clients.get(marketType);
+}
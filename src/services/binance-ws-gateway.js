@@ -0,0 +1,487 @@
+/**
+ * Binance WebSocket Gateway
+ *
+ * Plain WebSocket endpoint speaking Binance's stream protocol, for tools and
+ * chart libraries that expect it instead of Socket.io. Paths mirror
+ * stream.binance.com (spot) and fstream.binance.com (futures, under /futures):
+ * - /ws, /ws/<stream>[/<stream>...]: raw payloads
+ * - /stream, /stream?streams=<stream>/<stream>: combined payloads ({ stream, data })
+ * - /futures/ws/..., /futures/stream?... (and /spot/... as an explicit alias)
+ * Clients manage streams with the same JSON frames and replies as Binance:
+ * SUBSCRIBE, UNSUBSCRIBE, LIST_SUBSCRIPTIONS, SET_PROPERTY / GET_PROPERTY (combined).
+ *
+ * No upstream connection is opened per client: !ticker@arr comes from the
+ * relay's own ticker connections, every other stream rides the market's shared
+ * combined-stream connection (binance-streams.js), ref-counted across clients.
+ *
+ * Limits, since that shared connection also carries the relay's own streams:
+ * - Connections go through the relay's access control (relay-access.js): a
+ *   token in the Authorization header or the accessToken cookie picks the plan,
+ *   and gateway connections share the plan's connection slots with Socket.io
+ *   ones. On top of that, MAX_CONNECTIONS_PER_IP per address whatever the plan.
+ *   Refused upgrades get a plain HTTP 401 / 429 with { code, msg }.
+ * - Streams must name a symbol the registry knows for that market (symbol-registry.js)
+ *   and a Binance stream type; all-market streams come from a fixed list.
+ * - Each <symbol>@... stream counts as one symbol and each !... stream as one
+ *   feed against the plan's subscription limits.
+ * - All clients together hold at most MAX_UPSTREAM_STREAMS streams per market.
+ */
+
+import { STATUS_CODES } from 'http';
+import WebSocket, { WebSocketServer } from 'ws';
+import { getMarketDataSource } from './market-data-source.js';
+import { getSymbolRegistry } from './symbol-registry.js';
+
+const PATH_PATTERN = /^\/(?:(spot|futures)\/)?(ws|stream)(?:\/(.*))?$/;
+
+// <symbol>@<type>[@<option>...] or !<name>[@arr...]; streamError() checks the parts
+const STREAM_PATTERN = /^!?[a-zA-Z0-9_]+(?:@[a-zA-Z0-9_]+)*$/;
+
+// Stream types after <symbol>@, and the options that may follow them (depth@100ms, markPrice@1s)
+const STREAM_TYPE_PATTERN = /^(?:aggTrade|trade|kline_\w+|depth(?:5|10|20)?|bookTicker|ticker(?:_(?:1h|4h|1d))?|miniTicker|avgPrice|markPrice|forceOrder)$/;
+const STREAM_OPTION_PATTERN = /^(?:100ms|250ms|500ms|1000ms|1s)$/;
+
+const ALL_MARKET_STREAMS = new Set([
+    '!ticker@arr', '!miniTicker@arr', '!bookTicker',
+    '!ticker_1h@arr', '!ticker_4h@arr', '!ticker_1d@arr',
+    '!markPrice@arr', '!markPrice@arr@1s', '!forceOrder@arr',
+]);
+
+const REGISTRY_MARKETS = { spot: 'spot', futures: 'linear' };
+
+// Streams served from the relay's ticker connections instead of the shared stream client
+const RELAY_TICKER_STREAM = '!ticker@arr';
+
+const MAX_CLIENT_STREAMS = 200;
+
+// The shared upstream connection holds 1024 streams for everyone, the relay's own included
+const MAX_UPSTREAM_STREAMS = 256;
+
+const MAX_CONNECTIONS_PER_IP = 10;
+
+const MAX_FRAME_BYTES = 64 * 1024;
+
+// Clients that stop reading are dropped rather than buffered without end
+const MAX_BUFFERED_BYTES = 8 * 1024 * 1024;
+
+const HEARTBEAT_MS = 30000;
+
+// RFC 6455 close reasons are capped in bytes; ws throws past it
+const MAX_CLOSE_REASON_BYTES = 123;
+
+// Binance's error codes for control frames
+const ERRORS = {
+    UNKNOWN_PROPERTY: 0,
+    INVALID_VALUE: 1,
+    INVALID_REQUEST: 2,
+    INVALID_JSON: 3,
+};
+
+function gatewayError(message, data) {
+    const error = new Error(message);
+    error.data = data;
+    return error;
+}
+
+/**
+ * Cut a close reason to the protocol's byte limit, on a character boundary
+ */
+function closeReason(text) {
+    const bytes = Buffer.from(text);
+    if (bytes.length <= MAX_CLOSE_REASON_BYTES) return text;
+
+    let end = MAX_CLOSE_REASON_BYTES;
+    while (end > 0 && (bytes[end] & 0xC0) === 0x80) end--; // UTF-8 continuation byte
+    return bytes.subarray(0, end).toString();
+}
+
+/**
+ * Why a stream can't be subscribed to on this market, or null when it can.
+ * The reason never contains the client's stream name; callers add it where it's safe to echo.
+ */
+function streamError(marketType, stream) {
+    if (typeof stream !== 'string' || !STREAM_PATTERN.test(stream)) return 'invalid stream name';
+    if (stream.startsWith('!')) {
+        return ALL_MARKET_STREAMS.has(stream) ? null : 'unsupported stream';
+    }
+
+    const [symbol, type, ...options] = stream.split('@');
+    if (!STREAM_TYPE_PATTERN.test(type) || !options.every(option => STREAM_OPTION_PATTERN.test(option))) {
+        return 'unsupported stream';
+    }
+
+    // Replay and synthetic data have no upstream connection to protect
+    if (getMarketDataSource().simulated) return null;
+
+    const instrument = getSymbolRegistry().find('binance', REGISTRY_MARKETS[marketType], symbol);
+    if (instrument === undefined) return 'symbol list not loaded yet, retry shortly';
+    if (!instrument || instrument.id.toLowerCase() !== symbol.toLowerCase()) {
+        return `unknown ${marketType} symbol`;
+    }
+    return null;
+}
+
+class BinanceWsGateway {
+    constructor(relay) {
+        this.relay = relay;
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_FRAME_BYTES });
+        this.clients = new Set();
+        this.streams = new Map(); // `${marketType} ${stream}` -> { marketType, stream, clients: Set, unsubscribe }
+        this.addresses = new Map(); // address -> open gateway connections
+        this.connectionCount = 0;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Take over WebSocket upgrades on the gateway's paths; anything else
+     * (e.g. /socket.io/) is left to the other upgrade listeners
+     */
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => {
+            const url = new URL(req.url, 'http://localhost');
+            const match = PATH_PATTERN.exec(url.pathname);
+            if (!match) return;
+
+            const [, marketType = 'spot', kind, path] = match;
+            const combined = kind === 'stream';
+            const streams = (combined ? url.searchParams.get('streams') : path)?.split('/').filter(Boolean) || [];
+
+            let admitted = null;
+            this.admit(req).then((access) => {
+                admitted = access;
+                // One release path whatever happens next: the TCP socket closes with the WebSocket
+                socket.once('close', () => this.release(access));
+                if (socket.destroyed) {
+                    this.release(access);
+                    return;
+                }
+                this.wss.handleUpgrade(req, socket, head, (ws) => this.handleConnection(ws, access, marketType, combined, streams));
+            }, (error) => {
+                if (!error.data) console.error('[WS Gateway] Admission failed:', error.message);
+                this.refuse(socket, error);
+            }).catch((error) => {
+                console.error('[WS Gateway] Upgrade failed:', error.message);
+                if (admitted) this.release(admitted);
+                socket.destroy();
+            });
+        });
+
+        this.heartbeatTimer = setInterval(() => this.checkAlive(), HEARTBEAT_MS);
+        console.log('[WS Gateway] Listening on /ws, /stream (spot) and /futures/ws, /futures/stream');
+    }
+
+    /**
+     * Resolve the plan and take a connection slot, both from the relay's access
+     * control and from the address's gateway allowance
+     * @throws {Error} with data.code AUTH_FAILED, AUTH_REQUIRED or CONNECTION_LIMIT
+     */
+    async admit(req) {
+        const handshake = { auth: {}, headers: req.headers, address: req.socket.remoteAddress };
+        const access = await this.relay.access.resolveAccess(handshake);
+
+        const address = this.relay.access.clientAddress(handshake);
+        const open = this.addresses.get(address) || 0;
+        if (open >= MAX_CONNECTIONS_PER_IP) {
+            throw gatewayError(`Too many gateway connections from this address (limit ${MAX_CONNECTIONS_PER_IP})`, {
+                code: 'CONNECTION_LIMIT',
+                limit: MAX_CONNECTIONS_PER_IP,
+            });
+        }
+
+        const admitted = { ...access, id: `gateway:${++this.connectionCount}`, address, released: false };
+        this.relay.access.reserve(admitted, admitted.id);
+        this.addresses.set(address, open + 1);
+        return admitted;
+    }
+
+    release(access) {
+        if (access.released) return;
+        access.released = true;
+
+        this.relay.access.release(access, access.id);
+        const open = (this.addresses.get(access.address) || 1) - 1;
+        if (open > 0) this.addresses.set(access.address, open);
+        else this.addresses.delete(access.address);
+    }
+
+    refuse(socket, error) {
+        const { code = 'INTERNAL_ERROR' } = error.data || {};
+        const status = code === 'CONNECTION_LIMIT' ? 429 : code.startsWith('AUTH_') ? 401 : 500;
+        const body = JSON.stringify({ code, msg: error.data ? error.message : 'Internal error' });
+
+        if (!socket.writable) {
+            socket.destroy();
+            return;
+        }
+        socket.end(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\nConnection: close\r\n`
+            + `Content-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+    }
+
+    handleConnection(ws, access, marketType, combined, streams) {
+        const client = { ws, access, marketType, combined, streams: new Set(), alive: true };
+
+        const refused = this.checkStreams(client, new Set(streams));
+        if (refused) {
+            ws.close(1008, closeReason(refused.reason));
+            return;
+        }
+
+        this.clients.add(client);
+
+        ws.on('pong', () => {
+            client.alive = true;
+        });
+        ws.on('message', (data) => this.handleFrame(client, data));
+        ws.on('close', () => this.removeClient(client));
+        ws.on('error', (error) => {
+            console.error(`[WS Gateway] Client error (${marketType}):`, error.message);
+        });
+
+        try {
+            streams.forEach(stream => this.addStream(client, stream));
+        } catch (error) {
+            ws.close(1013, closeReason(error.message));
+        }
+    }
+
+    handleFrame(client, data) {
+        let frame;
+        try {
+            frame = JSON.parse(data.toString());
+        } catch (error) {
+            this.sendError(client, null, ERRORS.INVALID_JSON, `Invalid JSON: ${error.message}`);
+            return;
+        }
+
+        const { method, params = [], id = null } = frame || {};
+
+        if (!(id === null || (Number.isSafeInteger(id) && id >= 0) || (typeof id === 'string' && id.length <= 36))) {
+            this.sendError(client, null, ERRORS.INVALID_REQUEST, 'Invalid request: request ID must be an unsigned integer, a string of at most 36 characters, or null');
+            return;
+        }
+        if (!Array.isArray(params)) {
+            this.sendError(client, id, ERRORS.INVALID_REQUEST, 'Invalid request: params must be an array');
+            return;
+        }
+
+        switch (method) {
+            case 'SUBSCRIBE':
+            case 'UNSUBSCRIBE': {
+                if (method === 'UNSUBSCRIBE') {
+                    const invalid = params.find(stream => typeof stream !== 'string' || !STREAM_PATTERN.test(stream));
+                    if (invalid !== undefined) {
+                        this.sendError(client, id, ERRORS.INVALID_REQUEST, `Invalid request: invalid stream name ${JSON.stringify(invalid)}`);
+                        return;
+                    }
+                    params.forEach(stream => this.removeStream(client, stream));
+                } else {
+                    const added = new Set(params.filter(stream => !client.streams.has(stream)));
+                    const refused = this.checkStreams(client, added);
+                    if (refused) {
+                        const name = refused.stream === undefined ? '' : ` ${JSON.stringify(refused.stream)}`;
+                        this.sendError(client, id, ERRORS.INVALID_REQUEST, `Invalid request: ${refused.reason}${name}`);
+                        return;
+                    }
+                    try {
+                        added.forEach(stream => this.addStream(client, stream));
+                    } catch (error) {
+                        this.sendError(client, id, ERRORS.INVALID_REQUEST, error.message);
+                        return;
+                    }
+                }
+
+                this.send(client, JSON.stringify({ result: null, id }));
+                return;
+            }
+
+            case 'LIST_SUBSCRIPTIONS':
+                this.send(client, JSON.stringify({ result: [...client.streams], id }));
+                return;
+
+            case 'SET_PROPERTY':
+            case 'GET_PROPERTY': {
+                const [property, value] = params;
+                if (property !== 'combined') {
+                    this.sendError(client, id, ERRORS.UNKNOWN_PROPERTY, 'Unknown property');
+                    return;
+                }
+
+                if (method === 'GET_PROPERTY') {
+                    this.send(client, JSON.stringify({ result: client.combined, id }));
+                    return;
+                }
+
+                if (typeof value !== 'boolean') {
+                    this.sendError(client, id, ERRORS.INVALID_VALUE, 'Invalid value type: expected Boolean');
+                    return;
+                }
+                client.combined = value;
+                this.send(client, JSON.stringify({ result: null, id }));
+                return;
+            }
+
+            default:
+                this.sendError(client, id, ERRORS.INVALID_REQUEST, `Invalid request: unknown variant ${JSON.stringify(method)}`);
+        }
+    }
+
+    /**
+     * Check streams a client wants to add: names, registry symbols, the per-connection
+     * and plan limits, and the gateway's upstream budget
+     * @param {Set<string>} added - streams the client doesn't hold yet
+     * @returns {{reason: string, stream?: string}|null} why the whole request is refused,
+     * and the client's stream that caused it
+     */
+    checkStreams(client, added) {
+        for (const stream of added) {
+            const reason = streamError(client.marketType, stream);
+            if (reason) return { reason, stream };
+        }
+
+        if (client.streams.size + added.size > MAX_CLIENT_STREAMS) {
+            return { reason: `at most ${MAX_CLIENT_STREAMS} streams per connection` };
+        }
+
+        const count = (streams) => {
+            const feeds = [...streams].filter(stream => stream.startsWith('!')).length;
+            return { symbols: streams.size - feeds, feeds };
+        };
+        const limited = this.relay.access.checkLimits(client.access.plan, count(client.streams), count(added));
+        if (limited) return { reason: limited.error };
+
+        const upstream = [...added].filter(stream => stream !== RELAY_TICKER_STREAM
+            && !this.streams.has(`${client.marketType} ${stream}`)).length;
+        if (upstream > 0 && this.upstreamCount(client.marketType) + upstream > MAX_UPSTREAM_STREAMS) {
+            return { reason: `the gateway's ${client.marketType} stream budget (${MAX_UPSTREAM_STREAMS}) is used up, retry later` };
+        }
+
+        return null;
+    }
+
+    upstreamCount(marketType) {
+        let count = 0;
+        this.streams.forEach(hub => {
+            if (hub.marketType === marketType && hub.stream !== RELAY_TICKER_STREAM) count++;
+        });
+        return count;
+    }
+
+    /**
+     * Add a stream to a client, starting the upstream subscription for its first client
+     * @throws {Error} when the shared upstream connection is full
+     */
+    addStream(client, stream) {
+        if (client.streams.has(stream)) return;
+
+        const key = `${client.marketType} ${stream}`;
+        let hub = this.streams.get(key);
+        if (!hub) {
+            hub = { marketType: client.marketType, stream, clients: new Set() };
+            hub.unsubscribe = stream === RELAY_TICKER_STREAM
+                ? this.relay.onTickerStream(client.marketType, (data) => this.deliver(hub, data.toString()))
+                : getMarketDataSource().subscribe(client.marketType, stream, {
+                    onMessage: (data) => this.deliver(hub, JSON.stringify(data)),
+                });
+            this.streams.set(key, hub);
+        }
+
+        hub.clients.add(client);
+        client.streams.add(stream);
+    }
+
+    removeStream(client, stream) {
+        if (!client.streams.delete(stream)) return;
+
+        const key = `${client.marketType} ${stream}`;
+        const hub = this.streams.get(key);
+        if (!hub) return;
+
+        hub.clients.delete(client);
+        if (hub.clients.size === 0) {
+            hub.unsubscribe();
+            this.streams.delete(key);
+        }
+    }
+
+    removeClient(client) {
+        [...client.streams].forEach(stream => this.removeStream(client, stream));
+        this.clients.delete(client);
+    }
+
+    /**
+     * Send one upstream payload (raw JSON text) to a stream's clients;
+     * the combined envelope is built once and shared
+     */
+    deliver(hub, raw) {
+        let combined = null;
+
+        hub.clients.forEach(client => {
+            if (client.combined) {
+                combined ??= `{"stream":${JSON.stringify(hub.stream)},"data":${raw}}`;
+                this.send(client, combined);
+            } else {
+                this.send(client, raw);
+            }
+        });
+    }
+
+    send(client, text) {
+        const { ws } = client;
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+            console.warn(`[WS Gateway] Dropping slow ${client.marketType} client (${ws.bufferedAmount} bytes buffered)`);
+            ws.terminate();
+            return;
+        }
+
+        ws.send(text);
+    }
+
+    sendError(client, id, code, msg) {
+        this.send(client, JSON.stringify({ error: { code, msg }, id }));
+    }
+
+    /**
+     * Ping every client; the ones that didn't answer the previous ping are gone
+     */
+    checkAlive() {
+        this.clients.forEach(client => {
+            if (!client.alive) {
+                client.ws.terminate();
+                return;
+            }
+            client.alive = false;
+            client.ws.ping();
+        });
+    }
+
+    getStatus() {
+        return {
+            clients: this.clients.size,
+            addresses: this.addresses.size,
+            upstream: {
+                spot: this.upstreamCount('spot'),
+                futures: this.upstreamCount('futures'),
+                budget: MAX_UPSTREAM_STREAMS,
+            },
+            streams: Array.from(this.streams.values()).map(hub => ({
+                marketType: hub.marketType,
+                stream: hub.stream,
+                clients: hub.clients.size,
+            })),
+        };
+    }
+
+    stop() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+
+        this.clients.forEach(client => {
+            client.ws.terminate();
+            this.removeClient(client);
+        });
+    }
+}
+
+export default BinanceWsGateway;
@@ -0,0 +1,124 @@
+/**
+ * Candle Export
+ * CSV / NDJSON downloads for /api/historical, written row by row
+ * (with backpressure) from the candle store's window iterator.
+ */
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+const CSV_HEADER = 'time,datetime,open,high,low,close,volume\n';
+
+/**
+ * Pick the response format: `format` query param wins, then the Accept header
+ * Returns 'json', 'csv', 'ndjson', or null for an unknown `format` value.
+ */
+export function negotiateFormat(req) {
+  const { format } = req.query;
+  if (format) {
+    const value = String(format).toLowerCase();
+    return value === 'json' || EXPORT_FORMATS[value] ? value : null;
+  }
+
+  // JSON first so */* (and no Accept header) keeps the existing behavior
+  const accepted = req.accepts(['application/json', 'text/csv', 'application/x-ndjson', 'application/ndjson']);
+  if (accepted === 'text/csv') return 'csv';
+  if (accepted === 'application/x-ndjson' || accepted === 'application/ndjson') return 'ndjson';
+  return 'json';
+}
+
+/**
+ * Download filename, e.g. binance_linear_BTCUSDT_1h_20240101-20240201.csv
+ */
+export function exportFilename({ exchange, market, symbol, interval, from, to }, format) {
+  const day = (ts) => new Date(ts).toISOString().slice(0, 10).replace(/-/g, '');
+  const name = [exchange, market, symbol, interval, `${day(from)}-${day(to)}`]
+    .join('_')
+    .replace(/[^A-Za-z0-9_.-]/g, '-');
+
+  return `${name}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Format one candle as a CSV row or NDJSON line
+ */
+function formatRow(candle, format) {
+  if (format === 'csv') {
+    const datetime = new Date(candle.time).toISOString();
+    return `${candle.time},${datetime},${candle.open},${candle.high},${candle.low},${candle.close},${candle.volume}\n`;
+  }
+  return `${JSON.stringify(candle)}\n`;
+}
+
+/**
+ * Wait until the response can take more data (or the client went away)
+ */
+export function waitForDrain(res) {
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Stream candle windows to the response as a file download
+ * Nothing is sent until the first window arrives, so if that one fails the error is
+ * rethrown for the route to answer with a proper status code.
+ * @param {AsyncIterable<{candles: Array}>} windows - e.g. CandleStoreService.iterateCandles()
+ */
+export async function streamCandleExport(req, res, format, windows, meta) {
+  const { contentType } = EXPORT_FORMATS[format];
+
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableEnded) aborted = true;
+  });
+
+  const start = () => {
+    res.status(200);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFilename(meta, format)}"`);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    if (format === 'csv') {
+      res.write(CSV_HEADER);
+    }
+  };
+
+  let rows = 0;
+
+  try {
+    for await (const { candles } of windows) {
+      if (aborted) break;
+      if (!res.headersSent) start();
+
+      for (const candle of candles) {
+        if (aborted) break;
+
+        // Respect backpressure so slow clients don't buffer the whole range
+        if (!res.write(formatRow(candle, format))) {
+          await waitForDrain(res);
+        }
+        rows++;
+      }
+    }
+  } catch (error) {
+    if (!res.headersSent) throw error;
+
+    console.error(`[Export] ${format} export failed after ${rows} rows:`, error.message);
+    // Headers are already sent: cut the connection so the file isn't silently truncated
+    res.destroy();
+    return;
+  }
+
+  console.log(`[Export] ${format} export ${aborted ? 'aborted by client' : 'finished'}: ${rows} rows`);
+  if (!res.headersSent && !aborted) start(); // empty range: still a valid (empty) file
+  res.end();
+}
@@ -0,0 +1,334 @@
+/**
+ * Candle Store Service
+ *
+ * Sits in front of the exchange fetchers for /api/historical:
+ * - Ranges already fetched are served from Postgres
+ * - Only missing gaps are fetched from the exchange (and persisted); a gap the
+ *   exchange fully answered is covered even where it had no candles, so empty
+ *   ranges (before listing, halts) aren't fetched again
+ * - The most recent (still open) candle is never marked as covered,
+ *   so it is refreshed from upstream on every request
+ * - Only native exchange intervals are stored; custom timeframes are
+ *   resampled from a finer native interval on the way out
+ *
+ * If the database is unavailable, requests fall through to the exchange.
+ *
+ * Results say whether the range was fully fetched: if the exchange fails
+ * halfway, whatever was fetched is returned with complete: false, the stop
+ * reason and the missing ranges. If nothing at all could be served, an
+ * UpstreamError is thrown instead.
+ */
+
+import { getStoredCandles, upsertCandles, getCoverage, addCoverage } from '../lib/candles/db.js';
+import { fetchCandles, resolveTimeframe, UpstreamError } from './exchangeService.js';
+import { alignTime, aggregateCandles, secondsToLabel } from './timeframes.js';
+import { getSymbolRegistry } from './symbol-registry.js';
+
+class CandleStoreService {
+  /**
+   * Get candles for [from, to], using the store where possible
+   * Custom timeframes are resampled from the resolved native base interval.
+   * @param {object} source - Candle source from getCandleSource() (exchanges/index.js)
+   * @returns {Promise<{candles: Array, sources: Array<{from: number, to: number, source: 'cache'|'upstream', count: number}>, resampledFrom: string|null, complete: boolean, stopReason: string|null, gaps: Array<{from: number, to: number, count: number, reason: 'unfetched'|'no_data'}>}>}
+   * @throws {UpstreamError} if the exchange failed and there is nothing to return
+   */
+  async getCandles(source, pair, from, to, timeframe, limit = 1000) {
+    const resolved = resolveTimeframe(source, timeframe);
+    if (!resolved) {
+      throw new Error(`Unsupported timeframe for ${source.adapter.name} ${source.market}: ${timeframe}s`);
+    }
+
+    if (resolved.native) {
+      const result = await this.getNativeCandles(source, pair, from, to, timeframe, limit);
+      return {
+        candles: result.candles,
+        sources: result.sources,
+        resampledFrom: null,
+        complete: result.complete,
+        stopReason: result.stopReason,
+        gaps: this.findDataGaps(result.candles, timeframe * 1000, result.unfetched),
+      };
+    }
+
+    // Start at a bucket boundary so the first bucket is complete
+    const ratio = timeframe / resolved.baseTimeframe;
+    const alignedFrom = alignTime(from, timeframe * 1000);
+    const base = await this.getNativeCandles(
+      source, pair, alignedFrom, to, resolved.baseTimeframe, limit * ratio
+    );
+
+    const candles = aggregateCandles(base.candles, timeframe).slice(0, limit);
+
+    return {
+      candles,
+      sources: base.sources,
+      resampledFrom: secondsToLabel(resolved.baseTimeframe),
+      complete: base.complete,
+      stopReason: base.stopReason,
+      gaps: this.findDataGaps(candles, timeframe * 1000, base.unfetched),
+    };
+  }
+
+  /**
+   * Walk [from, to] window by window so large ranges never sit in memory at once
+   * Yields { candles, sources, resampledFrom, from, to } per window (window bounds in ms).
+   * Throws an UpstreamError on the first window the exchange couldn't fully serve, so
+   * exports/streams never silently skip a range (fetched candles are already stored,
+   * so resuming from that window is cheap).
+   */
+  async *iterateCandles(source, pair, from, to, timeframe, { windowSize = 1000, limit = Infinity } = {}) {
+    const stepMs = timeframe * 1000;
+    const now = Date.now();
+    let cursor = alignTime(from, stepMs);
+    let emitted = 0;
+
+    while (cursor <= to && cursor <= now && emitted < limit) {
+      // Windows end on bucket boundaries so resampled buckets are never split
+      const windowEnd = Math.min(to, alignTime(cursor + windowSize * stepMs, stepMs) - 1);
+      const result = await this.getCandles(
+        source, pair, cursor, windowEnd, timeframe, Math.min(windowSize, limit - emitted)
+      );
+
+      if (!result.complete) {
+        const gap = result.gaps.find(g => g.reason === 'unfetched');
+        throw new UpstreamError(
+          `Upstream stopped at ${new Date(gap?.from ?? cursor).toISOString()} (${result.stopReason})`,
+          { reason: result.stopReason, exchange: source.adapter.id }
+        );
+      }
+
+      emitted += result.candles.length;
+      yield { ...result, from: cursor, to: windowEnd };
+
+      cursor = windowEnd + 1;
+    }
+  }
+
+  /**
+   * Get candles of a native exchange interval for [from, to]
+   * @returns {Promise<{candles: Array, sources: Array, complete: boolean, stopReason: string|null, unfetched: Array<{from: number, to: number}>}>}
+   */
+  async getNativeCandles(source, pair, from, to, timeframe, limit) {
+    const stepMs = timeframe * 1000;
+    const key = {
+      exchange: source.adapter.id,
+      market: source.market,
+      symbol: getSymbolRegistry().nativeSymbol(source, pair), // exchange-native instrument ID
+      interval: secondsToLabel(timeframe),
+    };
+
+    // Align to candle boundaries and never look past the current open candle
+    const now = Date.now();
+    const currentOpenTime = alignTime(now, stepMs);
+    const start = alignTime(from, stepMs);
+    const end = Math.min(
+      to,
+      start + (limit - 1) * stepMs,
+      currentOpenTime
+    );
+
+    if (end < start) {
+      return { candles: [], sources: [], complete: true, stopReason: null, unfetched: [] };
+    }
+
+    // Candles whose open_time is after this one are not closed yet
+    const lastClosedOpenTime = currentOpenTime - stepMs;
+
+    let cachedCandles = [];
+    let gaps = [{ start, end }];
+    let storeAvailable = true;
+
+    try {
+      const [coverage, stored] = await Promise.all([
+        getCoverage(key, start, end),
+        getStoredCandles(key, start, end),
+      ]);
+      cachedCandles = stored;
+      gaps = this.computeGaps(start, end, coverage, stepMs);
+    } catch (error) {
+      storeAvailable = false;
+      console.error(`[CandleStore] Store unavailable, fetching upstream:`, error.message);
+    }
+
+    console.log(`[CandleStore] ${key.exchange}/${key.market} ${key.symbol} ${key.interval}: ${gaps.length} gap(s) to fetch`);
+
+    // Fetch missing gaps from the exchange
+    const upstreamCandles = [];
+    const unfetched = []; // ranges the exchange failed to serve
+    let stop = null;
+
+    for (const gap of gaps) {
+      // After a failure (e.g. rate limit) don't keep hammering the exchange
+      if (stop) {
+        unfetched.push({ from: gap.start, to: gap.end });
+        continue;
+      }
+
+      const expected = Math.floor((gap.end - gap.start) / stepMs) + 1;
+      const result = await fetchCandles(source, pair, gap.start, gap.end, timeframe, expected);
+      const candles = result.candles.filter(c => c.time >= gap.start && c.time <= gap.end);
+
+      upstreamCandles.push(...candles);
+
+      if (!result.complete) {
+        stop = result.stop;
+        unfetched.push(...this.unfetchedRanges(gap, candles, stepMs, source.adapter.pagination));
+      }
+
+      if (!storeAvailable) continue;
+
+      try {
+        if (candles.length > 0) {
+          await upsertCandles(key, candles);
+        }
+
+        const covered = this.coveredRange(gap, candles, result.complete, lastClosedOpenTime);
+        if (covered) {
+          await addCoverage(key, covered.start, covered.end, stepMs);
+        }
+      } catch (error) {
+        console.error(`[CandleStore] Failed to persist candles:`, error.message);
+      }
+    }
+
+    // Merge (upstream values win over stored ones)
+    const merged = new Map();
+    cachedCandles.forEach(c => merged.set(c.time, c));
+    upstreamCandles.forEach(c => merged.set(c.time, c));
+
+    const candles = Array.from(merged.values())
+      .sort((a, b) => a.time - b.time)
+      .slice(0, limit);
+
+    // Nothing to show for it: surface the exchange failure instead of an empty result
+    if (stop && candles.length === 0) {
+      throw new UpstreamError(stop.message, { ...stop, exchange: source.adapter.id });
+    }
+
+    return {
+      candles,
+      sources: this.describeSources(start, end, gaps, candles),
+      complete: !stop,
+      stopReason: stop?.reason ?? null,
+      unfetched,
+    };
+  }
+
+  /**
+   * Range a gap's fetch proves known, or null
+   * A complete fetch vouches for the whole gap, so missing candles in it are truly
+   * empty (not listed yet, trading halt, delisted) and aren't fetched again;
+   * an incomplete one only for the span it actually returned.
+   * Only closed candles are marked covered.
+   */
+  coveredRange(gap, candles, complete, lastClosedOpenTime) {
+    if (!complete && candles.length === 0) return null;
+
+    const start = complete ? gap.start : candles[0].time;
+    const end = Math.min(complete ? gap.end : candles[candles.length - 1].time, lastClosedOpenTime);
+    return end >= start ? { start, end } : null;
+  }
+
+  /**
+   * Part of a gap an incomplete fetch didn't reach
+   * Forward adapters stop after their last candle, backward ones before their first.
+   */
+  unfetchedRanges(gap, candles, stepMs, pagination) {
+    if (candles.length === 0) {
+      return [{ from: gap.start, to: gap.end }];
+    }
+    if (pagination === 'forward') {
+      const from = candles[candles.length - 1].time + stepMs;
+      return from <= gap.end ? [{ from, to: gap.end }] : [];
+    }
+    const to = candles[0].time - 1;
+    return to >= gap.start ? [{ from: gap.start, to }] : [];
+  }
+
+  /**
+   * Missing stretches in a candle series
+   * - unfetched: the exchange failed before returning this range
+   * - no_data: the exchange returned nothing for it (e.g. trading halt, maintenance)
+   * Leading/trailing ranges without candles are only reported when unfetched,
+   * since the range may simply start before listing or end in the future.
+   */
+  findDataGaps(candles, stepMs, unfetched = []) {
+    const gaps = unfetched.map(range => ({
+      ...range,
+      count: Math.ceil((range.to - range.from + 1) / stepMs),
+      reason: 'unfetched',
+    }));
+    const isUnfetched = (time) => unfetched.some(range => time >= range.from && time <= range.to);
+
+    for (let i = 1; i < candles.length; i++) {
+      const expected = candles[i - 1].time + stepMs;
+      if (candles[i].time > expected && !isUnfetched(expected)) {
+        gaps.push({
+          from: expected,
+          to: candles[i].time - 1,
+          count: Math.ceil((candles[i].time - expected) / stepMs),
+          reason: 'no_data',
+        });
+      }
+    }
+
+    return gaps.sort((a, b) => a.from - b.from);
+  }
+
+  /**
+   * Find sub-ranges of [start, end] that are not covered
+   */
+  computeGaps(start, end, coverage, stepMs) {
+    const gaps = [];
+    let cursor = start;
+
+    for (const range of coverage) {
+      if (range.start > cursor) {
+        gaps.push({ start: cursor, end: Math.min(range.start - stepMs, end) });
+      }
+      cursor = Math.max(cursor, range.end + stepMs);
+      if (cursor > end) break;
+    }
+
+    if (cursor <= end) {
+      gaps.push({ start: cursor, end });
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Split [start, end] into cache/upstream segments with candle counts
+   */
+  describeSources(start, end, gaps, candles) {
+    const segments = [];
+    let cursor = start;
+
+    gaps.forEach(gap => {
+      if (gap.start > cursor) {
+        segments.push({ from: cursor, to: gap.start - 1, source: 'cache' });
+      }
+      segments.push({ from: gap.start, to: gap.end, source: 'upstream' });
+      cursor = gap.end + 1;
+    });
+
+    if (cursor <= end) {
+      segments.push({ from: cursor, to: end, source: 'cache' });
+    }
+
+    return segments.map(segment => ({
+      ...segment,
+      count: candles.filter(c => c.time >= segment.from && c.time <= segment.to).length,
+    }));
+  }
+}
+
+// Singleton instance
+let candleStoreService = null;
+
+export function getCandleStoreService() {
+  if (!candleStoreService) {
+    candleStoreService = new CandleStoreService();
+  }
+  return candleStoreService;
+}
@@ -0,0 +1,89 @@
+/**
+ * Candle Stream
+ * Pushes historical candles to the client window by window as they are
+ * fetched (SSE or chunked NDJSON), like /api/marketcap/historical-stream.
+ *
+ * Events (same JSON payloads on both transports):
+ * - start:    { type, exchange, market, symbol, interval, from, to, resumedFrom }
+ * - candles:  { type, data, cursor }            (cursor = where to resume after this page)
+ * - progress: { type, fetched, percent, cursor }
+ * - complete: { type, total, cursor: null }
+ * - error:    { type, error, reason, cursor }  (reason: UpstreamError reason, if any)
+ */
+
+import { waitForDrain } from './candle-export.js';
+
+export const STREAM_TRANSPORTS = ['sse', 'ndjson'];
+
+/**
+ * Stream candle windows to the client
+ * @param {AsyncIterable<{candles: Array, from: number, to: number}>} windows - CandleStoreService.iterateCandles()
+ */
+export async function streamCandles(req, res, transport, windows, meta) {
+  let aborted = false;
+  res.on('close', () => {
+    if (!res.writableEnded) aborted = true;
+  });
+
+  if (transport === 'sse') {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Connection', 'keep-alive');
+  } else {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  }
+  res.setHeader('Cache-Control', 'no-cache');
+  res.flushHeaders();
+
+  // SSE `id` is the resume cursor, so EventSource reconnects continue where they left off
+  const send = async (payload, id = null) => {
+    const line = transport === 'sse'
+      ? `${id !== null ? `id: ${id}\n` : ''}data: ${JSON.stringify(payload)}\n\n`
+      : `${JSON.stringify(payload)}\n`;
+
+    if (!res.write(line)) {
+      await waitForDrain(res);
+    }
+  };
+
+  const startTs = meta.resumedFrom ?? meta.from;
+  const endTs = Math.min(meta.to, Date.now());
+  let total = 0;
+  let cursor = startTs;
+
+  await send({ type: 'start', ...meta });
+
+  try {
+    for await (const window of windows) {
+      if (aborted) break;
+
+      cursor = window.to + 1;
+      total += window.candles.length;
+
+      if (window.candles.length > 0) {
+        await send({ type: 'candles', data: window.candles, cursor }, cursor);
+      }
+
+      const percent = endTs > startTs
+        ? Math.min(100, ((window.to - startTs) / (endTs - startTs)) * 100)
+        : 100;
+      await send({ type: 'progress', fetched: total, percent: parseFloat(percent.toFixed(1)), cursor }, cursor);
+    }
+  } catch (error) {
+    console.error(`[Stream] ${meta.symbol} ${meta.interval} failed at cursor ${cursor}:`, error.message);
+    if (!aborted) {
+      await send({ type: 'error', error: error.message, reason: error.reason ?? null, cursor });
+      res.end();
+    }
+    return;
+  }
+
+  if (aborted) {
+    console.log(`[Stream] ${meta.symbol} ${meta.interval} aborted by client after ${total} candles`);
+    return;
+  }
+
+  await send({ type: 'complete', total, cursor: null });
+  res.end();
+
+  console.log(`[Stream] ${meta.symbol} ${meta.interval} complete: ${total} candles`);
+}
@@ -0,0 +1,206 @@
+/**
+ * Chart Transforms
+ * Alternative bar types built server-side from historical candles:
+ * - heikin-ashi: smoothed OHLC, one bar per candle
+ * - renko:       fixed-size price bricks from candle closes (reversal = 2 boxes)
+ * - range:       bars whose high - low spans exactly `range`
+ * - volume:      bars closing once `volume` (base asset) has traded
+ *
+ * Builders are fed candles in time order (so whole ranges can be streamed through
+ * window by window) and emit finished bars as they complete. The finer the
+ * candles, the closer range/volume bars get to what trade data would give;
+ * intra-candle price paths are assumed to be open -> low -> high -> close for
+ * up candles and open -> high -> low -> close for down candles.
+ *
+ * Bars look like candles ({ time, open, high, low, close, volume }) plus
+ * endTime (open time of the last candle in the bar). Several renko/range bars
+ * can come out of one candle, so `time` is not unique for those.
+ */
+
+export const CHART_TYPES = ['heikin-ashi', 'renko', 'range', 'volume'];
+
+// Heikin-Ashi open halves the weight of older bars every candle: 20 candles
+// leave ~1e-6 of the starting value
+export const HEIKIN_ASHI_WARMUP = 20;
+
+/**
+ * Heikin-Ashi: one bar per candle
+ */
+function createHeikinAshi() {
+  let prev = null;
+
+  return {
+    add(candle) {
+      const close = (candle.open + candle.high + candle.low + candle.close) / 4;
+      const open = prev ? (prev.open + prev.close) / 2 : (candle.open + candle.close) / 2;
+
+      prev = {
+        time: candle.time,
+        endTime: candle.time,
+        open,
+        high: Math.max(candle.high, open, close),
+        low: Math.min(candle.low, open, close),
+        close,
+        volume: candle.volume,
+      };
+      return [prev];
+    },
+    flush: () => null,
+  };
+}
+
+/**
+ * Renko: bricks of `box` from closes; a new brick in the same direction needs a
+ * one-box move, a reversal needs two
+ */
+function createRenko(box) {
+  let last = null; // { close, direction }
+  let pendingVolume = 0;
+  let pendingSince = null;
+
+  return {
+    add(candle) {
+      pendingVolume += candle.volume;
+      pendingSince ??= candle.time;
+
+      if (!last) {
+        last = { close: candle.close, direction: 0 };
+        return [];
+      }
+
+      const bricks = [];
+      const brick = (open, close, direction) => {
+        bricks.push({
+          time: pendingSince,
+          endTime: candle.time,
+          open,
+          high: Math.max(open, close),
+          low: Math.min(open, close),
+          close,
+          // Traded volume goes to the first brick the move produced
+          volume: bricks.length === 0 ? pendingVolume : 0,
+          direction: direction > 0 ? 'up' : 'down',
+        });
+        last = { close, direction };
+      };
+
+      // Same direction: one box per brick
+      while (last.direction >= 0 && candle.close >= last.close + box) {
+        brick(last.close, last.close + box, 1);
+      }
+      while (last.direction <= 0 && candle.close <= last.close - box) {
+        brick(last.close, last.close - box, -1);
+      }
+
+      // Reversal: the first brick opens one box away from the last close
+      if (last.direction > 0 && candle.close <= last.close - 2 * box) {
+        brick(last.close - box, last.close - 2 * box, -1);
+        while (candle.close <= last.close - box) brick(last.close, last.close - box, -1);
+      } else if (last.direction < 0 && candle.close >= last.close + 2 * box) {
+        brick(last.close + box, last.close + 2 * box, 1);
+        while (candle.close >= last.close + box) brick(last.close, last.close + box, 1);
+      }
+
+      if (bricks.length > 0) {
+        pendingVolume = 0;
+        pendingSince = null;
+      }
+      return bricks;
+    },
+    flush: () => null, // a brick only exists once it's complete
+  };
+}
+
+/**
+ * Range bars: each bar closes once its high - low reaches `range`; the next bar
+ * opens at that boundary
+ */
+function createRangeBars(range) {
+  let bar = null;
+
+  return {
+    add(candle) {
+      const bars = [];
+      const path = candle.close >= candle.open
+        ? [candle.open, candle.low, candle.high, candle.close]
+        : [candle.open, candle.high, candle.low, candle.close];
+
+      // Candle volume is spread evenly over the path legs
+      const legVolume = candle.volume / (path.length - 1);
+
+      const open = (price, volume) => {
+        bar = { time: candle.time, endTime: candle.time, open: price, high: price, low: price, close: price, volume };
+      };
+
+      if (!bar) open(path[0], 0);
+
+      for (let i = 1; i < path.length; i++) {
+        const target = path[i];
+        bar.endTime = candle.time;
+        bar.volume += legVolume;
+
+        // Walk towards the target, closing a bar every time the range is filled
+        while (target > bar.low + range || target < bar.high - range) {
+          const boundary = target > bar.close ? bar.low + range : bar.high - range;
+          bar.high = Math.max(bar.high, boundary);
+          bar.low = Math.min(bar.low, boundary);
+          bar.close = boundary;
+          bars.push(bar);
+          open(boundary, 0);
+        }
+
+        bar.high = Math.max(bar.high, target);
+        bar.low = Math.min(bar.low, target);
+        bar.close = target;
+      }
+
+      return bars;
+    },
+    flush: () => bar,
+  };
+}
+
+/**
+ * Volume bars: candles are merged until at least `volume` has traded
+ */
+function createVolumeBars(volume) {
+  let bar = null;
+
+  return {
+    add(candle) {
+      if (!bar) {
+        bar = { ...candle, endTime: candle.time };
+      } else {
+        bar.endTime = candle.time;
+        bar.high = Math.max(bar.high, candle.high);
+        bar.low = Math.min(bar.low, candle.low);
+        bar.close = candle.close;
+        bar.volume += candle.volume;
+      }
+
+      if (bar.volume < volume) return [];
+
+      const done = bar;
+      bar = null;
+      return [done];
+    },
+    flush: () => bar,
+  };
+}
+
+/**
+ * Create a bar builder for a chart type
+ * @param {string} type - One of CHART_TYPES
+ * @param {{box?: number, range?: number, volume?: number}} options - size for renko/range/volume
+ * @returns {{add: (candle: object) => Array, flush: () => object|null}}
+ *   add() returns bars finished by this candle, flush() the bar still forming (if any)
+ */
+export function createBarBuilder(type, { box, range, volume } = {}) {
+  switch (type) {
+    case 'heikin-ashi': return createHeikinAshi();
+    case 'renko': return createRenko(box);
+    case 'range': return createRangeBars(range);
+    case 'volume': return createVolumeBars(volume);
+    default: throw new Error(`Unknown chart type: ${type}`);
+  }
+}
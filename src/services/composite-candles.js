@@ -0,0 +1,115 @@
+/**
+ * Composite Candles Service
+ *
+ * Merges the same pair across several exchanges into one "aggregated" series:
+ * - OHLC: volume-weighted across the exchanges that have a candle at that time
+ *   (plain average if none of them reported volume)
+ * - volume: sum across exchanges, with a per-exchange breakdown
+ *
+ * Exchanges that start later or have gaps simply don't contribute to the
+ * timestamps they are missing; per-exchange coverage is reported alongside.
+ * If every exchange failed, the first failure is thrown (e.g. UpstreamError).
+ */
+
+import { getCandleStoreService } from './candle-store.js';
+
+/**
+ * Fetch candles from every source and merge them
+ * @param {Array<{name: string, source: object}>} entries - Route exchange name + candle source
+ */
+export async function getCompositeCandles(entries, pair, from, to, timeframe, limit = 1000) {
+  const store = getCandleStoreService();
+
+  const results = await Promise.allSettled(
+    entries.map(({ source }) => store.getCandles(source, pair, from, to, timeframe, limit))
+  );
+
+  const series = entries.map(({ name }, i) => {
+    const result = results[i];
+    if (result.status === 'rejected') {
+      console.error(`[Composite] ${name} failed:`, result.reason?.message);
+      return {
+        name,
+        candles: [],
+        complete: false,
+        stopReason: result.reason?.reason || null,
+        error: result.reason?.message || 'Fetch failed',
+      };
+    }
+    const { candles, complete, stopReason } = result.value;
+    return { name, candles, complete, stopReason, error: null };
+  });
+
+  if (results.every(result => result.status === 'rejected')) {
+    throw results[0].reason;
+  }
+
+  const candles = mergeCandles(series).slice(0, limit);
+
+  return {
+    candles,
+    complete: series.every(s => s.complete),
+    exchanges: series.map(({ name, candles: exchangeCandles, complete, stopReason, error }) => ({
+      ...describeCoverage(name, exchangeCandles, candles, error),
+      complete,
+      stopReason,
+    })),
+  };
+}
+
+/**
+ * Merge per-exchange candle series into composite candles
+ */
+function mergeCandles(series) {
+  const buckets = new Map(); // time -> accumulator
+
+  series.forEach(({ name, candles }) => {
+    candles.forEach(candle => {
+      let bucket = buckets.get(candle.time);
+      if (!bucket) {
+        bucket = { time: candle.time, members: [] };
+        buckets.set(candle.time, bucket);
+      }
+      bucket.members.push({ name, candle });
+    });
+  });
+
+  return Array.from(buckets.values())
+    .sort((a, b) => a.time - b.time)
+    .map(({ time, members }) => {
+      const volume = members.reduce((sum, m) => sum + m.candle.volume, 0);
+
+      // Weight by volume; fall back to equal weights if nobody reported volume
+      const weight = (m) => (volume > 0 ? m.candle.volume / volume : 1 / members.length);
+      const weighted = (field) => members.reduce((sum, m) => sum + m.candle[field] * weight(m), 0);
+
+      return {
+        time,
+        open: weighted('open'),
+        high: weighted('high'),
+        low: weighted('low'),
+        close: weighted('close'),
+        volume,
+        breakdown: Object.fromEntries(members.map(m => [m.name, m.candle.volume])),
+        exchanges: members.map(m => m.name),
+      };
+    });
+}
+
+/**
+ * Coverage of one exchange relative to the composite series
+ * missing = composite timestamps after this exchange's first candle where it had no data
+ */
+function describeCoverage(name, exchangeCandles, compositeCandles, error) {
+  if (exchangeCandles.length === 0) {
+    return { exchange: name, count: 0, firstTime: null, lastTime: null, missing: 0, error };
+  }
+
+  const firstTime = exchangeCandles[0].time;
+  const lastTime = exchangeCandles[exchangeCandles.length - 1].time;
+  const missing = compositeCandles.filter(c =>
+    c.time >= firstTime && c.time <= lastTime && !c.exchanges.includes(name)
+  ).length;
+
+  return { exchange: name, count: exchangeCandles.length, firstTime, lastTime, missing, error };
+}
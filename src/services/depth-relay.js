@@ -0,0 +1,281 @@
+/**
+ * Depth Relay Service
+ *
+ * Order book depth for the DOM / depth chart, relayed like the tickers:
+ * - One local order book per subscribed market/symbol (REST snapshot +
+ *   @depth@100ms diffs with sequence checks, see order-book.js), shared by
+ *   all clients in the `depth-{marketType}-{symbol}` room
+ * - Books start with the first subscriber and stop once the room has been
+ *   empty for a while
+ * - Clients get the top DEPTH_LEVELS levels: a `depth-snapshot` when they
+ *   subscribe (or the book is rebuilt), then throttled `depth-update` diffs
+ *   against the previous broadcast (quantity 0 = level gone from the top)
+ *
+ * Every snapshot/update carries `seq`. An update whose seq isn't the previous
+ * one + 1 means the client missed something and should ask for a new
+ * snapshot (`depth-snapshot` event).
+ */
+
+import OrderBook from './order-book.js';
+import { getBinanceStreams } from './binance-streams.js';
+import { getMarketDataSource } from './market-data-source.js';
+import { fetchPage } from './exchangeService.js';
+
+const SNAPSHOT_URLS = {
+    spot: 'https://api.binance.com/api/v3/depth',
+    futures: 'https://fapi.binance.com/fapi/v1/depth',
+};
+
+// Levels per side sent to clients, and levels fetched for the local book
+export const DEPTH_LEVELS = 100;
+const SNAPSHOT_LIMIT = 1000;
+
+const DEPTH_BROADCAST_MS = 250;
+
+// Rebuilding a book costs a heavy REST request: don't do it more often than this
+const MIN_RESYNC_MS = 2000;
+const SNAPSHOT_RETRY_MS = 5000;
+
+// Keep a book this long after its room empties (page reloads, symbol switching back and forth)
+const DEPTH_IDLE_MS = 30000;
+
+class DepthRelayService {
+    constructor(io) {
+        this.io = io;
+        this.books = new Map(); // room -> entry
+    }
+
+    static roomName(marketType, symbol) {
+        return `depth-${marketType}-${symbol}`;
+    }
+
+    /**
+     * Start (or keep) the book for a symbol; symbol is the relay's lowercase Binance ID
+     */
+    acquire(marketType, symbol) {
+        const room = DepthRelayService.roomName(marketType, symbol);
+        const existing = this.books.get(room);
+        if (existing) {
+            clearTimeout(existing.releaseTimer);
+            existing.releaseTimer = null;
+            return existing;
+        }
+
+        const entry = {
+            marketType,
+            symbol,
+            room,
+            tag: `[Depth Relay] ${marketType} ${symbol}`,
+            book: new OrderBook(marketType),
+            seq: 0,
+            lastTop: null, // { bids: Map, asks: Map, lastUpdateId } as last broadcast
+            lastBroadcastAt: 0,
+            lastSnapshotAt: 0,
+            snapshotting: false,
+            snapshotTimer: null,
+            broadcastTimer: null,
+            releaseTimer: null,
+            resyncs: 0,
+        };
+
+        entry.unsubscribe = getMarketDataSource().subscribe(marketType, `${symbol}@depth@100ms`, {
+            onMessage: (event) => this.handleEvent(entry, event),
+            onReset: () => this.resetBook(entry),
+        });
+
+        this.books.set(room, entry);
+        console.log(`${entry.tag} Book started`);
+        return entry;
+    }
+
+    /**
+     * Stop a room's book once nobody has been in it for DEPTH_IDLE_MS
+     * (rooms that aren't depth rooms are ignored)
+     */
+    release(room) {
+        const entry = this.books.get(room);
+        if (!entry || entry.releaseTimer) return;
+
+        entry.releaseTimer = setTimeout(() => {
+            entry.releaseTimer = null;
+            if (this.io.sockets.adapter.rooms.get(entry.room)?.size) return;
+
+            entry.unsubscribe();
+            clearTimeout(entry.snapshotTimer);
+            clearTimeout(entry.broadcastTimer);
+            this.books.delete(entry.room);
+            console.log(`${entry.tag} Book stopped (no subscribers)`);
+        }, DEPTH_IDLE_MS);
+    }
+
+    handleEvent(entry, event) {
+        const result = entry.book.applyEvent(event);
+
+        if (result === 'applied') {
+            this.scheduleBroadcast(entry);
+        } else if (result === 'gap') {
+            entry.resyncs++;
+            console.warn(`${entry.tag} Sequence gap at ${event.U}-${event.u}, rebuilding book`);
+            this.resetBook(entry);
+            entry.book.applyEvent(event); // buffered for the new snapshot
+            this.requestSnapshot(entry);
+        } else if (result === 'buffered') {
+            this.requestSnapshot(entry);
+        }
+    }
+
+    /**
+     * Drop the book's state; the next event triggers a new snapshot
+     */
+    resetBook(entry) {
+        entry.book.reset();
+        entry.lastTop = null;
+    }
+
+    requestSnapshot(entry) {
+        if (entry.snapshotting || entry.snapshotTimer) return;
+
+        const wait = Math.max(0, entry.lastSnapshotAt + MIN_RESYNC_MS - Date.now());
+        entry.snapshotTimer = setTimeout(() => {
+            entry.snapshotTimer = null;
+            this.fetchSnapshot(entry);
+        }, wait);
+    }
+
+    async fetchSnapshot(entry) {
+        entry.snapshotting = true;
+        entry.lastSnapshotAt = Date.now();
+
+        const url = `${SNAPSHOT_URLS[entry.marketType]}?symbol=${entry.symbol.toUpperCase()}&limit=${SNAPSHOT_LIMIT}`;
+        const page = await fetchPage(url, { name: 'Binance', tag: entry.tag });
+        entry.snapshotting = false;
+
+        // Stopped while the request was in flight
+        if (this.books.get(entry.room) !== entry) return;
+
+        if (page.stop || !Array.isArray(page.body?.bids)) {
+            console.error(`${entry.tag} Snapshot failed:`, page.stop?.message || page.body?.msg);
+            entry.snapshotTimer = setTimeout(() => {
+                entry.snapshotTimer = null;
+                this.fetchSnapshot(entry);
+            }, SNAPSHOT_RETRY_MS);
+            return;
+        }
+
+        if (!entry.book.applySnapshot(page.body)) {
+            entry.resyncs++;
+            console.warn(`${entry.tag} Buffered updates don't connect to snapshot ${page.body.lastUpdateId}, retrying`);
+            this.resetBook(entry);
+            this.requestSnapshot(entry);
+            return;
+        }
+
+        console.log(`${entry.tag} Book synced at ${page.body.lastUpdateId}`);
+        this.scheduleBroadcast(entry);
+    }
+
+    /**
+     * Broadcast at most every DEPTH_BROADCAST_MS per book
+     */
+    scheduleBroadcast(entry) {
+        if (entry.broadcastTimer) return;
+
+        const wait = Math.max(0, entry.lastBroadcastAt + DEPTH_BROADCAST_MS - Date.now());
+        entry.broadcastTimer = setTimeout(() => {
+            entry.broadcastTimer = null;
+            this.broadcast(entry);
+        }, wait);
+    }
+
+    broadcast(entry) {
+        if (!entry.book.ready) return;
+        entry.lastBroadcastAt = Date.now();
+
+        const top = entry.book.top(DEPTH_LEVELS);
+        const current = { bids: new Map(top.bids), asks: new Map(top.asks), lastUpdateId: entry.book.lastUpdateId };
+
+        // First broadcast since the book was (re)built: everyone starts over
+        if (!entry.lastTop) {
+            entry.seq++;
+            entry.lastTop = current;
+            this.io.to(entry.room).emit('depth-snapshot', this.getSnapshot(entry.marketType, entry.symbol));
+            return;
+        }
+
+        const diff = (previous, next) => {
+            const changes = [];
+            next.forEach((quantity, price) => {
+                if (previous.get(price) !== quantity) changes.push([price, quantity]);
+            });
+            previous.forEach((quantity, price) => {
+                if (!next.has(price)) changes.push([price, 0]);
+            });
+            return changes;
+        };
+
+        const bids = diff(entry.lastTop.bids, current.bids);
+        const asks = diff(entry.lastTop.asks, current.asks);
+        if (bids.length === 0 && asks.length === 0) return;
+
+        entry.seq++;
+        entry.lastTop = current;
+        this.io.to(entry.room).emit('depth-update', {
+            marketType: entry.marketType,
+            symbol: entry.symbol,
+            seq: entry.seq,
+            lastUpdateId: current.lastUpdateId,
+            bids,
+            asks,
+            timestamp: entry.lastBroadcastAt,
+        });
+    }
+
+    /**
+     * Top levels as of the last broadcast (what the room's diffs build on)
+     * @returns {object|null} null until the book is synced
+     */
+    getSnapshot(marketType, symbol) {
+        const entry = this.books.get(DepthRelayService.roomName(marketType, symbol));
+        if (!entry?.lastTop) return null;
+
+        return {
+            marketType,
+            symbol,
+            seq: entry.seq,
+            lastUpdateId: entry.lastTop.lastUpdateId,
+            levels: DEPTH_LEVELS,
+            bids: Array.from(entry.lastTop.bids),
+            asks: Array.from(entry.lastTop.asks),
+            timestamp: entry.lastBroadcastAt,
+        };
+    }
+
+    getStatus() {
+        return {
+            books: Array.from(this.books.values()).map(entry => ({
+                marketType: entry.marketType,
+                symbol: entry.symbol,
+                ready: entry.book.ready,
+                subscribers: this.io.sockets.adapter.rooms.get(entry.room)?.size || 0,
+                lastUpdateId: entry.book.lastUpdateId,
+                resyncs: entry.resyncs,
+            })),
+            streams: {
+                spot: getBinanceStreams('spot').getStatus(),
+                futures: getBinanceStreams('futures').getStatus(),
+            },
+        };
+    }
+
+    stop() {
+        this.books.forEach(entry => {
+            entry.unsubscribe();
+            clearTimeout(entry.snapshotTimer);
+            clearTimeout(entry.broadcastTimer);
+            clearTimeout(entry.releaseTimer);
+        });
+        this.books.clear();
+    }
+}
+
+export default DepthRelayService;
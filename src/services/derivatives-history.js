@@ -0,0 +1,252 @@
+/**
+ * Derivatives History Service
+ *
+ * Funding rate and open interest history for perpetual contracts, served
+ * through Postgres the same way the candle store serves candles: covered
+ * ranges come from the database, only gaps are fetched from the exchange.
+ *
+ * - Funding events are irregular (8h, 4h or 1h apart depending on the
+ *   contract), so coverage is tracked to the millisecond
+ * - Open interest comes in fixed periods (5m ... 1d); Binance only serves the
+ *   last 30 days of it, so older ranges exist only if we stored them back then
+ *   (reported as 'expired' gaps otherwise)
+ *
+ * Results carry the same complete / stopReason / gaps metadata as candles.
+ */
+
+import {
+  getStoredFundingRates,
+  upsertFundingRates,
+  getStoredOpenInterest,
+  upsertOpenInterest,
+  getSeriesCoverage,
+  addSeriesCoverage,
+} from '../lib/derivatives/db.js';
+import { fetchPage, UpstreamError } from './exchangeService.js';
+import { getCandleStoreService } from './candle-store.js';
+import { alignTime, parseTimeframe } from './timeframes.js';
+
+class DerivativesHistoryService {
+  /**
+   * Funding events for [from, to] (at most `limit`)
+   * @param {object} source - { adapter, market } with adapter.derivatives (see exchanges/index.js)
+   * @param {string} symbol - Exchange-native instrument ID
+   * @returns {Promise<{rows: Array<{time: number, rate: number, markPrice: number|null}>, complete: boolean, stopReason: string|null, gaps: Array, next: number|null}>}
+   * @throws {UpstreamError} if the exchange failed and there is nothing to return
+   */
+  async getFundingRates(source, symbol, from, to, limit = 1000) {
+    const { adapter, market } = source;
+    const key = { exchange: adapter.id, market, symbol, series: 'funding' };
+
+    return this.getSeries({
+      source,
+      key,
+      stepMs: 1,
+      pageSize: adapter.derivatives.fundingPageSize,
+      start: from,
+      end: Math.min(to, Date.now()),
+      availableFrom: null,
+      limitNext: null, // only known once `limit` events are served
+      buildUrl: (start, end, pageSize) => adapter.buildFundingUrl({ market, symbol, start, end, limit: pageSize }),
+      parse: body => adapter.parseFunding(body),
+      load: (start, end) => getStoredFundingRates(key, start, end, limit),
+      store: rows => upsertFundingRates(key, rows),
+    }, to, limit);
+  }
+
+  /**
+   * Open interest snapshots of one period ('5m', '1h', ...) for [from, to] (at most `limit`)
+   * @returns {Promise<{rows: Array<{time: number, openInterest: number, openInterestValue: number|null}>, complete: boolean, stopReason: string|null, gaps: Array, next: number|null}>}
+   * @throws {UpstreamError} if the exchange failed and there is nothing to return
+   */
+  async getOpenInterest(source, symbol, period, from, to, limit = 1000) {
+    const { adapter, market } = source;
+    const key = { exchange: adapter.id, market, symbol, period, series: `oi:${period}` };
+    const stepMs = parseTimeframe(period) * 1000;
+
+    // Snapshots sit on period boundaries; the one for the current period isn't published yet
+    const start = alignTime(from, stepMs);
+    const limitEnd = start + (limit - 1) * stepMs;
+    const end = Math.min(to, limitEnd, alignTime(Date.now(), stepMs) - stepMs);
+
+    return this.getSeries({
+      source,
+      key,
+      stepMs,
+      pageSize: adapter.derivatives.openInterestPageSize,
+      start,
+      end,
+      limitNext: limitEnd === end ? end + stepMs : null,
+      // One period of margin so the oldest window isn't rejected as out of range
+      availableFrom: alignTime(Date.now() - adapter.derivatives.openInterestRetentionMs, stepMs) + stepMs,
+      buildUrl: (start, end, pageSize) => adapter.buildOpenInterestUrl({ market, symbol, period, start, end, limit: pageSize }),
+      parse: body => adapter.parseOpenInterest(body),
+      load: (start, end) => getStoredOpenInterest(key, start, end, limit),
+      store: rows => upsertOpenInterest(key, rows),
+    }, to, limit);
+  }
+
+  /**
+   * Serve one series from the store, fetching uncovered gaps upstream
+   */
+  async getSeries(plan, to, limit) {
+    const { source, key, stepMs, start, end } = plan;
+    const tag = `[Derivatives] ${key.exchange}/${key.market} ${key.symbol} ${key.series}:`;
+
+    if (end < start) {
+      return { rows: [], complete: true, stopReason: null, gaps: [], next: null };
+    }
+
+    let stored = [];
+    let gaps = [{ start, end }];
+    let storeAvailable = true;
+
+    try {
+      const [coverage, rows] = await Promise.all([
+        getSeriesCoverage(key, start, end),
+        plan.load(start, end),
+      ]);
+      stored = rows;
+      gaps = getCandleStoreService().computeGaps(start, end, coverage, stepMs);
+    } catch (error) {
+      storeAvailable = false;
+      console.error(`${tag} Store unavailable, fetching upstream:`, error.message);
+    }
+
+    console.log(`${tag} ${gaps.length} gap(s) to fetch`);
+
+    const fetched = [];
+    const missing = []; // { from, to, reason: 'unfetched' | 'expired' }
+    let stop = null;
+    let truncatedAt = null; // last time served when the limit cut a gap short
+
+    for (const gap of gaps) {
+      if (stop || truncatedAt !== null) {
+        if (stop) missing.push({ from: gap.start, to: gap.end, reason: 'unfetched' });
+        continue;
+      }
+
+      // Beyond the exchange's retention: only what we stored earlier exists
+      let fetchStart = gap.start;
+      if (plan.availableFrom !== null && fetchStart < plan.availableFrom) {
+        missing.push({ from: gap.start, to: Math.min(gap.end, plan.availableFrom - 1), reason: 'expired' });
+        if (gap.end < plan.availableFrom) continue;
+        fetchStart = plan.availableFrom;
+      }
+
+      const result = await this.fetchRange(plan, fetchStart, gap.end, limit, tag);
+      const { rows } = result;
+      fetched.push(...rows);
+
+      const last = rows[rows.length - 1];
+      if (!result.complete) {
+        stop = result.stop;
+        missing.push({ from: last ? last.time + stepMs : fetchStart, to: gap.end, reason: 'unfetched' });
+      } else if (result.truncated) {
+        truncatedAt = last.time;
+      }
+
+      if (!storeAvailable || rows.length === 0) continue;
+
+      try {
+        await plan.store(rows);
+
+        // Same rule as candles: a complete fetch vouches for the whole gap up to its
+        // last row, an incomplete one only for the span it returned
+        const coveredStart = result.complete ? fetchStart : rows[0].time;
+        await addSeriesCoverage(key, coveredStart, last.time, stepMs);
+      } catch (error) {
+        console.error(`${tag} Failed to persist:`, error.message);
+      }
+    }
+
+    // Merge (upstream values win over stored ones)
+    const merged = new Map();
+    stored.forEach(row => merged.set(row.time, row));
+    fetched.forEach(row => merged.set(row.time, row));
+
+    const rows = Array.from(merged.values())
+      .filter(row => truncatedAt === null || row.time <= truncatedAt)
+      .sort((a, b) => a.time - b.time)
+      .slice(0, limit);
+
+    // Nothing to show for it: surface the exchange failure instead of an empty result
+    if (stop && rows.length === 0) {
+      throw new UpstreamError(stop.message, { ...stop, exchange: key.exchange });
+    }
+
+    // Where the next page starts, if this one didn't reach `to`
+    let next = plan.limitNext;
+    if (rows.length === limit || truncatedAt !== null) {
+      next = rows[rows.length - 1].time + stepMs;
+    }
+
+    return {
+      rows,
+      complete: !stop,
+      stopReason: stop?.reason ?? null,
+      gaps: missing.map(gap => ({ ...gap, count: stepMs > 1 ? Math.ceil((gap.to - gap.from + 1) / stepMs) : null })),
+      next: next !== null && next <= to ? next : null,
+    };
+  }
+
+  /**
+   * Page forward through [start, end] upstream
+   * Fixed-period series are requested in windows of one page; event series page
+   * from the last event. Stops after `maxRows` (truncated) or on the first failure.
+   */
+  async fetchRange(plan, start, end, maxRows, tag) {
+    const { adapter } = plan.source;
+    const rows = [];
+    let cursor = start;
+    let stop = null;
+
+    while (cursor <= end && rows.length < maxRows) {
+      const windowEnd = plan.stepMs > 1 ? Math.min(end, cursor + (plan.pageSize - 1) * plan.stepMs) : end;
+      const page = await fetchPage(plan.buildUrl(cursor, windowEnd, plan.pageSize), { name: adapter.name, tag });
+      if (page.stop) {
+        stop = page.stop;
+        break;
+      }
+
+      let parsed;
+      try {
+        parsed = plan.parse(page.body).filter(row => row.time >= cursor && row.time <= windowEnd);
+      } catch (error) {
+        console.error(`${tag} Error:`, error.message);
+        stop = { reason: 'rejected', message: `${adapter.name}: ${error.message}`, status: page.status, retryAfter: null };
+        break;
+      }
+
+      rows.push(...parsed);
+
+      if (plan.stepMs > 1) {
+        cursor = windowEnd + plan.stepMs;
+      } else if (parsed.length < plan.pageSize) {
+        cursor = end + 1; // We've reached the end
+      } else {
+        cursor = parsed[parsed.length - 1].time + 1;
+      }
+
+      if (cursor <= end) {
+        await new Promise(resolve => setTimeout(resolve, adapter.rateLimitMs));
+      }
+    }
+
+    if (stop) {
+      console.warn(`${tag} Stopped early (${stop.reason}) after ${rows.length} rows`);
+    }
+
+    return { rows, complete: !stop, stop, truncated: !stop && cursor <= end };
+  }
+}
+
+// Singleton instance
+let derivativesHistoryService = null;
+
+export function getDerivativesHistoryService() {
+  if (!derivativesHistoryService) {
+    derivativesHistoryService = new DerivativesHistoryService();
+  }
+  return derivativesHistoryService;
+}
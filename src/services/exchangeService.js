@@ -1,16 +1,27 @@
 /**
  * Exchange Service
  * Handles pagination and data fetching from exchanges
+ * (exchange-specific details live in the adapters under ./exchanges)
  */
 
 import fetch from 'node-fetch';
+import { parseTimeframe, secondsToLabel } from './timeframes.js';
+import { getSymbolRegistry } from './symbol-registry.js';
+import { getBinanceScheduler, BinanceRateLimitError } from './binance-scheduler.js';
 
 /**
  * Fetch with timeout and retry
+ * Binance URLs go through the request scheduler (weight budget, dedup, circuit breaker)
  */
-async function fetchWithRetry(url, maxRetries = 2, timeoutMs = 10000) {
+async function fetchWithRetry(url, maxRetries = 2, timeoutMs = 10000, priority = 'interactive') {
+  const scheduler = getBinanceScheduler();
+
   for (let i = 0; i <= maxRetries; i++) {
     try {
+      if (scheduler.handles(url)) {
+        return await scheduler.request(url, { priority, timeoutMs });
+      }
+
       const controller = new AbortController();
       const timeout = setTimeout(() => controller.abort(), timeoutMs);
       
@@ -19,7 +30,8 @@ async function fetchWithRetry(url, maxRetries = 2, timeoutMs = 10000) {
       
       return response;
     } catch (error) {
-      if (i === maxRetries) throw error;
+      // Not sent because of a rate limit: retrying now won't help
+      if (i === maxRetries || error instanceof BinanceRateLimitError) throw error;
       
       console.warn(`[Fetch Retry] Attempt ${i + 1} failed, retrying...`);
       await sleep(1000 * (i + 1)); // Exponential backoff
@@ -28,265 +40,310 @@ async function fetchWithRetry(url, maxRetries = 2, timeoutMs = 10000) {
 }
 
 /**
- * Convert timeframe seconds to Binance interval
+ * Resolve a timeframe (seconds) for a candle source (see exchanges/index.js)
+ * Native intervals are fetched directly; other timeframes are resampled from
+ * the largest native interval that divides them evenly (e.g. 45m from 15m).
+ * Returns null if the timeframe can't be served.
  */
-function timeframeToInterval(timeframe) {
-  const minutes = timeframe / 60;
-  if (minutes === 1) return '1m';
-  if (minutes === 5) return '5m';
-  if (minutes === 15) return '15m';
-  if (minutes === 60) return '1h';
-  if (minutes === 240) return '4h';
-  if (minutes === 1440) return '1d';
-  return '5m';
-}
-
-/**
- * Fetch Binance candles with pagination
- */
-export async function fetchBinanceCandles(pair, from, to, timeframe, maxLimit = 5000) {
-  const interval = timeframeToInterval(timeframe);
-  const symbol = pair.toUpperCase();
-  const allCandles = [];
-  
-  let currentFrom = from;
-  const LIMIT_PER_REQUEST = 1000; // Binance max
-
-  console.log(`[Binance Spot] Fetching ${symbol} ${interval} with pagination...`);
-
-  // Pagination loop
-  while (currentFrom < to && allCandles.length < maxLimit) {
-    const url = `https://api.binance.com/api/v3/klines?symbol=${symbol}&interval=${interval}&startTime=${currentFrom}&endTime=${to}&limit=${LIMIT_PER_REQUEST}`;
-    
-    try {
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        console.error(`[Binance] HTTP ${response.status}: ${await response.text()}`);
-        break;
-      }
-
-      const klines = await response.json();
-      
-      if (!klines || klines.length === 0) {
-        break; // No more data
-      }
-
-      // Convert to standard format
-      const candles = klines.map(k => ({
-        time: k[0],
-        open: parseFloat(k[1]),
-        high: parseFloat(k[2]),
-        low: parseFloat(k[3]),
-        close: parseFloat(k[4]),
-        volume: parseFloat(k[5]),
-      }));
+export function resolveTimeframe(source, timeframe) {
+  if (!source || !timeframe) return null;
+  const { intervals } = source;
 
-      allCandles.push(...candles);
-
-      // Update currentFrom to last candle time + 1ms
-      currentFrom = candles[candles.length - 1].time + 1;
+  const label = secondsToLabel(timeframe);
+  if (intervals[label]) {
+    return { timeframe, label, baseTimeframe: timeframe, native: true };
+  }
 
-      console.log(`[Binance] Fetched ${candles.length} candles, total: ${allCandles.length}`);
+  const baseTimeframe = Object.keys(intervals)
+    .map(parseTimeframe)
+    .filter(seconds => seconds < timeframe && timeframe % seconds === 0)
+    .sort((a, b) => b - a)[0];
 
-      // If we got less than limit, we've reached the end
-      if (klines.length < LIMIT_PER_REQUEST) {
-        break;
-      }
+  if (!baseTimeframe) return null;
 
-      // Rate limiting (be nice to Binance)
-      await sleep(100);
+  return { timeframe, label, baseTimeframe, native: false };
+}
 
-    } catch (error) {
-      console.error(`[Binance] Error:`, error.message);
-      break;
-    }
+/**
+ * Convert timeframe seconds to the source's native interval
+ */
+function toNativeInterval(source, timeframe) {
+  const interval = source.intervals[secondsToLabel(timeframe)];
+  if (!interval) {
+    throw new Error(`${source.adapter.name} ${source.market} has no native ${secondsToLabel(timeframe)} interval`);
   }
-
-  console.log(`[Binance Spot] Total fetched: ${allCandles.length} candles`);
-  return allCandles;
+  return interval;
 }
 
 /**
- * Fetch Binance Futures candles with pagination
+ * Upstream (exchange) failure that left us without the requested data
+ * reason: rate_limited | rejected | upstream_error | timeout | network_error
  */
-export async function fetchBinanceFuturesCandles(pair, from, to, timeframe, maxLimit = 5000) {
-  const interval = timeframeToInterval(timeframe);
-  const symbol = pair.toUpperCase();
-  const allCandles = [];
-  
-  let currentFrom = from;
-  const LIMIT_PER_REQUEST = 1000; // Binance Futures max
+export class UpstreamError extends Error {
+  constructor(message, { reason = 'upstream_error', status = null, retryAfter = null, exchange = null } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.reason = reason;
+    this.status = status; // HTTP status returned by the exchange, if any
+    this.retryAfter = retryAfter; // seconds
+    this.exchange = exchange;
+  }
+}
 
-  console.log(`[Binance Futures] Fetching ${symbol} ${interval} with pagination...`);
+/**
+ * Fetch one page from an exchange REST endpoint
+ * Rate limits (418/429) are retried up to 3 times after a 5s wait, except on
+ * Binance where the scheduler pauses the host instead; any other failure is
+ * returned as a stop reason (see fetchCandles) instead of thrown.
+ * `priority` ('interactive' or 'background') orders Binance requests.
+ * @returns {Promise<{body: any, status: number, stop: null}|{body: null, stop: {reason: string, message: string, status: number|null, retryAfter: number|null}}>}
+ */
+export async function fetchPage(url, { name, tag, priority = 'interactive' }) {
+  const scheduled = getBinanceScheduler().handles(url);
 
-  // Pagination loop
-  while (currentFrom < to && allCandles.length < maxLimit) {
-    const url = `https://fapi.binance.com/fapi/v1/klines?symbol=${symbol}&interval=${interval}&startTime=${currentFrom}&endTime=${to}&limit=${LIMIT_PER_REQUEST}`;
-    
+  for (let rateLimitRetries = 0; ; rateLimitRetries++) {
+    let response;
     try {
-      const response = await fetchWithRetry(url, 2, 15000); // 15s timeout, 2 retries
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error(`[Binance Futures] HTTP ${response.status}: ${errorText}`);
-        
-        // If rate limited, wait longer and continue
-        if (response.status === 418 || response.status === 429) {
-          console.warn(`[Binance Futures] Rate limited, waiting 5s...`);
-          await sleep(5000);
-          continue; // Try again
-        }
-        break;
-      }
-
-      const klines = await response.json();
-      
-      if (!klines || klines.length === 0) {
-        break; // No more data
+      response = await fetchWithRetry(url, 2, 15000, priority); // 15s timeout, 2 retries
+    } catch (error) {
+      console.error(`${tag} Error:`, error.message);
+      if (error instanceof BinanceRateLimitError) {
+        return {
+          body: null,
+          stop: { reason: 'rate_limited', message: error.message, status: null, retryAfter: error.retryAfter },
+        };
       }
 
-      // Convert to standard format (same as spot)
-      const candles = klines.map(k => ({
-        time: k[0],
-        open: parseFloat(k[1]),
-        high: parseFloat(k[2]),
-        low: parseFloat(k[3]),
-        close: parseFloat(k[4]),
-        volume: parseFloat(k[5]),
-      }));
-
-      allCandles.push(...candles);
-
-      // Update currentFrom to last candle time + 1ms
-      currentFrom = candles[candles.length - 1].time + 1;
-
-      console.log(`[Binance Futures] Fetched ${candles.length} candles, total: ${allCandles.length}`);
+      const timedOut = error.name === 'AbortError';
+      return {
+        body: null,
+        stop: {
+          reason: timedOut ? 'timeout' : 'network_error',
+          message: timedOut ? `${name} did not respond in time` : error.message,
+          status: null,
+          retryAfter: null,
+        },
+      };
+    }
 
-      // If we got less than limit, we've reached the end
-      if (klines.length < LIMIT_PER_REQUEST) {
-        break;
+    if (response.ok) {
+      try {
+        return { body: await response.json(), status: response.status, stop: null };
+      } catch (error) {
+        return {
+          body: null,
+          stop: { reason: 'upstream_error', message: `${name}: invalid JSON response`, status: response.status, retryAfter: null },
+        };
       }
+    }
 
-      // Rate limiting (be nice to Binance)
-      await sleep(100);
+    const text = await response.text();
+    console.error(`${tag} HTTP ${response.status}: ${text}`);
 
-    } catch (error) {
-      console.error(`[Binance Futures] Error:`, error.message);
-      break;
+    const rateLimited = response.status === 418 || response.status === 429;
+
+    // If rate limited, wait longer and try again
+    if (rateLimited && !scheduled && rateLimitRetries < 3) {
+      console.warn(`${tag} Rate limited, waiting 5s...`);
+      await sleep(5000);
+      continue;
     }
-  }
 
-  console.log(`[Binance Futures] Total fetched: ${allCandles.length} candles`);
-  return allCandles;
+    return {
+      body: null,
+      stop: {
+        reason: rateLimited ? 'rate_limited' : response.status < 500 ? 'rejected' : 'upstream_error',
+        message: `${name} HTTP ${response.status}: ${upstreamMessage(text)}`,
+        status: response.status,
+        retryAfter: parseInt(response.headers.get('retry-after')) || null,
+      },
+    };
+  }
 }
 
 /**
- * Fetch Bybit candles with pagination
+ * Fetch candles with pagination using the source's exchange adapter
+ * Forward adapters page from `from` towards `to`, backward adapters from `to` towards `from`.
+ * Never throws for upstream failures: the loop stops and reports why, so callers can
+ * tell "no data" (complete, empty) from "the exchange failed halfway" (incomplete).
+ * @returns {Promise<{candles: Array, complete: boolean, stop: {reason: string, message: string, status: number|null, retryAfter: number|null}|null}>}
+ *   candles sorted by time (oldest first), volume in base asset
  */
-export async function fetchBybitCandles(pair, from, to, timeframe, maxLimit = 5000) {
-  const interval = timeframeToInterval(timeframe);
-  const symbol = pair.toUpperCase();
-  const allCandles = [];
-  
-  let currentFrom = from;
-  const LIMIT_PER_REQUEST = 200; // Bybit max per request
-
-  console.log(`[Bybit] Fetching ${symbol} ${interval} with pagination...`);
-
-  while (currentFrom < to && allCandles.length < maxLimit) {
-    const url = `https://api.bybit.com/v5/market/kline?category=spot&symbol=${symbol}&interval=${interval}&start=${currentFrom}&end=${to}&limit=${LIMIT_PER_REQUEST}`;
-    
-    try {
-      const response = await fetch(url);
-      const data = await response.json();
+export async function fetchCandles(source, pair, from, to, timeframe, maxLimit = 5000) {
+  const { adapter, market } = source;
+  const interval = toNativeInterval(source, timeframe);
+  const symbol = getSymbolRegistry().nativeSymbol(source, pair);
+  const forward = adapter.pagination === 'forward';
+  const tag = `[${adapter.name} ${market}]`;
 
-      if (!data.result || !data.result.list || data.result.list.length === 0) {
-        break;
-      }
+  const pages = [];
+  let total = 0;
+  let cursor = forward ? from : to;
+  let stop = null;
 
-      const candles = data.result.list.map(k => ({
-        time: parseInt(k[0]),
-        open: parseFloat(k[1]),
-        high: parseFloat(k[2]),
-        low: parseFloat(k[3]),
-        close: parseFloat(k[4]),
-        volume: parseFloat(k[5]),
-      })).reverse(); // Bybit returns newest first
+  // Some endpoints cap the time span of a single request
+  const maxRangeMs = adapter.markets[market].maxRangeMs || Infinity;
 
-      allCandles.push(...candles);
-      currentFrom = candles[candles.length - 1].time + 1;
+  console.log(`${tag} Fetching ${symbol} ${interval} with pagination...`);
 
-      console.log(`[Bybit] Fetched ${candles.length} candles, total: ${allCandles.length}`);
-
-      if (data.result.list.length < LIMIT_PER_REQUEST) {
-        break;
-      }
-
-      await sleep(100);
+  // Pagination loop
+  while (from <= cursor && cursor <= to && total < maxLimit) {
+    const start = forward ? cursor : Math.max(from, cursor - maxRangeMs + 1);
+    const end = forward ? Math.min(to, cursor + maxRangeMs - 1) : cursor;
+    const windowCapped = forward ? end < to : start > from;
+
+    const url = adapter.buildKlinesUrl({
+      market,
+      symbol,
+      interval,
+      start,
+      end,
+      limit: adapter.pageSize,
+    });
+
+    const page = await fetchPage(url, { name: adapter.name, tag });
+    if (page.stop) {
+      stop = page.stop;
+      break;
+    }
 
+    let candles;
+    try {
+      candles = adapter.parseKlines(page.body, market, symbol);
     } catch (error) {
-      console.error(`[Bybit] Error:`, error.message);
+      // API-level error payload (bad symbol, unsupported range, ...)
+      console.error(`${tag} Error:`, error.message);
+      stop = { reason: 'rejected', message: `${adapter.name}: ${error.message}`, status: page.status, retryAfter: null };
       break;
     }
-  }
 
-  console.log(`[Bybit] Total fetched: ${allCandles.length} candles`);
-  return allCandles;
-}
+    if (candles.length > 0) {
+      if (forward) {
+        pages.push(candles);
+        cursor = candles[candles.length - 1].time + 1;
+      } else {
+        pages.unshift(candles);
+        cursor = candles[0].time - 1;
+      }
+      total += candles.length;
 
-/**
- * Fetch OKX candles with pagination
- */
-export async function fetchOKXCandles(pair, from, to, timeframe, maxLimit = 5000) {
-  const interval = timeframeToInterval(timeframe);
-  const symbol = pair.replace(/([A-Z]+)(USDT|USD)$/i, '$1-$2').toUpperCase();
-  const allCandles = [];
-  
-  let currentAfter = from;
-  const LIMIT_PER_REQUEST = 100; // OKX max is 100
-
-  console.log(`[OKX] Fetching ${symbol} ${interval} with pagination...`);
-
-  while (currentAfter < to && allCandles.length < maxLimit) {
-    const url = `https://www.okx.com/api/v5/market/candles?instId=${symbol}&bar=${interval}&after=${currentAfter}&before=${to}&limit=${LIMIT_PER_REQUEST}`;
-    
-    try {
-      const response = await fetch(url);
-      const data = await response.json();
+      console.log(`${tag} Fetched ${candles.length} candles, total: ${total}`);
+    }
 
-      if (!data.data || data.data.length === 0) {
-        break;
+    // Less than a full page: the window is exhausted
+    if (candles.length < adapter.pageSize) {
+      if (!windowCapped) {
+        break; // We've reached the end
       }
+      cursor = forward ? end + 1 : start - 1;
+    }
 
-      const candles = data.data.map(k => ({
-        time: parseInt(k[0]),
-        open: parseFloat(k[1]),
-        high: parseFloat(k[2]),
-        low: parseFloat(k[3]),
-        close: parseFloat(k[4]),
-        volume: parseFloat(k[5]),
-      })).reverse();
-
-      allCandles.push(...candles);
-      currentAfter = candles[candles.length - 1].time + 1;
+    // Rate limiting (be nice to the exchange)
+    await sleep(adapter.rateLimitMs);
+  }
 
-      console.log(`[OKX] Fetched ${candles.length} candles, total: ${allCandles.length}`);
+  if (stop) {
+    console.warn(`${tag} Stopped early (${stop.reason}) after ${total} candles`);
+  } else {
+    console.log(`${tag} Total fetched: ${total} candles`);
+  }
 
-      if (data.data.length < LIMIT_PER_REQUEST) {
-        break;
-      }
+  return { candles: pages.flat(), complete: !stop, stop };
+}
 
-      await sleep(150); // OKX is more strict
+/**
+ * Fetch aggregated trades for [from, to] using the source's exchange adapter
+ * The first page is requested by time (walking windows of adapter.trades.maxRangeMs
+ * through quiet stretches), then by trade ID. Pass `fromId` (e.g. an earlier
+ * nextId) to continue exactly where a previous call stopped.
+ * Like fetchCandles, upstream failures stop the loop instead of throwing.
+ * @returns {Promise<{trades: Array<{id: number, time: number, price: number, quantity: number, side: 'buy'|'sell'}>, complete: boolean, stop: object|null, nextId: number|null}>}
+ *   nextId is set when `limit` trades were collected before reaching `to`
+ */
+export async function fetchTrades(source, symbol, from, to, { fromId = null, limit = 1000 } = {}) {
+  const { adapter, market } = source;
+  const { pageSize, maxRangeMs } = adapter.trades;
+  const tag = `[${adapter.name} ${market} trades]`;
+
+  const trades = [];
+  let cursor = from;
+  let nextId = fromId;
+  let stop = null;
+  let done = false;
+
+  while (!done && trades.length < limit) {
+    const byId = nextId !== null;
+    const windowEnd = Math.min(to, cursor + maxRangeMs);
+
+    const url = adapter.buildAggTradesUrl({
+      market,
+      symbol,
+      start: cursor,
+      end: windowEnd,
+      fromId: nextId,
+      limit: pageSize,
+    });
+
+    const page = await fetchPage(url, { name: adapter.name, tag });
+    if (page.stop) {
+      stop = page.stop;
+      break;
+    }
 
+    let parsed;
+    try {
+      parsed = adapter.parseAggTrades(page.body);
     } catch (error) {
-      console.error(`[OKX] Error:`, error.message);
+      console.error(`${tag} Error:`, error.message);
+      stop = { reason: 'rejected', message: `${adapter.name}: ${error.message}`, status: page.status, retryAfter: null };
       break;
     }
+
+    const inRange = parsed.filter(t => t.time >= from && t.time <= to);
+    const room = limit - trades.length;
+    trades.push(...inRange.slice(0, room));
+
+    if (inRange.length > room) {
+      break; // Limit reached mid-page: resume from the next ID
+    } else if (parsed.some(t => t.time > to)) {
+      done = true; // Paged past the end of the range
+    } else if (parsed.length === pageSize) {
+      nextId = parsed[parsed.length - 1].id + 1;
+    } else if (byId) {
+      done = true; // Caught up with the latest trade
+    } else {
+      cursor = windowEnd + 1;
+      done = cursor > to;
+    }
+
+    if (!done && trades.length < limit) {
+      await sleep(adapter.rateLimitMs);
+    }
+  }
+
+  if (stop) {
+    console.warn(`${tag} Stopped early (${stop.reason}) after ${trades.length} trades`);
   }
 
-  console.log(`[OKX] Total fetched: ${allCandles.length} candles`);
-  return allCandles;
+  const truncated = !stop && !done;
+  return {
+    trades,
+    complete: !stop,
+    stop,
+    nextId: truncated && trades.length > 0 ? trades[trades.length - 1].id + 1 : null,
+  };
+}
+
+/**
+ * Pull the human-readable message out of an exchange error body
+ */
+function upstreamMessage(text) {
+  try {
+    const body = JSON.parse(text);
+    return body.msg || body.retMsg || text;
+  } catch {
+    return text.slice(0, 200);
+  }
 }
 
 /**
@@ -0,0 +1,245 @@
+/**
+ * Binance exchange adapter
+ * Spot: api.binance.com
+ * USDⓈ-M (linear perpetuals, USDT dated futures): fapi.binance.com
+ * COIN-M (inverse perpetuals, USD dated futures): dapi.binance.com
+ */
+
+import { splitPair, parseExpiry } from './symbols.js';
+
+const FUTURES_INTERVALS = {
+  '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+  '1h': '1h', '2h': '2h', '4h': '4h', '6h': '6h', '8h': '8h', '12h': '12h',
+  '1d': '1d', '3d': '3d', '1w': '1w',
+};
+
+const USDM_KLINES_URL = 'https://fapi.binance.com/fapi/v1/klines';
+const SPOT_INFO_URL = 'https://api.binance.com/api/v3/exchangeInfo';
+const USDM_INFO_URL = 'https://fapi.binance.com/fapi/v1/exchangeInfo';
+const COINM_INFO_URL = 'https://dapi.binance.com/dapi/v1/exchangeInfo';
+const COINM_KLINES_URL = 'https://dapi.binance.com/dapi/v1/klines';
+const USDM_FUNDING_URL = 'https://fapi.binance.com/fapi/v1/fundingRate';
+const COINM_FUNDING_URL = 'https://dapi.binance.com/dapi/v1/fundingRate';
+const SPOT_TRADES_URL = 'https://api.binance.com/api/v3/aggTrades';
+const USDM_TRADES_URL = 'https://fapi.binance.com/fapi/v1/aggTrades';
+const USDM_OI_URL = 'https://fapi.binance.com/futures/data/openInterestHist';
+const COINM_OI_URL = 'https://dapi.binance.com/futures/data/openInterestHist';
+
+// COIN-M klines reject startTime/endTime spans over 200 days
+const COINM_MAX_RANGE_MS = 200 * 24 * 60 * 60 * 1000;
+
+// aggTrades rejects startTime/endTime spans of an hour or more
+const TRADES_MAX_RANGE_MS = 60 * 60 * 1000 - 1;
+
+// openInterestHist only serves the latest 30 days
+const OI_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+export default {
+  id: 'binance',
+  name: 'Binance',
+  aliases: { BINANCE_FUTURES: 'linear' },
+
+  // Klines are requested with startTime and paged forward
+  pagination: 'forward',
+  pageSize: 1000,
+  rateLimitMs: 0, // requests are paced by the shared scheduler (binance-scheduler.js)
+
+  markets: {
+    spot: {
+      url: 'https://api.binance.com/api/v3/klines',
+      intervals: { '1s': '1s', ...FUTURES_INTERVALS },
+    },
+    linear: {
+      url: USDM_KLINES_URL,
+      intervals: FUTURES_INTERVALS,
+    },
+    inverse: {
+      url: COINM_KLINES_URL,
+      intervals: FUTURES_INTERVALS,
+      maxRangeMs: COINM_MAX_RANGE_MS,
+    },
+    delivery: {
+      url: null, // USDⓈ-M or COIN-M depending on quote (see buildKlinesUrl)
+      intervals: FUTURES_INTERVALS,
+      maxRangeMs: COINM_MAX_RANGE_MS,
+    },
+  },
+
+  // Funding rate / open interest history (perpetuals only)
+  derivatives: {
+    markets: ['linear', 'inverse'],
+    fundingPageSize: 1000,
+    openInterestPageSize: 500,
+    openInterestPeriods: ['5m', '15m', '30m', '1h', '2h', '4h', '6h', '12h', '1d'],
+    openInterestRetentionMs: OI_RETENTION_MS,
+  },
+
+  // Aggregated trades (COIN-M is left out: its quantities are contracts, not base asset)
+  trades: {
+    markets: ['spot', 'linear'],
+    pageSize: 1000,
+    maxRangeMs: TRADES_MAX_RANGE_MS,
+  },
+
+  /**
+   * spot/linear: BTCUSDT
+   * inverse: BTCUSD_PERP
+   * delivery: BTCUSDT_251226 / BTCUSD_251226
+   */
+  formatSymbol(pair, market) {
+    const parts = splitPair(pair);
+    if (!parts) return pair.toUpperCase();
+
+    const { base, quote, expiry } = parts;
+    if (market === 'inverse') return `${base}${quote}_PERP`;
+    if (market === 'delivery') return `${base}${quote}_${expiry?.raw}`;
+    return `${base}${quote}`;
+  },
+
+  /**
+   * exchangeInfo endpoints listing the instruments of a market
+   */
+  instrumentsUrls(market) {
+    if (market === 'spot') return [SPOT_INFO_URL];
+    if (market === 'linear') return [USDM_INFO_URL];
+    if (market === 'inverse') return [COINM_INFO_URL];
+    return [USDM_INFO_URL, COINM_INFO_URL];
+  },
+
+  /**
+   * { symbols: [{ symbol, baseAsset, quoteAsset, status | contractStatus, contractType }] }
+   * Futures exchangeInfo mixes perpetuals and dated contracts; contractType tells them apart.
+   */
+  parseInstruments(body, market) {
+    if (!Array.isArray(body?.symbols)) {
+      throw new Error(body?.msg || 'Unexpected exchangeInfo response');
+    }
+
+    return body.symbols
+      .filter(s => {
+        if (market === 'spot') return true;
+        const perpetual = String(s.contractType).startsWith('PERPETUAL');
+        return market === 'delivery' ? !perpetual && !!s.contractType : perpetual;
+      })
+      .map(s => ({
+        id: s.symbol,
+        base: s.baseAsset,
+        quote: s.quoteAsset,
+        expiry: market === 'delivery' ? parseExpiry(s.symbol.split('_')[1])?.raw || null : null,
+        active: (s.status || s.contractStatus) === 'TRADING',
+      }));
+  },
+
+  buildKlinesUrl({ market, symbol, interval, start, end, limit }) {
+    let url = this.markets[market].url;
+    if (market === 'delivery') {
+      url = symbol.includes('USD_') ? COINM_KLINES_URL : USDM_KLINES_URL;
+    }
+    return `${url}?symbol=${symbol}&interval=${interval}&startTime=${start}&endTime=${end}&limit=${limit}`;
+  },
+
+  /**
+   * [[openTime, open, high, low, close, volume, closeTime, quoteOrBaseVolume, ...]] (oldest first)
+   * COIN-M volume is in contracts; index 7 holds the base asset volume there.
+   */
+  parseKlines(body, market, symbol) {
+    if (!Array.isArray(body)) {
+      throw new Error(body?.msg || 'Unexpected klines response');
+    }
+
+    const coinMargined = market === 'inverse' || (market === 'delivery' && symbol.includes('USD_'));
+    const volumeIndex = coinMargined ? 7 : 5;
+
+    return body.map(k => ({
+      time: k[0],
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[volumeIndex]),
+    }));
+  },
+
+  /**
+   * Funding events from startTime on (oldest first)
+   */
+  buildFundingUrl({ market, symbol, start, end, limit }) {
+    const url = market === 'inverse' ? COINM_FUNDING_URL : USDM_FUNDING_URL;
+    return `${url}?symbol=${symbol}&startTime=${start}&endTime=${end}&limit=${limit}`;
+  },
+
+  /**
+   * [{ symbol, fundingTime, fundingRate, markPrice }]
+   * markPrice is '' on older USDⓈ-M events and missing on COIN-M.
+   */
+  parseFunding(body) {
+    if (!Array.isArray(body)) {
+      throw new Error(body?.msg || 'Unexpected fundingRate response');
+    }
+
+    return body.map(f => ({
+      time: f.fundingTime,
+      rate: parseFloat(f.fundingRate),
+      markPrice: parseFloat(f.markPrice) || null,
+    }));
+  },
+
+  /**
+   * COIN-M takes the pair plus contract type instead of the symbol
+   */
+  buildOpenInterestUrl({ market, symbol, period, start, end, limit }) {
+    const range = `period=${period}&startTime=${start}&endTime=${end}&limit=${limit}`;
+    if (market === 'inverse') {
+      return `${COINM_OI_URL}?pair=${symbol.split('_')[0]}&contractType=PERPETUAL&${range}`;
+    }
+    return `${USDM_OI_URL}?symbol=${symbol}&${range}`;
+  },
+
+  /**
+   * [{ timestamp, sumOpenInterest, sumOpenInterestValue }]
+   * USDⓈ-M: contracts = base asset, value in USDT. COIN-M: contracts, value in base asset.
+   */
+  parseOpenInterest(body) {
+    if (!Array.isArray(body)) {
+      throw new Error(body?.msg || 'Unexpected openInterestHist response');
+    }
+
+    return body
+      .map(o => ({
+        time: o.timestamp,
+        openInterest: parseFloat(o.sumOpenInterest),
+        openInterestValue: parseFloat(o.sumOpenInterestValue) || null,
+      }))
+      .sort((a, b) => a.time - b.time);
+  },
+
+  /**
+   * Time window for the first page, then trade IDs: consecutive IDs page
+   * through busy milliseconds without skipping or repeating trades
+   */
+  buildAggTradesUrl({ market, symbol, start, end, fromId, limit }) {
+    const url = market === 'spot' ? SPOT_TRADES_URL : USDM_TRADES_URL;
+    if (fromId !== undefined && fromId !== null) {
+      return `${url}?symbol=${symbol}&fromId=${fromId}&limit=${limit}`;
+    }
+    return `${url}?symbol=${symbol}&startTime=${start}&endTime=${end}&limit=${limit}`;
+  },
+
+  /**
+   * [{ a: id, p: price, q: quantity, T: time, m: buyer is maker }] (oldest first)
+   * A maker buyer means the taker sold.
+   */
+  parseAggTrades(body) {
+    if (!Array.isArray(body)) {
+      throw new Error(body?.msg || 'Unexpected aggTrades response');
+    }
+
+    return body.map(t => ({
+      id: t.a,
+      time: t.T,
+      price: parseFloat(t.p),
+      quantity: parseFloat(t.q),
+      side: t.m ? 'sell' : 'buy',
+    }));
+  },
+};
@@ -0,0 +1,197 @@
+/**
+ * Bybit exchange adapter (v5 market API)
+ * spot / linear (USDT & USDC perpetuals) / inverse (USD perpetuals) / delivery (dated futures)
+ */
+
+import { splitPair, formatExpiry, MONTH_NAMES } from './symbols.js';
+
+const INTERVALS = {
+  '1m': '1', '3m': '3', '5m': '5', '15m': '15', '30m': '30',
+  '1h': '60', '2h': '120', '4h': '240', '6h': '360', '12h': '720',
+  '1d': 'D', '1w': 'W',
+};
+
+// Inverse futures month codes (BTCUSDZ25 = Dec 2025)
+const MONTH_CODES = { '03': 'H', '06': 'M', '09': 'U', '12': 'Z' };
+
+// Spot rejects subscribe requests with more than 10 topics
+const TICKER_TOPICS_PER_FRAME = 10;
+
+/**
+ * Ticker fields present in a v5 ticker (linear stream deltas only carry the changed ones)
+ */
+function parseTickerFields(t) {
+  const fields = { id: t.symbol };
+  if (t.lastPrice !== undefined) fields.price = parseFloat(t.lastPrice);
+  if (t.price24hPcnt !== undefined) fields.change24h = parseFloat(t.price24hPcnt) * 100;
+  if (t.volume24h !== undefined) fields.volume24h = parseFloat(t.volume24h);
+  if (t.highPrice24h !== undefined) fields.high24h = parseFloat(t.highPrice24h);
+  if (t.lowPrice24h !== undefined) fields.low24h = parseFloat(t.lowPrice24h);
+  if (t.prevPrice24h !== undefined) fields.openPrice = parseFloat(t.prevPrice24h);
+  return fields;
+}
+
+export default {
+  id: 'bybit',
+  name: 'Bybit',
+  aliases: {},
+
+  // Bybit returns the newest candles of [start, end] first, so we page backward from end
+  pagination: 'backward',
+  pageSize: 1000,
+  rateLimitMs: 100,
+
+  markets: {
+    spot: { category: 'spot', intervals: INTERVALS },
+    linear: { category: 'linear', intervals: INTERVALS },
+    inverse: { category: 'inverse', intervals: INTERVALS },
+    delivery: { category: null, intervals: INTERVALS }, // linear or inverse depending on quote
+  },
+
+  /**
+   * spot/linear/inverse: BTCUSDT, BTCUSD
+   * delivery: BTCUSDZ25 (inverse), BTCUSDT-26DEC25 (USDT), BTC-26DEC25 (USDC)
+   */
+  formatSymbol(pair, market) {
+    const parts = splitPair(pair);
+    if (!parts) return pair.toUpperCase();
+
+    const { base, quote, expiry } = parts;
+    if (market !== 'delivery' || !expiry) return `${base}${quote}`;
+
+    const { yy, mm, dd } = expiry;
+    if (quote === 'USD') return `${base}USD${MONTH_CODES[mm] || ''}${yy}`;
+
+    const date = `${dd}${MONTH_NAMES[parseInt(mm) - 1]}${yy}`;
+    return quote === 'USDC' ? `${base}-${date}` : `${base}${quote}-${date}`;
+  },
+
+  /**
+   * API category for a market (dated futures are linear or inverse depending on the symbol)
+   */
+  getCategory(market, symbol) {
+    if (market !== 'delivery') return this.markets[market].category;
+    return /^[A-Z0-9]+USD[HMUZ]\d{2}$/.test(symbol) ? 'inverse' : 'linear';
+  },
+
+  /**
+   * instruments-info endpoints listing the instruments of a market
+   * (dated futures live in both the linear and the inverse category)
+   */
+  instrumentsUrls(market) {
+    const categories = market === 'delivery' ? ['linear', 'inverse'] : [this.markets[market].category];
+    return categories.map(category =>
+      `https://api.bybit.com/v5/market/instruments-info?category=${category}&limit=1000`
+    );
+  },
+
+  /**
+   * Next instruments-info page: the list is paged by nextPageCursor, empty on the last page
+   */
+  nextInstrumentsUrl(url, body) {
+    const cursor = body?.result?.nextPageCursor;
+    if (!cursor) return null;
+
+    const next = new URL(url);
+    next.searchParams.set('cursor', cursor);
+    return next.toString();
+  },
+
+  /**
+   * { retCode, result: { list: [{ symbol, baseCoin, quoteCoin, status, contractType, deliveryTime }] } }
+   * Derivatives categories mix perpetuals (…Perpetual) and dated futures (…Futures).
+   */
+  parseInstruments(body, market) {
+    if (body?.retCode !== 0) {
+      throw new Error(body?.retMsg || 'Unexpected instruments response');
+    }
+
+    return (body.result?.list || [])
+      .filter(s => {
+        if (market === 'spot') return true;
+        const dated = String(s.contractType).endsWith('Futures');
+        return market === 'delivery' ? dated : !dated;
+      })
+      .map(s => ({
+        id: s.symbol,
+        base: s.baseCoin,
+        quote: s.quoteCoin,
+        expiry: market === 'delivery' && Number(s.deliveryTime) > 0 ? formatExpiry(s.deliveryTime) : null,
+        active: s.status === 'Trading',
+      }));
+  },
+
+  // Live tickers for the relay (see venue-ticker-relay.js); one tickers.<symbol> topic per instrument
+  tickers: {
+    markets: ['spot', 'linear'],
+    pingIntervalMs: 20000,
+  },
+
+  tickerStreamUrl(market) {
+    return `wss://stream.bybit.com/v5/public/${this.markets[market].category}`;
+  },
+
+  tickerRestUrl(market) {
+    return `https://api.bybit.com/v5/market/tickers?category=${this.markets[market].category}`;
+  },
+
+  tickerSubscribeFrames(ids) {
+    const frames = [];
+    for (let i = 0; i < ids.length; i += TICKER_TOPICS_PER_FRAME) {
+      frames.push(JSON.stringify({ op: 'subscribe', args: ids.slice(i, i + TICKER_TOPICS_PER_FRAME).map(id => `tickers.${id}`) }));
+    }
+    return frames;
+  },
+
+  tickerPingFrame() {
+    return JSON.stringify({ op: 'ping' });
+  },
+
+  /**
+   * { topic: 'tickers.BTCUSDT', type: 'snapshot' | 'delta', data: { symbol, lastPrice, ... } }
+   * Other frames (subscribe acks, pongs) yield nothing; failed requests throw.
+   */
+  parseTickerMessage(message) {
+    if (message.success === false) {
+      throw new Error(message.ret_msg || 'Request failed');
+    }
+    if (!String(message.topic).startsWith('tickers.') || !message.data) return [];
+    return [parseTickerFields(message.data)];
+  },
+
+  /**
+   * { retCode, result: { list: [{ symbol, lastPrice, price24hPcnt, ... }] } }
+   */
+  parseTickers(body) {
+    if (body?.retCode !== 0) {
+      throw new Error(body?.retMsg || 'Unexpected tickers response');
+    }
+    return (body.result?.list || []).map(parseTickerFields);
+  },
+
+  buildKlinesUrl({ market, symbol, interval, start, end, limit }) {
+    const category = this.getCategory(market, symbol);
+    return `https://api.bybit.com/v5/market/kline?category=${category}&symbol=${symbol}&interval=${interval}&start=${start}&end=${end}&limit=${limit}`;
+  },
+
+  /**
+   * { retCode, result: { list: [[startTime, open, high, low, close, volume, turnover]] } } (newest first)
+   * Inverse volume is in USD contracts; turnover holds the base coin volume there.
+   */
+  parseKlines(body, market, symbol) {
+    if (body?.retCode !== 0) {
+      throw new Error(body?.retMsg || 'Unexpected klines response');
+    }
+
+    const volumeIndex = this.getCategory(market, symbol) === 'inverse' ? 6 : 5;
+
+    return (body.result?.list || []).map(k => ({
+      time: parseInt(k[0]),
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[volumeIndex]),
+    })).reverse();
+  },
+};
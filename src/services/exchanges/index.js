@@ -0,0 +1,120 @@
+/**
+ * Exchange Adapter Registry
+ *
+ * Each adapter module describes one exchange for historical candles:
+ * - id / name / aliases (extra route names, e.g. BINANCE_FUTURES -> binance linear)
+ * - markets: market type -> { intervals: canonical label -> native interval, maxRangeMs?, ... }
+ *   Market types: spot, linear (USDT/USDC-margined perpetuals), inverse (coin-margined
+ *   perpetuals) and delivery (dated futures, pair carries a YYMMDD expiry: btcusdt_251226)
+ * - pagination ('forward' from start or 'backward' from end), pageSize, rateLimitMs
+ * - formatSymbol(pair, market), buildKlinesUrl(params), parseKlines(body, market, symbol)
+ *   parseKlines returns candles oldest first with volume in the base asset
+ *   (not contracts), so volumes are comparable across exchanges
+ * - instrumentsUrls(market), parseInstruments(body, market): exchangeInfo-style metadata
+ *   as [{ id, base, quote, expiry, active }] (see symbol-registry.js); formatSymbol
+ *   is only the fallback when that metadata can't be loaded. Paged lists add
+ *   nextInstrumentsUrl(url, body), returning the next page's URL or null
+ * - derivatives (optional): { markets, fundingPageSize, openInterestPageSize,
+ *   openInterestPeriods, openInterestRetentionMs } with buildFundingUrl / parseFunding
+ *   and buildOpenInterestUrl / parseOpenInterest for funding and OI history (oldest first)
+ * - trades (optional): { markets, pageSize, maxRangeMs } with buildAggTradesUrl /
+ *   parseAggTrades returning [{ id, time, price, quantity, side }] (side = taker side)
+ * - tickers (optional): { markets, pingIntervalMs } with tickerStreamUrl / tickerRestUrl,
+ *   tickerSubscribeFrames(ids), tickerPingFrame() and parseTickerMessage / parseTickers
+ *   returning [{ id, price, change24h, volume24h, high24h, low24h, openPrice }]
+ *   (stream messages may carry only the changed fields) for the relay's live tickers
+ *
+ * Adding an exchange = adding an adapter module and registering it below.
+ */
+
+import binance from './binance.js';
+import bybit from './bybit.js';
+import okx from './okx.js';
+
+const adapters = new Map(); // id -> adapter
+
+export const MARKET_TYPES = ['spot', 'linear', 'inverse', 'delivery'];
+
+// Alternative market names accepted from clients ('futures' is our existing name for USDⓈ-M perps)
+const MARKET_ALIASES = {
+  futures: 'linear',
+  perp: 'linear',
+  swap: 'linear',
+  dated: 'delivery',
+};
+
+/**
+ * Normalize a client-supplied market type (null if unknown)
+ */
+export function normalizeMarket(market = 'spot') {
+  const value = String(market).toLowerCase();
+  const normalized = MARKET_ALIASES[value] || value;
+  return MARKET_TYPES.includes(normalized) ? normalized : null;
+}
+
+/**
+ * Register an exchange adapter
+ */
+export function registerAdapter(adapter) {
+  adapters.set(adapter.id, adapter);
+}
+
+/**
+ * Get adapter by id (case-insensitive)
+ */
+export function getAdapter(id) {
+  return adapters.get(String(id).toLowerCase()) || null;
+}
+
+/**
+ * Resolve a route exchange name (BINANCE, BINANCE_FUTURES, OKX, ...) to a candle source
+ * @returns {{adapter: object, market: string, intervals: object}|null}
+ */
+export function getCandleSource(exchangeName, market = 'spot') {
+  const name = String(exchangeName).toUpperCase();
+  market = normalizeMarket(market);
+
+  for (const adapter of adapters.values()) {
+    const aliasMarket = adapter.aliases?.[name];
+    const resolvedMarket = aliasMarket || (adapter.id.toUpperCase() === name ? market : null);
+
+    if (resolvedMarket && adapter.markets[resolvedMarket]) {
+      return {
+        adapter,
+        market: resolvedMarket,
+        intervals: adapter.markets[resolvedMarket].intervals,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Describe all registered adapters (for /api/historical/exchanges)
+ */
+export function listAdapters() {
+  return Array.from(adapters.values()).map(adapter => ({
+    id: adapter.id.toUpperCase(),
+    name: adapter.name,
+    aliases: Object.keys(adapter.aliases || {}),
+    markets: Object.fromEntries(
+      Object.entries(adapter.markets).map(([market, config]) => [
+        market,
+        { intervals: Object.keys(config.intervals) },
+      ])
+    ),
+    pagination: adapter.pagination,
+    pageSize: adapter.pageSize,
+    rateLimitMs: adapter.rateLimitMs,
+    derivatives: adapter.derivatives
+      ? { markets: adapter.derivatives.markets, openInterestPeriods: adapter.derivatives.openInterestPeriods }
+      : null,
+    trades: adapter.trades ? { markets: adapter.trades.markets } : null,
+    tickers: adapter.tickers ? { markets: adapter.tickers.markets } : null,
+  }));
+}
+
+registerAdapter(binance);
+registerAdapter(bybit);
+registerAdapter(okx);
@@ -0,0 +1,176 @@
+/**
+ * OKX exchange adapter (v5 market API)
+ * spot (BTC-USDT) / linear (BTC-USDT-SWAP) / inverse (BTC-USD-SWAP) / delivery (BTC-USD-251226)
+ */
+
+import { splitPair } from './symbols.js';
+
+const INTERVALS = {
+  '1m': '1m', '3m': '3m', '5m': '5m', '15m': '15m', '30m': '30m',
+  '1h': '1H', '2h': '2H', '4h': '4H',
+  // Non-"utc" bars of 6h and above are aligned to Hong Kong time
+  '6h': '6Hutc', '12h': '12Hutc', '1d': '1Dutc', '1w': '1Wutc',
+};
+
+// Keeps a subscribe request well under OKX's 64 KB frame limit
+const TICKER_ARGS_PER_FRAME = 100;
+
+/**
+ * { instId, last, open24h, high24h, low24h, vol24h, volCcy24h }
+ * Spot vol24h is in the base currency; derivatives count contracts there and
+ * put the base currency volume in volCcy24h.
+ */
+function parseTicker(t) {
+  const price = parseFloat(t.last);
+  const open = parseFloat(t.open24h);
+
+  return {
+    id: t.instId,
+    price,
+    change24h: open > 0 ? ((price - open) / open) * 100 : 0,
+    volume24h: parseFloat(t.instType === 'SPOT' ? t.vol24h : t.volCcy24h),
+    high24h: parseFloat(t.high24h),
+    low24h: parseFloat(t.low24h),
+    openPrice: open,
+  };
+}
+
+export default {
+  id: 'okx',
+  name: 'OKX',
+  aliases: {},
+
+  // history-candles pages backward with `after` (exclusive upper bound)
+  pagination: 'backward',
+  pageSize: 100,
+  rateLimitMs: 150, // OKX is more strict
+
+  markets: {
+    spot: { intervals: { '1s': '1s', ...INTERVALS } },
+    linear: { intervals: INTERVALS },
+    inverse: { intervals: INTERVALS },
+    delivery: { intervals: INTERVALS },
+  },
+
+  /**
+   * btcusdt -> BTC-USDT, BTC-USDT-SWAP, BTC-USD-SWAP or BTC-USD-251226 depending on market
+   */
+  formatSymbol(pair, market) {
+    const parts = splitPair(pair);
+    if (!parts) return pair.toUpperCase();
+
+    const { base, quote, expiry } = parts;
+    if (market === 'linear' || market === 'inverse') return `${base}-${quote}-SWAP`;
+    if (market === 'delivery') return `${base}-${quote}-${expiry?.raw}`;
+    return `${base}-${quote}`;
+  },
+
+  /**
+   * public/instruments endpoint listing the instruments of a market
+   */
+  instrumentsUrls(market) {
+    const instType = { spot: 'SPOT', linear: 'SWAP', inverse: 'SWAP', delivery: 'FUTURES' }[market];
+    return [`https://www.okx.com/api/v5/public/instruments?instType=${instType}`];
+  },
+
+  /**
+   * { code: '0', data: [{ instId, baseCcy, quoteCcy, uly, ctType, state }] }
+   * Derivatives have no base/quote fields; the underlying (BTC-USDT) holds them.
+   * SWAP covers both linear and inverse perpetuals (ctType).
+   */
+  parseInstruments(body, market) {
+    if (body?.code !== '0') {
+      throw new Error(body?.msg || 'Unexpected instruments response');
+    }
+
+    return (body.data || [])
+      .filter(s => (market !== 'linear' && market !== 'inverse') || s.ctType === market)
+      .map(s => {
+        const [base, quote] = market === 'spot' ? [s.baseCcy, s.quoteCcy] : String(s.uly).split('-');
+        return {
+          id: s.instId,
+          base,
+          quote,
+          expiry: market === 'delivery' ? s.instId.split('-')[2] || null : null,
+          active: s.state === 'live',
+        };
+      });
+  },
+
+  // Live tickers for the relay (see venue-ticker-relay.js); one tickers channel per instrument
+  tickers: {
+    markets: ['spot', 'linear'],
+    pingIntervalMs: 25000, // OKX drops connections after 30s without traffic
+  },
+
+  tickerStreamUrl() {
+    return 'wss://ws.okx.com:8443/ws/v5/public';
+  },
+
+  /**
+   * SWAP covers inverse perpetuals too; the relay keeps only the instruments of its market
+   */
+  tickerRestUrl(market) {
+    return `https://www.okx.com/api/v5/market/tickers?instType=${market === 'spot' ? 'SPOT' : 'SWAP'}`;
+  },
+
+  tickerSubscribeFrames(ids) {
+    const frames = [];
+    for (let i = 0; i < ids.length; i += TICKER_ARGS_PER_FRAME) {
+      frames.push(JSON.stringify({ op: 'subscribe', args: ids.slice(i, i + TICKER_ARGS_PER_FRAME).map(instId => ({ channel: 'tickers', instId })) }));
+    }
+    return frames;
+  },
+
+  tickerPingFrame() {
+    return 'ping';
+  },
+
+  /**
+   * { arg: { channel: 'tickers', instId }, data: [ticker] }
+   * Other frames (subscribe events, 'pong') yield nothing; error events throw.
+   */
+  parseTickerMessage(message) {
+    if (message.event === 'error') {
+      throw new Error(`${message.code}: ${message.msg}`);
+    }
+    if (message.arg?.channel !== 'tickers' || !Array.isArray(message.data)) return [];
+    return message.data.map(parseTicker);
+  },
+
+  /**
+   * { code: '0', data: [ticker] }
+   */
+  parseTickers(body) {
+    if (body?.code !== '0') {
+      throw new Error(body?.msg || 'Unexpected tickers response');
+    }
+    return (body.data || []).map(parseTicker);
+  },
+
+  buildKlinesUrl({ symbol, interval, start, end, limit }) {
+    // after/before are exclusive
+    return `https://www.okx.com/api/v5/market/history-candles?instId=${symbol}&bar=${interval}&after=${end + 1}&before=${start - 1}&limit=${limit}`;
+  },
+
+  /**
+   * { code: '0', data: [[ts, open, high, low, close, vol, volCcy, ...]] } (newest first)
+   * Derivatives vol is in contracts; volCcy holds the base currency volume there.
+   */
+  parseKlines(body, market) {
+    if (body?.code !== '0') {
+      throw new Error(body?.msg || 'Unexpected candles response');
+    }
+
+    const volumeIndex = market === 'spot' ? 5 : 6;
+
+    return (body.data || []).map(k => ({
+      time: parseInt(k[0]),
+      open: parseFloat(k[1]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3]),
+      close: parseFloat(k[4]),
+      volume: parseFloat(k[volumeIndex]),
+    })).reverse();
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Pair parsing helpers shared by exchange adapters
+ * Pairs come in Binance style: btcusdt, btcusd_perp, btcusdt_251226 (dated futures, YYMMDD)
+ */
+
+// Longest first so USDT/FDUSD win over USD
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BUSD', 'TUSD', 'USD', 'TRY', 'EUR', 'BTC', 'ETH', 'BNB'];
+
+export const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+/**
+ * Split a pair into base, quote and optional expiry
+ * BTCUSDT -> { base: 'BTC', quote: 'USDT', expiry: null }
+ * BTC-USD_251226 -> { base: 'BTC', quote: 'USD', expiry: { yy: '25', mm: '12', dd: '26', raw: '251226' } }
+ * Returns null if the quote asset isn't recognized.
+ */
+export function splitPair(pair) {
+  const [raw, suffix] = String(pair).toUpperCase().replace(/[-/]/g, '').split('_');
+  const quote = QUOTE_ASSETS.find(q => raw.endsWith(q) && raw.length > q.length);
+  if (!quote) return null;
+
+  return {
+    base: raw.slice(0, -quote.length),
+    quote,
+    expiry: parseExpiry(suffix),
+  };
+}
+
+/**
+ * YYMMDD (UTC) for an expiry/delivery timestamp in ms
+ */
+export function formatExpiry(time) {
+  return new Date(Number(time)).toISOString().slice(2, 10).replace(/-/g, '');
+}
+
+/**
+ * Parse YYMMDD expiry (PERP or missing -> null)
+ */
+export function parseExpiry(value) {
+  const match = String(value || '').match(/^(\d{2})(\d{2})(\d{2})$/);
+  if (!match) return null;
+
+  const [raw, yy, mm, dd] = match;
+  if (parseInt(mm) < 1 || parseInt(mm) > 12) return null;
+
+  return { yy, mm, dd, raw };
+}
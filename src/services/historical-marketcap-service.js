@@ -8,6 +8,7 @@
  */
 
 import { CIRCULATING_SUPPLY, STABLECOINS, TOP_10_SYMBOLS, DOMINANCE_MULTIPLIERS, INDEX_MULTIPLIERS } from '../data/circulating-supply.js';
+import { getBinanceScheduler, BinanceRateLimitError } from './binance-scheduler.js';
 
 // In-memory cache for calculated historical data
 const historyCache = new Map(); // key: `${interval}_${limit}` -> data array
@@ -116,12 +117,8 @@ class HistoricalMarketCapService {
 
             for (let attempt = 1; attempt <= retries; attempt++) {
                 try {
-                    const response = await fetch(url);
-                    if (response.status === 429) {
-                        console.warn(`📊 [HistoricalMCap] Rate limited for ${symbol}, waiting... (Attempt ${attempt}/${retries})`);
-                        await new Promise(resolve => setTimeout(resolve, 2000 * attempt));
-                        continue;
-                    }
+                    // Background priority: chart requests go first
+                    const response = await getBinanceScheduler().request(url, { priority: 'background' });
 
                     if (!response.ok) {
                         throw new Error(`HTTP ${response.status}`);
@@ -142,7 +139,8 @@ class HistoricalMarketCapService {
                     fetchedChunk = chunk;
                     break; // Success
                 } catch (error) {
-                    if (attempt === retries) {
+                    // Binance is paused after a rate limit (a 429 pauses it too): no point retrying yet
+                    if (attempt === retries || error instanceof BinanceRateLimitError) {
                         console.error(`📊 [HistoricalMCap] Failed to fetch ${symbol}: ${error.message}`);
                         // If a chunk fails, we return what we have so far or null if critical
                         if (allKlines.length > 0) return allKlines.sort((a, b) => a.time - b.time);
@@ -190,9 +188,6 @@ class HistoricalMarketCapService {
             if (fetchedChunk.length < currentLimit) {
                 break;
             }
-
-            // Small delay between chunks
-            await new Promise(resolve => setTimeout(resolve, 200));
         }
 
         return allKlines;
@@ -234,14 +229,10 @@ class HistoricalMarketCapService {
     async _calculateIndicesInternal(interval, limit, endTime = null) {
         const startTime = Date.now();
 
-        // Fetch all coin klines in parallel (batch of 10 to avoid rate limits)
+        // Fetch all coin klines in parallel, in batches of 10 (pacing is up to the Binance scheduler)
         const allKlines = new Map(); // symbol -> klines array
         const batchSize = 10;
 
-        // Use larger delay for high-weight requests (limit=1000 is weight 5 per req)
-        // 500ms delay ensures we stay under safe limits
-        const batchDelay = limit > 500 ? 500 : 200;
-
         let successCount = 0;
         let failCount = 0;
 
@@ -260,11 +251,6 @@ class HistoricalMarketCapService {
                     failCount++;
                 }
             });
-
-            // Small delay between batches to respect rate limits
-            if (i + batchSize < this.coinsToFetch.length) {
-                await new Promise(resolve => setTimeout(resolve, batchDelay));
-            }
         }
 
         const totalCoins = this.coinsToFetch.length;
@@ -0,0 +1,279 @@
+/**
+ * Indicators
+ * Technical indicators computed server-side over historical candles, so the
+ * web and mobile clients don't each carry their own implementation.
+ *
+ * Specs are written as `name:param:param`, e.g. rsi:14, ema:50, macd:12:26:9,
+ * bb:20:2, atr:14, vwap:day. Omitted params fall back to the defaults below.
+ *
+ * Every series is aligned with the candles it was computed from (null where the
+ * indicator isn't defined yet). Each indicator also says how many earlier candles
+ * it needs (`warmup`) for its first visible value to match a full-history
+ * computation: exact for window-based ones (SMA, Bollinger), and to well below
+ * display precision for the exponentially smoothed ones (EMA, RSI, ATR, MACD).
+ */
+
+import { alignTime } from './timeframes.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Max warm-up candles fetched for one request
+export const MAX_WARMUP = 5000;
+
+const MAX_PERIOD = 1000;
+
+// Smoothed averages carry weight (1 - alpha)^n from older candles; these
+// multiples of the period bring that under e^-10 (~0.005%)
+const EMA_WARMUP_FACTOR = 5; // alpha = 2 / (period + 1)
+const WILDER_WARMUP_FACTOR = 10; // alpha = 1 / period
+
+const VWAP_ANCHORS = {
+  day: DAY_MS,
+  week: 7 * DAY_MS,
+  none: null, // cumulative over the requested range
+};
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period` values
+ * `alpha` defaults to 2 / (period + 1); Wilder's smoothing (RSI, ATR) uses 1 / period.
+ * Leading nulls in `values` are skipped.
+ */
+function ema(values, period, alpha = 2 / (period + 1)) {
+  const result = new Array(values.length).fill(null);
+  const first = values.findIndex(v => v !== null);
+  if (first === -1 || values.length - first < period) return result;
+
+  let prev = 0;
+  for (let i = first; i < first + period; i++) prev += values[i];
+  prev /= period;
+  result[first + period - 1] = prev;
+
+  for (let i = first + period; i < values.length; i++) {
+    prev = alpha * values[i] + (1 - alpha) * prev;
+    result[i] = prev;
+  }
+  return result;
+}
+
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+const closes = (candles) => candles.map(c => c.close);
+
+/**
+ * Indicator definitions
+ * - params: [name, default] in spec order
+ * - warmup(params, ctx): earlier candles needed; ctx = { from, stepMs }
+ * - compute(candles, params): { output: values[] }
+ */
+const INDICATORS = {
+  ema: {
+    params: [['period', 20]],
+    warmup: ({ period }) => period * EMA_WARMUP_FACTOR,
+    compute: (candles, { period }) => ({ value: ema(closes(candles), period) }),
+  },
+
+  rsi: {
+    params: [['period', 14]],
+    warmup: ({ period }) => period * WILDER_WARMUP_FACTOR,
+    compute(candles, { period }) {
+      const changes = candles.map((c, i) => (i === 0 ? null : c.close - candles[i - 1].close));
+      const gains = ema(changes.map(d => (d === null ? null : Math.max(d, 0))), period, 1 / period);
+      const losses = ema(changes.map(d => (d === null ? null : Math.max(-d, 0))), period, 1 / period);
+
+      return {
+        value: gains.map((gain, i) => {
+          if (gain === null) return null;
+          if (losses[i] === 0) return gain === 0 ? 50 : 100;
+          return 100 - 100 / (1 + gain / losses[i]);
+        }),
+      };
+    },
+  },
+
+  macd: {
+    params: [['fast', 12], ['slow', 26], ['signal', 9]],
+    warmup: ({ slow, signal }) => (slow + signal) * EMA_WARMUP_FACTOR,
+    validate: ({ fast, slow }) => (fast < slow ? null : 'fast period must be shorter than slow period'),
+    compute(candles, { fast, slow, signal }) {
+      const fastEma = ema(closes(candles), fast);
+      const slowEma = ema(closes(candles), slow);
+      const macd = slowEma.map((s, i) => (s === null ? null : fastEma[i] - s));
+      const signalLine = ema(macd, signal);
+
+      return {
+        macd,
+        signal: signalLine,
+        histogram: signalLine.map((s, i) => (s === null ? null : macd[i] - s)),
+      };
+    },
+  },
+
+  bb: {
+    params: [['period', 20], ['stddev', 2]],
+    warmup: ({ period }) => period - 1,
+    compute(candles, { period, stddev }) {
+      const values = closes(candles);
+      const middle = sma(values, period);
+      const width = middle.map((mean, i) => {
+        if (mean === null) return null;
+        let variance = 0;
+        for (let j = i - period + 1; j <= i; j++) variance += (values[j] - mean) ** 2;
+        return stddev * Math.sqrt(variance / period);
+      });
+
+      return {
+        upper: middle.map((m, i) => (m === null ? null : m + width[i])),
+        middle,
+        lower: middle.map((m, i) => (m === null ? null : m - width[i])),
+      };
+    },
+  },
+
+  atr: {
+    params: [['period', 14]],
+    warmup: ({ period }) => period * WILDER_WARMUP_FACTOR,
+    compute(candles, { period }) {
+      const trueRanges = candles.map((c, i) => {
+        if (i === 0) return c.high - c.low;
+        const prevClose = candles[i - 1].close;
+        return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+      });
+      return { value: ema(trueRanges, period, 1 / period) };
+    },
+  },
+
+  vwap: {
+    params: [['anchor', 'day']],
+    // Back to the start of the anchor period containing `from`
+    warmup: ({ anchor }, { from, stepMs }) => (
+      VWAP_ANCHORS[anchor] ? Math.ceil((from - alignTime(from, VWAP_ANCHORS[anchor])) / stepMs) : 0
+    ),
+    compute(candles, { anchor }) {
+      const anchorMs = VWAP_ANCHORS[anchor];
+      let session = null;
+      let priceVolume = 0;
+      let volume = 0;
+
+      return {
+        value: candles.map(c => {
+          const candleSession = anchorMs ? alignTime(c.time, anchorMs) : 0;
+          if (candleSession !== session) {
+            session = candleSession;
+            priceVolume = 0;
+            volume = 0;
+          }
+
+          const typical = (c.high + c.low + c.close) / 3;
+          priceVolume += typical * c.volume;
+          volume += c.volume;
+          return volume > 0 ? priceVolume / volume : typical;
+        }),
+      };
+    },
+  },
+};
+
+export const INDICATOR_NAMES = Object.keys(INDICATORS);
+
+/**
+ * Parse a comma-separated list of indicator specs
+ * Returns { specs } or { error }. Each spec: { key, name, params }, where key is the
+ * spec with defaults filled in (e.g. 'rsi' -> 'rsi:14') and identifies the output series.
+ */
+export function parseIndicatorSpecs(value) {
+  const specs = [];
+  const entries = String(value || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+
+  if (entries.length === 0) {
+    return { error: `No indicators given. Available: ${INDICATOR_NAMES.join(', ')}` };
+  }
+
+  for (const entry of entries) {
+    const [name, ...args] = entry.split(':');
+    const definition = Object.hasOwn(INDICATORS, name) ? INDICATORS[name] : null;
+    if (!definition) {
+      return { error: `Unknown indicator: ${name}. Available: ${INDICATOR_NAMES.join(', ')}` };
+    }
+    if (args.length > definition.params.length) {
+      return { error: `Too many params for ${name}: expected ${definition.params.map(([p]) => p).join(':')}` };
+    }
+
+    const params = {};
+    for (const [i, [param, fallback]] of definition.params.entries()) {
+      const raw = args[i] === undefined || args[i] === '' ? fallback : args[i];
+
+      if (typeof fallback === 'string') {
+        if (!Object.hasOwn(VWAP_ANCHORS, raw)) {
+          return { error: `Invalid ${param} for ${name}: ${raw}. Must be one of: ${Object.keys(VWAP_ANCHORS).join(', ')}` };
+        }
+        params[param] = raw;
+        continue;
+      }
+
+      // Bollinger width may be fractional (e.g. bb:20:2.5), periods are whole candles
+      const number = Number(raw);
+      const valid = param === 'stddev'
+        ? number > 0
+        : Number.isInteger(number) && number > 0 && number <= MAX_PERIOD;
+      if (!valid) {
+        return { error: `Invalid ${param} for ${name}: ${raw}` };
+      }
+      params[param] = number;
+    }
+
+    const invalid = definition.validate?.(params);
+    if (invalid) {
+      return { error: `Invalid ${name}: ${invalid}` };
+    }
+
+    const key = [name, ...definition.params.map(([param]) => params[param])].join(':');
+    if (!specs.some(spec => spec.key === key)) {
+      specs.push({ key, name, params });
+    }
+  }
+
+  return { specs };
+}
+
+/**
+ * Warm-up candles needed before `from` for all specs (capped at MAX_WARMUP)
+ */
+export function getWarmup(specs, from, stepMs) {
+  const needed = Math.max(0, ...specs.map(({ name, params }) => INDICATORS[name].warmup(params, { from, stepMs })));
+  return Math.min(needed, MAX_WARMUP);
+}
+
+/**
+ * Compute all specs over `candles` (warm-up included) and return the series
+ * from `visibleFrom` on (at most `limit` candles), aligned with the visible candles
+ * @returns {{ candles: Array, indicators: Object<string, {name: string, params: object, series: Object<string, Array<number|null>>}> }}
+ */
+export function computeIndicators(candles, specs, visibleFrom, limit = Infinity) {
+  let firstVisible = candles.findIndex(c => c.time >= visibleFrom);
+  if (firstVisible === -1) firstVisible = candles.length;
+  const lastVisible = Math.min(candles.length, firstVisible + limit);
+
+  const indicators = {};
+  for (const { key, name, params } of specs) {
+    const series = INDICATORS[name].compute(candles, params);
+    indicators[key] = {
+      name,
+      params,
+      series: Object.fromEntries(
+        Object.entries(series).map(([output, values]) => [output, values.slice(firstVisible, lastVisible)])
+      ),
+    };
+  }
+
+  return { candles: candles.slice(firstVisible, lastVisible), indicators };
+}
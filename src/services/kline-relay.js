@@ -0,0 +1,194 @@
+/**
+ * Kline Relay Service
+ *
+ * Live candles for chart users who can't reach Binance, one room per
+ * `kline-{marketType}-{symbol}-{interval}`:
+ * - Upstream <symbol>@kline_<interval> streams ride the shared combined-stream
+ *   connection of their market (binance-streams.js) and are only subscribed
+ *   while their room has members
+ * - The latest candle of every active stream is kept, so a client joining
+ *   mid-candle gets the open bar immediately; for a brand-new stream it is
+ *   fetched once over REST until the first stream event arrives
+ *
+ * Candles are sent as `kline-update` ({ marketType, symbol, interval, candle })
+ * with candle = { time, closeTime, open, high, low, close, volume,
+ * quoteVolume, takerBuyVolume, trades, closed }.
+ */
+
+import { getMarketDataSource } from './market-data-source.js';
+import { fetchPage } from './exchangeService.js';
+import binance from './exchanges/binance.js';
+
+const KLINE_URLS = {
+    spot: 'https://api.binance.com/api/v3/klines',
+    futures: 'https://fapi.binance.com/fapi/v1/klines',
+};
+
+// Relay market type -> Binance adapter market (for the interval list)
+const ADAPTER_MARKETS = { spot: 'spot', futures: 'linear' };
+
+// Keep a stream this long after its room empties (interval switching back and forth)
+const KLINE_IDLE_MS = 10000;
+
+/**
+ * Intervals a market's kline streams support
+ */
+export function klineIntervals(marketType) {
+    return Object.values(binance.markets[ADAPTER_MARKETS[marketType]]?.intervals || {});
+}
+
+class KlineRelayService {
+    constructor(io) {
+        this.io = io;
+        this.streams = new Map(); // room -> entry
+    }
+
+    static roomName(marketType, symbol, interval) {
+        return `kline-${marketType}-${symbol}-${interval}`;
+    }
+
+    /**
+     * Start (or keep) the stream for a symbol/interval; symbol is the relay's lowercase Binance ID
+     */
+    acquire(marketType, symbol, interval) {
+        const room = KlineRelayService.roomName(marketType, symbol, interval);
+        const existing = this.streams.get(room);
+        if (existing) {
+            clearTimeout(existing.releaseTimer);
+            existing.releaseTimer = null;
+            return existing;
+        }
+
+        const entry = {
+            marketType,
+            symbol,
+            interval,
+            room,
+            tag: `[Kline Relay] ${marketType} ${symbol} ${interval}`,
+            candle: null,
+            releaseTimer: null,
+        };
+
+        entry.unsubscribe = getMarketDataSource().subscribe(marketType, `${symbol}@kline_${interval}`, {
+            onMessage: (event) => this.handleEvent(entry, event),
+        });
+
+        this.streams.set(room, entry);
+        this.fetchOpenCandle(entry);
+
+        console.log(`${entry.tag} Stream started`);
+        return entry;
+    }
+
+    /**
+     * Stop a room's stream once nobody has been in it for KLINE_IDLE_MS
+     * (rooms that aren't kline rooms are ignored)
+     */
+    release(room) {
+        const entry = this.streams.get(room);
+        if (!entry || entry.releaseTimer) return;
+
+        entry.releaseTimer = setTimeout(() => {
+            entry.releaseTimer = null;
+            if (this.io.sockets.adapter.rooms.get(entry.room)?.size) return;
+
+            entry.unsubscribe();
+            this.streams.delete(entry.room);
+            console.log(`${entry.tag} Stream stopped (no subscribers)`);
+        }, KLINE_IDLE_MS);
+    }
+
+    /**
+     * { e: 'kline', k: { t, T, o, h, l, c, v, q, V, n, x } }
+     */
+    handleEvent(entry, event) {
+        const k = event?.k;
+        if (!k) return;
+
+        entry.candle = {
+            time: k.t,
+            closeTime: k.T,
+            open: parseFloat(k.o),
+            high: parseFloat(k.h),
+            low: parseFloat(k.l),
+            close: parseFloat(k.c),
+            volume: parseFloat(k.v),
+            quoteVolume: parseFloat(k.q),
+            takerBuyVolume: parseFloat(k.V),
+            trades: k.n,
+            closed: k.x,
+        };
+
+        this.io.to(entry.room).emit('kline-update', this.getUpdate(entry));
+    }
+
+    /**
+     * Latest candle over REST, for clients that join before the first stream event
+     */
+    async fetchOpenCandle(entry) {
+        const url = `${KLINE_URLS[entry.marketType]}?symbol=${entry.symbol.toUpperCase()}&interval=${entry.interval}&limit=1`;
+        const page = await fetchPage(url, { name: 'Binance', tag: entry.tag });
+
+        // Stopped meanwhile, or the stream was faster
+        if (this.streams.get(entry.room) !== entry || entry.candle) return;
+
+        const k = Array.isArray(page.body) ? page.body[0] : null;
+        if (!k) {
+            console.error(`${entry.tag} Open candle fetch failed:`, page.stop?.message || page.body?.msg);
+            return;
+        }
+
+        entry.candle = {
+            time: k[0],
+            closeTime: k[6],
+            open: parseFloat(k[1]),
+            high: parseFloat(k[2]),
+            low: parseFloat(k[3]),
+            close: parseFloat(k[4]),
+            volume: parseFloat(k[5]),
+            quoteVolume: parseFloat(k[7]),
+            takerBuyVolume: parseFloat(k[9]),
+            trades: k[8],
+            closed: k[6] < Date.now(),
+        };
+
+        this.io.to(entry.room).emit('kline-update', this.getUpdate(entry));
+    }
+
+    getUpdate(entry) {
+        return {
+            marketType: entry.marketType,
+            symbol: entry.symbol,
+            interval: entry.interval,
+            candle: entry.candle,
+        };
+    }
+
+    /**
+     * Latest candle of an active stream (null if none yet)
+     */
+    getCurrent(marketType, symbol, interval) {
+        const entry = this.streams.get(KlineRelayService.roomName(marketType, symbol, interval));
+        return entry?.candle ? this.getUpdate(entry) : null;
+    }
+
+    getStatus() {
+        return Array.from(this.streams.values()).map(entry => ({
+            marketType: entry.marketType,
+            symbol: entry.symbol,
+            interval: entry.interval,
+            subscribers: this.io.sockets.adapter.rooms.get(entry.room)?.size || 0,
+            lastCandleTime: entry.candle?.time ?? null,
+        }));
+    }
+
+    stop() {
+        this.streams.forEach(entry => {
+            entry.unsubscribe();
+            clearTimeout(entry.releaseTimer);
+        });
+        this.streams.clear();
+    }
+}
+
+export default KlineRelayService;
@@ -0,0 +1,555 @@
+/**
+ * Market Data Source
+ *
+ * Where the relay and the alert services get Binance stream data from,
+ * chosen with MARKET_DATA_MODE:
+ * - live (default): Binance's combined streams (binance-streams.js)
+ * - record: live, and every message of a ticker, kline, aggTrade or mark price
+ *   stream is appended to MARKET_DATA_FILE as a JSON line { t, m, s, d }
+ *   (receive time, market type, stream, payload); MARKET_DATA_SYMBOLS limits
+ *   it to some symbols
+ * - replay: MARKET_DATA_FILE played back with its original timing divided by
+ *   MARKET_DATA_SPEED (0 = as fast as possible), forever with MARKET_DATA_LOOP=true
+ * - synthetic: generated price paths (SYNTHETIC_DEFAULTS, or the JSON config in
+ *   MARKET_DATA_FILE) ticking once per simulated second, MARKET_DATA_SPEED
+ *   simulated seconds per real second
+ *
+ * Streams keep Binance's names and payloads ('btcusdt@ticker', '!ticker@arr',
+ * 'btcusdt@kline_1m', ...), so consumers work the same in every mode. In
+ * replay and synthetic mode nothing is sent before start(), which runs once
+ * every service has subscribed.
+ */
+
+import { createReadStream, createWriteStream, mkdirSync, readFileSync } from 'fs';
+import { dirname } from 'path';
+import { createInterface } from 'readline';
+import { getBinanceStreams } from './binance-streams.js';
+import { alignTime, parseTimeframe } from './timeframes.js';
+
+export const MARKET_DATA_MODES = ['live', 'record', 'replay', 'synthetic'];
+
+const DEFAULT_FILE = 'recordings/market-data.jsonl';
+
+// Depth isn't recorded: a replayed diff stream is useless without its REST snapshot
+const RECORDED_STREAM_PATTERN = /^(?:!ticker@arr|!markPrice@arr@1s|[a-z0-9_]+@(?:ticker|aggTrade|kline_\w+))$/;
+
+const SYNTHETIC_TICK_MS = 1000;
+
+// A looping replay continues its clock this long after the previous pass's last record
+const REPLAY_LOOP_GAP_MS = 1000;
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+
+/**
+ * Synthetic symbols: a random walk from `start` (per-tick `volatility` and
+ * `drift`, as fractions of the price) or a fixed `path` of prices played in a
+ * loop; `volume` is the average base volume traded per tick
+ */
+const SYNTHETIC_DEFAULTS = {
+    seed: 1,
+    symbols: {
+        BTCUSDT: { start: 100000, volatility: 0.0005 },
+        ETHUSDT: { start: 4000, volatility: 0.0007 },
+        SOLUSDT: { start: 200, volatility: 0.001 },
+        BNBUSDT: { start: 600, volatility: 0.0006 },
+    },
+};
+
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Read and check a synthetic config file
+ * @throws {Error} when the file can't be read, isn't JSON or misses required fields
+ */
+function readSyntheticConfig(file) {
+    const config = JSON.parse(readFileSync(file, 'utf8'));
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('expected a JSON object');
+    }
+
+    const optional = { seed: Number.isFinite, startTime: Number.isFinite };
+    Object.entries(optional).forEach(([field, check]) => {
+        if (config[field] !== undefined && !check(config[field])) throw new Error(`"${field}" must be a number`);
+    });
+
+    const symbols = Object.entries(config.symbols ?? {});
+    if (typeof config.symbols !== 'object' || Array.isArray(config.symbols) || symbols.length === 0) {
+        throw new Error('"symbols" must be an object with at least one symbol');
+    }
+    symbols.forEach(([symbol, options]) => {
+        if (options?.path !== undefined) {
+            if (!Array.isArray(options.path) || options.path.length === 0 || !options.path.every(isPositive)) {
+                throw new Error(`${symbol}: "path" must be a non-empty array of positive prices`);
+            }
+        } else if (!isPositive(options?.start)) {
+            throw new Error(`${symbol}: needs a positive "start" price or a "path"`);
+        }
+        ['volatility', 'drift', 'volume'].forEach(field => {
+            if (options[field] !== undefined && !Number.isFinite(options[field])) {
+                throw new Error(`${symbol}: "${field}" must be a number`);
+            }
+        });
+    });
+
+    return config;
+}
+
+/**
+ * Seeded PRNG (mulberry32) so a synthetic run can be reproduced
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class MarketDataSource {
+    constructor(options = {}) {
+        this.mode = options.mode ?? process.env.MARKET_DATA_MODE ?? 'live';
+        if (!MARKET_DATA_MODES.includes(this.mode)) {
+            throw new Error(`Invalid MARKET_DATA_MODE "${this.mode}". Must be one of: ${MARKET_DATA_MODES.join(', ')}`);
+        }
+
+        this.file = options.file ?? process.env.MARKET_DATA_FILE ?? (this.mode === 'synthetic' ? null : DEFAULT_FILE);
+        this.speed = Number(options.speed ?? process.env.MARKET_DATA_SPEED ?? 1);
+        this.loop = options.loop ?? process.env.MARKET_DATA_LOOP === 'true';
+        this.symbols = (options.symbols ?? process.env.MARKET_DATA_SYMBOLS?.split(','))
+            ?.map(symbol => symbol.trim().toUpperCase()).filter(Boolean) || null;
+
+        if (!(this.speed >= 0) || (this.mode === 'synthetic' && this.speed === 0)) {
+            throw new Error(`Invalid MARKET_DATA_SPEED "${this.speed}". Must be a positive number (or 0 for an unthrottled replay)`);
+        }
+
+        this.tag = `[Market Data ${this.mode}]`;
+        this.listeners = new Map(); // `${marketType} ${stream}` -> Set<listener> (replay / synthetic)
+        this.recordings = new Map(); // `${marketType} ${stream}` -> { count, unsubscribe } (record)
+        this.recorder = null;
+        this.recorded = 0;
+
+        this.started = false;
+        this.stopped = false;
+        this.timer = null;
+        this.wake = null;
+        this.replayed = 0;
+        this.replayTime = null;
+        this.replayOffset = 0; // added to record times so the clock keeps going forward across loops
+        this.synthetic = null;
+    }
+
+    /**
+     * Data doesn't come from Binance (replay / synthetic)
+     */
+    get simulated() {
+        return this.mode === 'replay' || this.mode === 'synthetic';
+    }
+
+    /**
+     * Current time as the data sees it: the replayed record's time (shifted
+     * forward on every loop, so it never goes back), the synthetic clock,
+     * otherwise the wall clock. Cooldowns and history windows use it so they
+     * follow the data when it's replayed faster than real time.
+     */
+    now() {
+        if (this.mode === 'replay' && this.replayTime !== null) return this.replayTime;
+        if (this.mode === 'synthetic' && this.synthetic) return this.synthetic.clock;
+        return Date.now();
+    }
+
+    /**
+     * Listen to a Binance stream of a market
+     * @param {{onMessage: (data: object) => void, onReset?: () => void, onError?: (error: Error) => void}} listener
+     * @returns {() => void} unsubscribe
+     */
+    subscribe(marketType, stream, listener) {
+        const key = `${marketType} ${stream}`;
+
+        if (!this.simulated) {
+            const unsubscribe = getBinanceStreams(marketType).subscribe(stream, listener);
+            if (this.mode !== 'record' || !RECORDED_STREAM_PATTERN.test(stream)) return unsubscribe;
+
+            // One recording per stream, however many listeners it has
+            let recording = this.recordings.get(key);
+            if (!recording) {
+                recording = {
+                    count: 0,
+                    unsubscribe: getBinanceStreams(marketType).subscribe(stream, {
+                        onMessage: (data) => this.record(marketType, stream, data),
+                    }),
+                };
+                this.recordings.set(key, recording);
+            }
+            recording.count++;
+
+            return () => {
+                unsubscribe();
+                if (--recording.count === 0 && this.recordings.get(key) === recording) {
+                    recording.unsubscribe();
+                    this.recordings.delete(key);
+                }
+            };
+        }
+
+        let listeners = this.listeners.get(key);
+        if (!listeners) {
+            listeners = new Set();
+            this.listeners.set(key, listeners);
+        }
+        listeners.add(listener);
+
+        return () => {
+            listeners.delete(listener);
+            if (listeners.size === 0 && this.listeners.get(key) === listeners) {
+                this.listeners.delete(key);
+            }
+        };
+    }
+
+    /**
+     * Append a live message to the recording (no-op unless recording that stream);
+     * for feeds with their own connection, like the relay's !ticker@arr
+     */
+    record(marketType, stream, data) {
+        if (this.mode !== 'record' || !RECORDED_STREAM_PATTERN.test(stream)) return;
+
+        let payload = data;
+        if (this.symbols) {
+            if (Array.isArray(data)) {
+                payload = data.filter(item => this.symbols.includes(item.s));
+                if (payload.length === 0) return;
+            } else if (!this.symbols.includes(stream.split('@')[0].toUpperCase())) {
+                return;
+            }
+        }
+
+        if (!this.recorder) {
+            mkdirSync(dirname(this.file), { recursive: true });
+            this.recorder = createWriteStream(this.file, { flags: 'a' });
+            this.recorder.on('error', (error) => console.error(`${this.tag} Write failed:`, error.message));
+            console.log(`${this.tag} Recording to ${this.file}${this.symbols ? ` (${this.symbols.join(', ')})` : ''}`);
+        }
+
+        this.recorder.write(`${JSON.stringify({ t: Date.now(), m: marketType, s: stream, d: payload })}\n`);
+        this.recorded++;
+    }
+
+    /**
+     * Start sending recorded or generated data (no-op in live / record mode)
+     */
+    start() {
+        if (!this.simulated || this.started) return;
+        this.started = true;
+
+        if (this.mode === 'replay') {
+            this.replay();
+        } else {
+            this.startSynthetic();
+        }
+    }
+
+    emit(marketType, stream, data) {
+        this.listeners.get(`${marketType} ${stream}`)?.forEach(listener => {
+            try {
+                listener.onMessage(data);
+            } catch (error) {
+                console.error(`${this.tag} ${marketType} ${stream} handler error:`, error.message);
+            }
+        });
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => {
+            this.wake = resolve;
+            this.timer = setTimeout(resolve, ms);
+        });
+    }
+
+    async replay() {
+        console.log(`${this.tag} Replaying ${this.file} at ${this.speed ? `${this.speed}x` : 'full speed'}${this.loop ? ' (looping)' : ''}`);
+
+        do {
+            const startedAt = Date.now();
+            let first = null;
+            let skipped = 0;
+
+            const lines = createInterface({ input: createReadStream(this.file), crlfDelay: Infinity });
+            try {
+                for await (const line of lines) {
+                    if (this.stopped) break;
+                    if (!line.trim()) continue;
+
+                    let record;
+                    try {
+                        record = JSON.parse(line);
+                    } catch (error) {
+                        skipped++;
+                        continue;
+                    }
+
+                    if (first === null) {
+                        first = record.t;
+                        if (this.replayTime !== null) this.replayOffset = this.replayTime + REPLAY_LOOP_GAP_MS - record.t;
+                    }
+                    if (this.speed > 0) {
+                        const wait = (record.t - first) / this.speed - (Date.now() - startedAt);
+                        if (wait > 0) await this.sleep(wait);
+                        if (this.stopped) break;
+                    } else if (this.replayed % 1000 === 0) {
+                        // Unthrottled: still let the event loop breathe
+                        await new Promise(resolve => setImmediate(resolve));
+                    }
+
+                    // Handlers read now() for this record
+                    this.replayTime = record.t + this.replayOffset;
+                    this.emit(record.m, record.s, record.d);
+                    this.replayed++;
+                }
+            } catch (error) {
+                console.error(`${this.tag} Failed to read ${this.file}:`, error.message);
+                return;
+            } finally {
+                lines.close();
+            }
+
+            if (this.stopped) return;
+            console.log(`${this.tag} Reached the end of ${this.file} (${this.replayed} messages replayed${skipped ? `, ${skipped} invalid lines skipped` : ''})`);
+        } while (this.loop);
+    }
+
+    startSynthetic() {
+        let config = SYNTHETIC_DEFAULTS;
+        if (this.file) {
+            try {
+                config = readSyntheticConfig(this.file);
+            } catch (error) {
+                console.error(`${this.tag} Failed to read ${this.file}:`, error.message);
+                console.error(`${this.tag} Falling back to the built-in symbols`);
+            }
+        }
+        const random = createRandom(config.seed ?? 1);
+
+        this.synthetic = {
+            random,
+            clock: config.startTime ?? Date.now(),
+            candles: new Map(), // `${marketType} ${stream}` -> open candle
+            symbols: Object.entries(config.symbols || {}).map(([symbol, options]) => {
+                const start = options.path?.[0] ?? options.start;
+                return {
+                    symbol: symbol.toUpperCase(),
+                    path: options.path || null,
+                    volatility: options.volatility ?? 0.0005,
+                    drift: options.drift ?? 0,
+                    averageVolume: options.volume ?? 1,
+                    tick: 0,
+                    price: start,
+                    open: start,
+                    high: start,
+                    low: start,
+                    volume: 0,
+                    quoteVolume: 0,
+                    lastVolume: 0,
+                    tradeId: 0,
+                    sell: false,
+                };
+            }),
+        };
+
+        console.log(`${this.tag} Generating ${this.synthetic.symbols.map(s => s.symbol).join(', ')} at ${this.speed}x (seed ${config.seed ?? 1})`);
+        this.timer = setInterval(() => this.tickSynthetic(), SYNTHETIC_TICK_MS / this.speed);
+    }
+
+    /**
+     * Advance every symbol one simulated second, then send whatever is subscribed.
+     * Random draws happen in a fixed order, so a seed gives the same prices
+     * whatever the subscriptions are.
+     */
+    tickSynthetic() {
+        const state = this.synthetic;
+        state.clock += SYNTHETIC_TICK_MS;
+
+        state.symbols.forEach(s => {
+            // Box-Muller: one standard normal draw per tick
+            const normal = Math.sqrt(-2 * Math.log(1 - state.random())) * Math.cos(2 * Math.PI * state.random());
+            s.tick++;
+            s.price = s.path
+                ? s.path[s.tick % s.path.length]
+                : s.price * Math.exp(s.drift + s.volatility * normal);
+            s.lastVolume = s.averageVolume * (0.5 + state.random());
+            s.sell = state.random() < 0.5;
+
+            s.high = Math.max(s.high, s.price);
+            s.low = Math.min(s.low, s.price);
+            s.volume += s.lastVolume;
+            s.quoteVolume += s.lastVolume * s.price;
+            s.tradeId++;
+        });
+
+        const tickers = state.symbols.map(s => this.syntheticTicker(s));
+
+        this.listeners.forEach((listeners, key) => {
+            const [marketType, stream] = key.split(' ');
+            const [name, type] = stream.split('@');
+
+            if (stream === '!ticker@arr') {
+                this.emit(marketType, stream, tickers);
+            } else if (stream === '!markPrice@arr@1s') {
+                this.emit(marketType, stream, state.symbols.map(s => this.syntheticMarkPrice(s)));
+            } else {
+                const index = state.symbols.findIndex(s => s.symbol.toLowerCase() === name);
+                if (index === -1) return;
+
+                if (type === 'ticker') {
+                    this.emit(marketType, stream, tickers[index]);
+                } else if (type === 'aggTrade') {
+                    this.emit(marketType, stream, this.syntheticTrade(state.symbols[index]));
+                } else if (type?.startsWith('kline_')) {
+                    this.syntheticKlines(key, state.symbols[index], type.slice('kline_'.length))
+                        .forEach(event => this.emit(marketType, stream, event));
+                }
+            }
+        });
+    }
+
+    syntheticTicker(s) {
+        const { clock } = this.synthetic;
+        return {
+            e: '24hrTicker',
+            E: clock,
+            s: s.symbol,
+            p: String(s.price - s.open),
+            P: ((s.price - s.open) / s.open * 100).toFixed(3),
+            o: String(s.open),
+            h: String(s.high),
+            l: String(s.low),
+            c: String(s.price),
+            v: s.volume.toFixed(8),
+            q: s.quoteVolume.toFixed(8),
+        };
+    }
+
+    syntheticTrade(s) {
+        const { clock } = this.synthetic;
+        return {
+            e: 'aggTrade',
+            E: clock,
+            s: s.symbol,
+            a: s.tradeId,
+            p: String(s.price),
+            q: s.lastVolume.toFixed(8),
+            T: clock,
+            m: s.sell,
+        };
+    }
+
+    syntheticMarkPrice(s) {
+        const { clock } = this.synthetic;
+        return {
+            e: 'markPriceUpdate',
+            E: clock,
+            s: s.symbol,
+            p: String(s.price),
+            i: String(s.price),
+            P: String(s.price),
+            r: '0.00010000',
+            T: Math.floor(clock / FUNDING_INTERVAL_MS) * FUNDING_INTERVAL_MS + FUNDING_INTERVAL_MS,
+        };
+    }
+
+    /**
+     * Kline events for this tick: the previous candle closed (x: true) if the
+     * tick opened a new one, then the open candle
+     */
+    syntheticKlines(key, s, interval) {
+        const seconds = parseTimeframe(interval);
+        if (!seconds) return [];
+
+        const { clock, candles } = this.synthetic;
+        const stepMs = seconds * 1000;
+        const openTime = alignTime(clock, stepMs);
+        const events = [];
+
+        let candle = candles.get(key);
+        if (candle && candle.t !== openTime) {
+            events.push(this.klineEvent(s, interval, { ...candle, x: true }));
+            candle = null;
+        }
+
+        if (!candle) {
+            candle = { t: openTime, T: openTime + stepMs - 1, o: s.price, h: s.price, l: s.price, c: s.price, v: 0, q: 0, V: 0, n: 0 };
+            candles.set(key, candle);
+        }
+
+        candle.h = Math.max(candle.h, s.price);
+        candle.l = Math.min(candle.l, s.price);
+        candle.c = s.price;
+        candle.v += s.lastVolume;
+        candle.q += s.lastVolume * s.price;
+        if (!s.sell) candle.V += s.lastVolume;
+        candle.n++;
+
+        events.push(this.klineEvent(s, interval, { ...candle, x: false }));
+        return events;
+    }
+
+    klineEvent(s, interval, candle) {
+        return {
+            e: 'kline',
+            E: this.synthetic.clock,
+            s: s.symbol,
+            k: {
+                t: candle.t,
+                T: candle.T,
+                s: s.symbol,
+                i: interval,
+                o: String(candle.o),
+                h: String(candle.h),
+                l: String(candle.l),
+                c: String(candle.c),
+                v: candle.v.toFixed(8),
+                q: candle.q.toFixed(8),
+                V: candle.V.toFixed(8),
+                n: candle.n,
+                x: candle.x,
+            },
+        };
+    }
+
+    getStatus() {
+        const status = { mode: this.mode };
+
+        if (this.mode === 'record') {
+            Object.assign(status, { file: this.file, symbols: this.symbols, streams: this.recordings.size, recorded: this.recorded });
+        } else if (this.mode === 'replay') {
+            Object.assign(status, { file: this.file, speed: this.speed, loop: this.loop, started: this.started, streams: this.listeners.size, replayed: this.replayed, replayTime: this.replayTime });
+        } else if (this.mode === 'synthetic') {
+            Object.assign(status, { file: this.file, speed: this.speed, started: this.started, streams: this.listeners.size, clock: this.synthetic?.clock ?? null });
+        }
+
+        return status;
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        clearInterval(this.timer);
+        this.timer = null;
+        this.wake?.();
+
+        this.recordings.forEach(recording => recording.unsubscribe());
+        this.recordings.clear();
+        this.recorder?.end();
+        this.recorder = null;
+    }
+}
+
+let source = null;
+
+export function getMarketDataSource() {
+    if (!source) {
+        source = new MarketDataSource();
+    }
+    return source;
+}
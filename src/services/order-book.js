@@ -0,0 +1,119 @@
+/**
+ * Local Order Book
+ *
+ * Binance depth maintained from a REST snapshot plus diff events, following
+ * Binance's "manage a local order book" rules:
+ * - events arriving before the snapshot are buffered
+ * - events already contained in the snapshot (u <= lastUpdateId for spot,
+ *   u < lastUpdateId for futures) are dropped
+ * - the first applied event must straddle the snapshot's lastUpdateId
+ * - after that, spot events must continue with U = previous u + 1 and futures
+ *   events with pu = previous u
+ * Any break means updates were lost: the book reports a gap and has to be
+ * rebuilt from a new snapshot.
+ *
+ * Quantities of 0 remove a level. Prices are kept as the exchange's strings
+ * so levels never drift through float formatting.
+ */
+
+// Events buffered while waiting for a snapshot (a few seconds of @100ms updates)
+const MAX_BUFFERED_EVENTS = 1000;
+
+export default class OrderBook {
+    constructor(marketType) {
+        this.marketType = marketType; // 'spot' | 'futures'
+        this.reset();
+    }
+
+    /**
+     * Forget everything and wait for a new snapshot
+     */
+    reset() {
+        this.bids = new Map(); // price string -> quantity
+        this.asks = new Map();
+        this.lastUpdateId = null;
+        this.synced = false; // first event after the snapshot applied
+        this.buffer = [];
+    }
+
+    get ready() {
+        return this.lastUpdateId !== null;
+    }
+
+    /**
+     * Load a REST snapshot ({ lastUpdateId, bids, asks }) and replay buffered events
+     * @returns {boolean} false if the buffered events don't connect to the snapshot
+     */
+    applySnapshot(snapshot) {
+        const buffered = this.buffer;
+        this.reset();
+
+        this.lastUpdateId = snapshot.lastUpdateId;
+        snapshot.bids.forEach(([price, quantity]) => this.setLevel(this.bids, price, quantity));
+        snapshot.asks.forEach(([price, quantity]) => this.setLevel(this.asks, price, quantity));
+
+        for (const event of buffered) {
+            if (this.applyEvent(event) === 'gap') return false;
+        }
+        return true;
+    }
+
+    /**
+     * Apply a diff event ({ U, u, pu?, b, a })
+     * @returns {'buffered'|'ignored'|'applied'|'gap'}
+     */
+    applyEvent(event) {
+        if (!this.ready) {
+            this.buffer.push(event);
+            if (this.buffer.length > MAX_BUFFERED_EVENTS) this.buffer.shift();
+            return 'buffered';
+        }
+
+        const futures = this.marketType === 'futures';
+
+        if (!this.synced) {
+            // Already in the snapshot
+            if (futures ? event.u < this.lastUpdateId : event.u <= this.lastUpdateId) {
+                return 'ignored';
+            }
+
+            const straddles = futures
+                ? event.U <= this.lastUpdateId && event.u >= this.lastUpdateId
+                : event.U <= this.lastUpdateId + 1 && event.u >= this.lastUpdateId + 1;
+            if (!straddles) return 'gap';
+
+            this.synced = true;
+        } else {
+            const continues = futures ? event.pu === this.lastUpdateId : event.U === this.lastUpdateId + 1;
+            if (!continues) return 'gap';
+        }
+
+        event.b.forEach(([price, quantity]) => this.setLevel(this.bids, price, quantity));
+        event.a.forEach(([price, quantity]) => this.setLevel(this.asks, price, quantity));
+        this.lastUpdateId = event.u;
+        return 'applied';
+    }
+
+    setLevel(side, price, quantity) {
+        if (parseFloat(quantity) === 0) {
+            side.delete(price);
+        } else {
+            side.set(price, quantity);
+        }
+    }
+
+    /**
+     * Best `levels` price levels per side as [[price, quantity]] numbers
+     * (bids high to low, asks low to high)
+     */
+    top(levels) {
+        const best = (side, descending) => Array.from(side, ([price, quantity]) => [parseFloat(price), parseFloat(quantity)])
+            .sort((a, b) => (descending ? b[0] - a[0] : a[0] - b[0]))
+            .slice(0, levels);
+
+        return {
+            bids: best(this.bids, true),
+            asks: best(this.asks, false),
+        };
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * Relay Access Control
+ *
+ * Handshake authentication and per-plan quotas for the Socket.io relay.
+ * - Auth is optional: a valid access token (handshake `auth.token`, a Bearer
+ *   Authorization header or the accessToken cookie) puts the socket on the
+ *   user's plan; no token means the guest plan. An invalid or expired token
+ *   passed explicitly is refused so the client refreshes it instead of silently
+ *   dropping to guest; a stale cookie (sent by browsers on their own) is ignored.
+ *   RELAY_AUTH_REQUIRED=true refuses guests too.
+ * - Connections are counted per user, and per IP for guests; the handshake is
+ *   refused past the plan's limit. The slot is taken during the handshake, once
+ *   the plan is known, so simultaneous handshakes can't all pass the check.
+ * - Subscriptions are counted from the socket's rooms: every symbol room
+ *   (ticker, depth, kline, trades, mark price) is one symbol, every all-symbols
+ *   room (ticker-all-*, ticker-delta-*, mark-price-all) one feed.
+ *
+ * The plain-WebSocket gateway (binance-ws-gateway.js) takes its connection slots
+ * and subscription limits from the same place, through resolveAccess/reserve and
+ * checkLimits.
+ *
+ * Refused handshakes reach the client as `connect_error` with err.data = { code, ... };
+ * subscribe requests over the limit are rejected whole with a `subscribe-error`
+ * carrying `code: 'SUBSCRIPTION_LIMIT'`.
+ */
+
+import { verifyAccessToken } from '../lib/auth/jwt.js';
+import { getUserById } from '../lib/auth/db.js';
+
+export const RELAY_PLANS = {
+    guest: { connections: 3, symbols: 100, feeds: 1 },
+    free: { connections: 5, symbols: 200, feeds: 2 },
+    premium: { connections: 10, symbols: 1000, feeds: Infinity },
+};
+
+const FEED_ROOM_PATTERN = /^(?:ticker-(?:all|delta)-|mark-price-all$)/;
+
+// Plans change rarely; don't hit the database on every reconnect
+const PLAN_CACHE_MS = 60000;
+
+const TRIAL_MS = 3 * 24 * 60 * 60 * 1000;
+
+const looksLikeJwt = (token) => typeof token === 'string' && token.split('.').length === 3;
+
+/**
+ * Token from the handshake: auth payload, then Authorization header, then cookie
+ * @returns {object|null} { token, fromCookie }
+ */
+function handshakeToken(handshake) {
+    const explicit = [handshake.auth?.token, handshake.headers.authorization?.split(' ')[1]].find(looksLikeJwt);
+    if (explicit) return { token: explicit, fromCookie: false };
+
+    const cookie = /(?:^|;\s*)accessToken=([^;]+)/.exec(handshake.headers.cookie || '')?.[1];
+    const token = cookie && decodeURIComponent(cookie);
+    return looksLikeJwt(token) ? { token, fromCookie: true } : null;
+}
+
+/**
+ * Same rule as the premium-only routes: active premium or an active trial
+ */
+function userPlan(user) {
+    if (user.plan === 'premium') {
+        return !user.expiry_date || new Date(user.expiry_date) > new Date() ? 'premium' : 'free';
+    }
+
+    if (user.plan === 'free' && user.trial_started_at) {
+        const trialEnd = user.trial_ended_at
+            ? new Date(user.trial_ended_at)
+            : new Date(new Date(user.trial_started_at).getTime() + TRIAL_MS);
+        if (new Date() < trialEnd) return 'premium';
+    }
+
+    return 'free';
+}
+
+function accessError(message, data) {
+    const error = new Error(message);
+    error.data = data;
+    return error;
+}
+
+class RelayAccessControl {
+    constructor() {
+        this.required = process.env.RELAY_AUTH_REQUIRED === 'true';
+        this.trustProxy = process.env.RELAY_TRUST_PROXY === 'true';
+        this.connections = new Map(); // user:<id> | ip:<address> -> { plan, sockets: Set of socket ids }
+        this.plans = new Map(); // userId -> { plan, expiresAt }
+    }
+
+    /**
+     * Authenticate handshakes and count connections; register before clients connect
+     */
+    attach(io) {
+        io.use((socket, next) => {
+            this.authenticate(socket).then(() => {
+                // Frees the slot if the handshake goes no further (a later middleware refusing it)
+                socket.conn.once('close', () => this.release(socket.data.access, socket.id));
+                next();
+            }, next);
+        });
+
+        io.on('connection', (socket) => {
+            socket.on('disconnect', () => this.release(socket.data.access, socket.id));
+        });
+    }
+
+    /**
+     * Resolve the socket's plan into socket.data.access = { plan, userId, key }
+     * and take one of its connection slots
+     * @throws {Error} with `data.code` AUTH_FAILED, AUTH_REQUIRED or CONNECTION_LIMIT
+     */
+    async authenticate(socket) {
+        const access = await this.resolveAccess(socket.handshake);
+        this.reserve(access, socket.id);
+        socket.data.access = access;
+    }
+
+    /**
+     * Plan of a handshake ({ auth, headers, address }): { plan, userId, key }
+     * @throws {Error} with `data.code` AUTH_FAILED or AUTH_REQUIRED
+     */
+    async resolveAccess(handshake) {
+        const credentials = handshakeToken(handshake);
+        let decoded = null;
+
+        if (credentials) {
+            try {
+                decoded = verifyAccessToken(credentials.token);
+            } catch (error) {
+                if (!credentials.fromCookie) throw accessError(error.message, { code: 'AUTH_FAILED' });
+            }
+        }
+
+        let access;
+        if (decoded) {
+            access = { plan: await this.getPlan(decoded.userId), userId: decoded.userId, key: `user:${decoded.userId}` };
+        } else if (this.required) {
+            throw accessError('Access token required', { code: 'AUTH_REQUIRED' });
+        } else {
+            access = { plan: 'guest', userId: null, key: `ip:${this.clientAddress(handshake)}` };
+        }
+
+        return access;
+    }
+
+    /**
+     * Count a connection against its plan; synchronous, so nothing can slip in
+     * between the check and the count
+     * @param {string} id - socket id (or any id unique among the key's connections)
+     * @throws {Error} with `data.code` CONNECTION_LIMIT
+     */
+    reserve(access, id) {
+        const limit = RELAY_PLANS[access.plan].connections;
+        let entry = this.connections.get(access.key);
+
+        if ((entry?.sockets.size || 0) >= limit) {
+            throw accessError(`Connection limit reached (${limit} on the ${access.plan} plan)`, {
+                code: 'CONNECTION_LIMIT',
+                plan: access.plan,
+                limit,
+            });
+        }
+
+        if (!entry) {
+            entry = { plan: access.plan, sockets: new Set() };
+            this.connections.set(access.key, entry);
+        }
+        entry.plan = access.plan;
+        entry.sockets.add(id);
+    }
+
+    /**
+     * Give back a reserved connection slot (safe to call more than once)
+     */
+    release(access, id) {
+        const entry = access && this.connections.get(access.key);
+        if (!entry) return;
+
+        entry.sockets.delete(id);
+        if (entry.sockets.size === 0) this.connections.delete(access.key);
+    }
+
+    /**
+     * Behind a proxy (RELAY_TRUST_PROXY=true) the address it appended to X-Forwarded-For
+     */
+    clientAddress(handshake) {
+        const forwarded = this.trustProxy && handshake.headers['x-forwarded-for'];
+        return forwarded ? forwarded.split(',').pop().trim() : handshake.address;
+    }
+
+    async getPlan(userId) {
+        const cached = this.plans.get(userId);
+        if (cached && cached.expiresAt > Date.now()) return cached.plan;
+
+        let plan = 'free';
+        try {
+            const user = await getUserById(userId);
+            if (user) plan = userPlan(user);
+        } catch (error) {
+            // A signed token is enough for the free plan while the database is unavailable
+            console.error(`[Relay Access] Plan lookup failed for user ${userId}:`, error.message);
+            return plan;
+        }
+
+        this.plans.set(userId, { plan, expiresAt: Date.now() + PLAN_CACHE_MS });
+        return plan;
+    }
+
+    /**
+     * Subscriptions a socket holds: { symbols, feeds }
+     */
+    static usage(socket) {
+        let symbols = 0;
+        let feeds = 0;
+
+        socket.rooms.forEach(room => {
+            if (room === socket.id) return;
+            if (FEED_ROOM_PATTERN.test(room)) {
+                feeds++;
+            } else {
+                symbols++;
+            }
+        });
+
+        return { symbols, feeds };
+    }
+
+    /**
+     * Check new subscriptions against the socket's plan
+     * @param {object} added - { symbols, feeds } the request would add
+     * @returns {object|null} subscribe-error fields when over the limit
+     */
+    checkSubscription(socket, added) {
+        return this.checkLimits(socket.data.access.plan, RelayAccessControl.usage(socket), added);
+    }
+
+    /**
+     * Check new subscriptions against a plan, given what the connection already holds
+     * @param {object} usage - { symbols, feeds } in use
+     * @param {object} added - { symbols, feeds } the request would add
+     * @returns {object|null} error fields when over the limit
+     */
+    checkLimits(plan, usage, { symbols = 0, feeds = 0 }) {
+        const limits = RELAY_PLANS[plan];
+
+        const kind = usage.symbols + symbols > limits.symbols ? 'symbols'
+            : usage.feeds + feeds > limits.feeds ? 'feeds'
+                : null;
+        if (!kind) return null;
+
+        const label = kind === 'symbols' ? 'symbol subscriptions' : 'all-symbols feeds';
+        return {
+            code: 'SUBSCRIPTION_LIMIT',
+            plan,
+            limit: limits[kind],
+            used: usage[kind],
+            error: `Subscription limit reached: at most ${limits[kind]} ${label} on the ${plan} plan (${usage[kind]} in use)`,
+        };
+    }
+
+    getStatus() {
+        const connections = { guest: 0, free: 0, premium: 0 };
+        this.connections.forEach(({ plan, sockets }) => {
+            connections[plan] += sockets.size;
+        });
+
+        return {
+            authRequired: this.required,
+            connections,
+            limits: RELAY_PLANS,
+        };
+    }
+}
+
+export default RelayAccessControl;
@@ -0,0 +1,230 @@
+/**
+ * Symbol Registry
+ *
+ * One canonical symbol model for every exchange and market type, backed by the
+ * exchanges' own instrument metadata (exchangeInfo / instruments-info / public/instruments):
+ *
+ *   { exchange, market, id, base, quote, expiry, key, active, verified }
+ *
+ * - id:  exchange-native instrument ID (BTCUSDT, BTCUSD_PERP, BTC-USDT-SWAP, BTCPERP, ...)
+ * - key: canonical BASEQUOTE, plus _YYMMDD for dated futures (BTCUSDT, BTCUSD_251226)
+ *
+ * Input can be the key in any case/separator style (btcusdt, BTC/USDT, btc-usdt,
+ * btcusdt_251226) or the native ID. Once a market's metadata is loaded, symbols it
+ * doesn't list are unknown (null). If it can't be loaded, we fall back to guessing
+ * the native ID from the pair (verified: false) rather than rejecting everything.
+ *
+ * Metadata is cached in memory and refreshed in the background every hour.
+ */
+
+import fetch from 'node-fetch';
+import { getAdapter } from './exchanges/index.js';
+import { splitPair } from './exchanges/symbols.js';
+import { getBinanceScheduler } from './binance-scheduler.js';
+
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+
+// Runaway pagination guard for paged instrument lists (Bybit: 1000 per page)
+const MAX_INSTRUMENT_PAGES = 50;
+
+// After a failed load, wait this long before trying again
+const RETRY_AFTER_MS = 60 * 1000;
+
+/**
+ * Canonical form of a client-supplied symbol: uppercase, no separators except the expiry '_'
+ */
+function normalizeInput(input) {
+  return String(input || '').trim().toUpperCase().replace(/[\s/-]/g, '').replace(/_PERP$/, '');
+}
+
+class SymbolRegistry {
+  constructor() {
+    this.markets = new Map(); // 'exchange:market' -> { byKey, byId, instruments, loadedAt }
+    this.loading = new Map(); // 'exchange:market' -> Promise
+    this.failedAt = new Map(); // 'exchange:market' -> timestamp of last failed load
+  }
+
+  /**
+   * Fetch and index the instrument metadata of one exchange market
+   */
+  async load(exchange, market) {
+    const adapter = getAdapter(exchange);
+    if (!adapter?.instrumentsUrls || !adapter.markets[market]) {
+      throw new Error(`No instrument metadata for ${exchange} ${market}`);
+    }
+
+    const scheduler = getBinanceScheduler();
+    const instruments = [];
+    for (const firstUrl of adapter.instrumentsUrls(market)) {
+      // Paged lists: follow nextInstrumentsUrl until the adapter says there is no next page
+      let url = firstUrl;
+      for (let page = 0; url; page++) {
+        if (page === MAX_INSTRUMENT_PAGES) {
+          throw new Error(`More than ${MAX_INSTRUMENT_PAGES} instrument pages at ${firstUrl}`);
+        }
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+        try {
+          const response = scheduler.handles(url)
+            ? await scheduler.request(url, { timeoutMs: FETCH_TIMEOUT_MS })
+            : await fetch(url, { signal: controller.signal });
+          if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+          }
+          const body = await response.json();
+          instruments.push(...adapter.parseInstruments(body, market));
+          url = adapter.nextInstrumentsUrl?.(url, body) || null;
+        } finally {
+          clearTimeout(timeout);
+        }
+      }
+    }
+
+    const entry = { byKey: new Map(), byId: new Map(), instruments: [], loadedAt: Date.now() };
+
+    for (const raw of instruments) {
+      const instrument = this.toInstrument(adapter.id, market, raw);
+      entry.instruments.push(instrument);
+      entry.byId.set(instrument.id.toUpperCase(), instrument);
+
+      // Several instruments can share a key (e.g. a delisted and a relisted contract): prefer the active one
+      const existing = entry.byKey.get(instrument.key);
+      if (!existing || (!existing.active && instrument.active)) {
+        entry.byKey.set(instrument.key, instrument);
+      }
+    }
+
+    const cacheKey = `${adapter.id}:${market}`;
+    this.markets.set(cacheKey, entry);
+    this.failedAt.delete(cacheKey);
+
+    console.log(`[Symbols] Loaded ${entry.instruments.length} ${adapter.name} ${market} instruments`);
+    return entry;
+  }
+
+  /**
+   * Build a canonical instrument from an adapter's parsed metadata
+   */
+  toInstrument(exchange, market, { id, base, quote, expiry = null, active = true }, verified = true) {
+    const key = base && quote
+      ? `${base}${quote}${expiry ? `_${expiry}` : ''}`.toUpperCase()
+      : normalizeInput(id);
+
+    return { exchange, market, id, base, quote, expiry, key, active, verified };
+  }
+
+  /**
+   * Make sure a market's metadata is loaded (and refresh it in the background when stale)
+   * Never throws: failures are logged and lookups fall back to guessing.
+   */
+  async ensureLoaded(exchange, market) {
+    const adapter = getAdapter(exchange);
+    if (!adapter?.instrumentsUrls) return; // no metadata source: lookups guess
+
+    const cacheKey = `${adapter.id}:${market}`;
+    const entry = this.markets.get(cacheKey);
+    const stale = !entry || Date.now() - entry.loadedAt > REFRESH_INTERVAL_MS;
+    if (!stale) return;
+
+    const failedAt = this.failedAt.get(cacheKey);
+    if (failedAt && Date.now() - failedAt < RETRY_AFTER_MS) return;
+
+    if (!this.loading.has(cacheKey)) {
+      const promise = this.load(adapter.id, market)
+        .catch(error => {
+          this.failedAt.set(cacheKey, Date.now());
+          console.error(`[Symbols] Failed to load ${adapter.name} ${market} instruments:`, error.message);
+        })
+        .finally(() => this.loading.delete(cacheKey));
+      this.loading.set(cacheKey, promise);
+    }
+
+    // Stale data is still good enough to answer with while it refreshes
+    if (!entry) {
+      await this.loading.get(cacheKey);
+    }
+  }
+
+  /**
+   * Load several markets at startup, e.g. [['binance', 'spot'], ['binance', 'linear']]
+   */
+  preload(markets) {
+    return Promise.all(markets.map(([exchange, market]) => this.ensureLoaded(exchange, market)));
+  }
+
+  /**
+   * Whether a market's metadata is available
+   */
+  isLoaded(exchange, market) {
+    return this.markets.has(`${String(exchange).toLowerCase()}:${market}`);
+  }
+
+  /**
+   * Look up a symbol without waiting for metadata
+   * @returns {object|null|undefined} instrument, null if unknown, undefined if the metadata isn't loaded
+   */
+  find(exchange, market, input) {
+    const entry = this.markets.get(`${String(exchange).toLowerCase()}:${market}`);
+    if (!entry) return undefined;
+
+    const raw = String(input || '').trim().toUpperCase();
+    return entry.byId.get(raw) || entry.byKey.get(normalizeInput(raw)) || null;
+  }
+
+  /**
+   * Resolve a symbol, loading metadata if needed
+   * @returns {Promise<object|null>} instrument (verified: false if it was guessed), or null if unknown
+   */
+  async resolve(exchange, market, input) {
+    await this.ensureLoaded(exchange, market);
+
+    const instrument = this.find(exchange, market, input);
+    if (instrument !== undefined) return instrument;
+
+    return this.guess(exchange, market, input);
+  }
+
+  /**
+   * Best guess from the pair alone (metadata unavailable)
+   */
+  guess(exchange, market, input) {
+    const adapter = getAdapter(exchange);
+    if (!adapter || !normalizeInput(input)) return null;
+
+    const parts = splitPair(input);
+    return this.toInstrument(adapter.id, market, {
+      id: adapter.formatSymbol(String(input), market),
+      base: parts?.base ?? null,
+      quote: parts?.quote ?? null,
+      expiry: parts?.expiry?.raw ?? null,
+    }, false);
+  }
+
+  /**
+   * Exchange-native ID for a pair on a candle source (see exchanges/index.js)
+   */
+  nativeSymbol(source, pair) {
+    const instrument = this.find(source.adapter.id, source.market, pair);
+    return instrument ? instrument.id : source.adapter.formatSymbol(pair, source.market);
+  }
+
+  /**
+   * All known instruments of a market (empty if not loaded)
+   */
+  list(exchange, market) {
+    return this.markets.get(`${String(exchange).toLowerCase()}:${market}`)?.instruments || [];
+  }
+}
+
+// Singleton instance
+let symbolRegistry = null;
+
+export function getSymbolRegistry() {
+  if (!symbolRegistry) {
+    symbolRegistry = new SymbolRegistry();
+  }
+  return symbolRegistry;
+}
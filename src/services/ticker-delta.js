@@ -0,0 +1,98 @@
+/**
+ * Ticker Delta Stream
+ *
+ * Delta-compressed "all tickers" feed for one market. Instead of the whole
+ * cache on every tick, clients get:
+ * - `ticker-snapshot` once when they subscribe (or ask to resync), with `seq`
+ * - `ticker-delta` afterwards, with only the symbols and fields that changed
+ *   since the previous delta, and `seq` = previous seq + 1
+ * A client whose next delta doesn't have seq + 1 missed one and should emit
+ * `ticker-resync` to get a new snapshot.
+ *
+ * Two encodings share the same seq:
+ * - 'json': data = { symbol: { field: value } }, as in ticker-update
+ * - 'compact': data = [[symbol, ...values]] in the order of `fields`; in deltas
+ *   null means unchanged and trailing nulls are dropped
+ */
+
+// Ticker fields compared between broadcasts; timestamp only travels along with a real change
+export const TICKER_FIELDS = ['price', 'change24h', 'volume24h', 'high24h', 'low24h', 'openPrice', 'stale'];
+// timestamp first, so a price-only change is [symbol, timestamp, price]
+const COMPACT_FIELDS = ['timestamp', ...TICKER_FIELDS];
+
+export const TICKER_ENCODINGS = ['json', 'compact'];
+
+export default class TickerDeltaStream {
+    constructor(marketType) {
+        this.marketType = marketType;
+        this.seq = 0;
+        this.lastSent = new Map(); // symbol -> ticker as of the last delta
+    }
+
+    static roomName(marketType, encoding = 'json') {
+        return `ticker-delta-${marketType}${encoding === 'compact' ? '-compact' : ''}`;
+    }
+
+    /**
+     * Diff the cache against the last delta and advance seq
+     * @returns {Map<string, object>|null} symbol -> changed fields, null if nothing changed
+     */
+    update(cache) {
+        const changes = new Map();
+
+        cache.forEach((ticker, symbol) => {
+            const previous = this.lastSent.get(symbol);
+            const changed = {};
+            let any = false;
+
+            TICKER_FIELDS.forEach(field => {
+                if (!previous || previous[field] !== ticker[field]) {
+                    changed[field] = ticker[field];
+                    any = true;
+                }
+            });
+
+            if (any) {
+                changed.timestamp = ticker.timestamp;
+                changes.set(symbol, changed);
+                this.lastSent.set(symbol, ticker);
+            }
+        });
+
+        if (changes.size === 0) return null;
+
+        this.seq++;
+        return changes;
+    }
+
+    /**
+     * `ticker-delta` payload for a diff returned by update()
+     */
+    encodeDelta(changes, encoding = 'json') {
+        const data = encoding === 'compact'
+            ? Array.from(changes, ([symbol, changed]) => {
+                const row = [symbol, ...COMPACT_FIELDS.map(field => (field in changed ? changed[field] : null))];
+                while (row[row.length - 1] === null) row.pop();
+                return row;
+            })
+            : Object.fromEntries(changes);
+
+        return { marketType: this.marketType, seq: this.seq, encoding, data };
+    }
+
+    /**
+     * `ticker-snapshot` payload: the state the next delta builds on
+     */
+    snapshot(encoding = 'json') {
+        const payload = { marketType: this.marketType, seq: this.seq, encoding };
+
+        if (encoding === 'compact') {
+            payload.fields = COMPACT_FIELDS;
+            payload.data = Array.from(this.lastSent, ([symbol, ticker]) => [symbol, ...COMPACT_FIELDS.map(field => ticker[field])]);
+        } else {
+            payload.data = Object.fromEntries(this.lastSent);
+        }
+
+        return payload;
+    }
+}
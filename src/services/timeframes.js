@@ -0,0 +1,117 @@
+/**
+ * Timeframe helpers
+ * Parsing, bucket alignment and OHLCV aggregation for historical candles.
+ * Timeframes are handled in seconds internally; labels look like '45m', '2h', '1w'.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// Weekly candles open on Monday 00:00 UTC (epoch was a Thursday)
+const WEEK_OFFSET_MS = 4 * DAY_MS;
+
+const UNIT_SECONDS = {
+  s: 1,
+  m: 60,
+  h: 60 * 60,
+  d: 24 * 60 * 60,
+  w: 7 * 24 * 60 * 60,
+};
+
+/**
+ * Parse a timeframe given in seconds ("300") or as a label ("5m", "2h", "1w")
+ * Units are case-insensitive ("4H", "1D") except m (minutes) vs M (months).
+ * Returns seconds, or null if invalid. Months are not supported (variable length),
+ * see timeframeError().
+ */
+export function parseTimeframe(value) {
+  if (value === undefined || value === null) return null;
+  const str = String(value).trim();
+
+  if (/^\d+$/.test(str)) {
+    const seconds = parseInt(str);
+    return seconds > 0 ? seconds : null;
+  }
+
+  const match = str.match(/^(\d+)([smhdw])$/i);
+  if (!match || match[2] === 'M') return null;
+
+  const seconds = parseInt(match[1]) * UNIT_SECONDS[match[2].toLowerCase()];
+  return seconds > 0 ? seconds : null;
+}
+
+/**
+ * Error message for a timeframe parseTimeframe() refused
+ */
+export function timeframeError(value) {
+  if (/^\d+M$/.test(String(value).trim())) {
+    return `Monthly timeframes are not supported: ${value}. Months have no fixed length; use 1w or a multiple of 1d instead`;
+  }
+  return `Invalid timeframe: ${value}. Use seconds (e.g. 300) or a label like 5m, 4h, 1d or 1w`;
+}
+
+/**
+ * Canonical label for a timeframe in seconds (largest unit that divides it)
+ * e.g. 2700 -> '45m', 7200 -> '2h', 604800 -> '1w'
+ */
+export function secondsToLabel(seconds) {
+  for (const unit of ['w', 'd', 'h', 'm']) {
+    if (seconds % UNIT_SECONDS[unit] === 0) {
+      return `${seconds / UNIT_SECONDS[unit]}${unit}`;
+    }
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Open time of the bucket containing `time`
+ * - Multiples of a week are aligned to Monday 00:00 UTC
+ * - Intraday timeframes that don't divide a day restart at 00:00 UTC each day
+ * - Everything else is aligned to the epoch
+ */
+export function alignTime(time, stepMs) {
+  if (stepMs % WEEK_MS === 0) {
+    return Math.floor((time - WEEK_OFFSET_MS) / stepMs) * stepMs + WEEK_OFFSET_MS;
+  }
+
+  if (stepMs < DAY_MS && DAY_MS % stepMs !== 0) {
+    const dayStart = Math.floor(time / DAY_MS) * DAY_MS;
+    return dayStart + Math.floor((time - dayStart) / stepMs) * stepMs;
+  }
+
+  return Math.floor(time / stepMs) * stepMs;
+}
+
+/**
+ * Aggregate sorted base candles into larger timeframe candles
+ * open = first open, high = max, low = min, close = last close, volume = sum
+ */
+export function aggregateCandles(candles, timeframeSeconds) {
+  const stepMs = timeframeSeconds * 1000;
+  const result = [];
+  let current = null;
+
+  for (const candle of candles) {
+    const bucketTime = alignTime(candle.time, stepMs);
+
+    if (!current || current.time !== bucketTime) {
+      current = {
+        time: bucketTime,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume,
+      };
+      result.push(current);
+      continue;
+    }
+
+    current.high = Math.max(current.high, candle.high);
+    current.low = Math.min(current.low, candle.low);
+    current.close = candle.close;
+    current.volume += candle.volume;
+  }
+
+  return result;
+}
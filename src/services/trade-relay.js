@@ -0,0 +1,201 @@
+/**
+ * Trade Relay Service
+ *
+ * Time-and-sales tape from <symbol>@aggTrade streams, in two rooms per symbol:
+ * - `trades-{marketType}-{symbol}`: every trade as its own `trade` event
+ * - `trades-{marketType}-{symbol}-batch`: one `trade-batch` every TRADE_BATCH_MS
+ *   for clients that can't keep up with busy symbols. A batch carries at most
+ *   MAX_BATCH_TRADES trades (the largest by notional, in time order); the
+ *   smaller rest is folded into `bundle` (count, buy/sell volume, VWAP, range)
+ *
+ * The upstream stream rides the market's shared combined-stream connection
+ * (binance-streams.js) and only runs while either room has members.
+ *
+ * Trades are { id, time, price, quantity, side } with side = taker side,
+ * as in the /trades REST endpoint.
+ */
+
+import { getMarketDataSource } from './market-data-source.js';
+
+const TRADE_BATCH_MS = 250;
+const MAX_BATCH_TRADES = 50;
+
+// Keep a stream this long after its rooms empty
+const TRADE_IDLE_MS = 10000;
+
+class TradeRelayService {
+    constructor(io) {
+        this.io = io;
+        this.rooms = new Map(); // room (either kind) -> entry
+    }
+
+    static roomName(marketType, symbol, batch = false) {
+        return `trades-${marketType}-${symbol}${batch ? '-batch' : ''}`;
+    }
+
+    /**
+     * Start (or keep) the stream for a symbol; symbol is the relay's lowercase Binance ID
+     */
+    acquire(marketType, symbol) {
+        const room = TradeRelayService.roomName(marketType, symbol);
+        const existing = this.rooms.get(room);
+        if (existing) {
+            clearTimeout(existing.releaseTimer);
+            existing.releaseTimer = null;
+            return existing;
+        }
+
+        const entry = {
+            marketType,
+            symbol,
+            room,
+            batchRoom: TradeRelayService.roomName(marketType, symbol, true),
+            tag: `[Trade Relay] ${marketType} ${symbol}`,
+            pending: [],
+            batchTimer: null,
+            releaseTimer: null,
+            lastTradeTime: null,
+        };
+
+        entry.unsubscribe = getMarketDataSource().subscribe(marketType, `${symbol}@aggTrade`, {
+            onMessage: (event) => this.handleEvent(entry, event),
+        });
+
+        this.rooms.set(entry.room, entry);
+        this.rooms.set(entry.batchRoom, entry);
+
+        console.log(`${entry.tag} Stream started`);
+        return entry;
+    }
+
+    /**
+     * Stop a symbol's stream once both its rooms have been empty for TRADE_IDLE_MS
+     * (rooms that aren't trade rooms are ignored)
+     */
+    release(room) {
+        const entry = this.rooms.get(room);
+        if (!entry || entry.releaseTimer) return;
+
+        entry.releaseTimer = setTimeout(() => {
+            entry.releaseTimer = null;
+            const rooms = this.io.sockets.adapter.rooms;
+            if (rooms.get(entry.room)?.size || rooms.get(entry.batchRoom)?.size) return;
+
+            entry.unsubscribe();
+            clearTimeout(entry.batchTimer);
+            this.rooms.delete(entry.room);
+            this.rooms.delete(entry.batchRoom);
+            console.log(`${entry.tag} Stream stopped (no subscribers)`);
+        }, TRADE_IDLE_MS);
+    }
+
+    /**
+     * { e: 'aggTrade', a, p, q, T, m } (m: buyer is maker, i.e. the taker sold)
+     */
+    handleEvent(entry, event) {
+        if (event?.e !== 'aggTrade') return;
+
+        const trade = {
+            id: event.a,
+            time: event.T,
+            price: parseFloat(event.p),
+            quantity: parseFloat(event.q),
+            side: event.m ? 'sell' : 'buy',
+        };
+        entry.lastTradeTime = trade.time;
+
+        const rooms = this.io.sockets.adapter.rooms;
+        if (rooms.get(entry.room)?.size) {
+            this.io.to(entry.room).emit('trade', { marketType: entry.marketType, symbol: entry.symbol, trade });
+        }
+
+        if (rooms.get(entry.batchRoom)?.size) {
+            entry.pending.push(trade);
+            if (!entry.batchTimer) {
+                entry.batchTimer = setTimeout(() => this.flushBatch(entry), TRADE_BATCH_MS);
+            }
+        }
+    }
+
+    flushBatch(entry) {
+        entry.batchTimer = null;
+        const pending = entry.pending;
+        entry.pending = [];
+        if (pending.length === 0) return;
+
+        let trades = pending;
+        let bundle = null;
+
+        if (pending.length > MAX_BATCH_TRADES) {
+            // Keep the largest trades, fold the rest into one bundle
+            const bySize = [...pending].sort((a, b) => b.price * b.quantity - a.price * a.quantity);
+            const kept = new Set(bySize.slice(0, MAX_BATCH_TRADES));
+            trades = pending.filter(t => kept.has(t));
+            bundle = this.summarize(pending.filter(t => !kept.has(t)));
+        }
+
+        this.io.to(entry.batchRoom).emit('trade-batch', {
+            marketType: entry.marketType,
+            symbol: entry.symbol,
+            trades,
+            bundle,
+        });
+    }
+
+    /**
+     * Aggregate of small trades: { count, buyCount, sellCount, buyVolume, sellVolume, vwap, high, low, from, to }
+     */
+    summarize(trades) {
+        const bundle = {
+            count: trades.length,
+            buyCount: 0,
+            sellCount: 0,
+            buyVolume: 0,
+            sellVolume: 0,
+            vwap: 0,
+            high: -Infinity,
+            low: Infinity,
+            from: trades[0].time,
+            to: trades[trades.length - 1].time,
+        };
+
+        let notional = 0;
+        trades.forEach(t => {
+            if (t.side === 'buy') {
+                bundle.buyCount++;
+                bundle.buyVolume += t.quantity;
+            } else {
+                bundle.sellCount++;
+                bundle.sellVolume += t.quantity;
+            }
+            notional += t.price * t.quantity;
+            bundle.high = Math.max(bundle.high, t.price);
+            bundle.low = Math.min(bundle.low, t.price);
+        });
+
+        bundle.vwap = notional / (bundle.buyVolume + bundle.sellVolume);
+        return bundle;
+    }
+
+    getStatus() {
+        const rooms = this.io.sockets.adapter.rooms;
+        return Array.from(new Set(this.rooms.values())).map(entry => ({
+            marketType: entry.marketType,
+            symbol: entry.symbol,
+            subscribers: rooms.get(entry.room)?.size || 0,
+            batchSubscribers: rooms.get(entry.batchRoom)?.size || 0,
+            lastTradeTime: entry.lastTradeTime,
+        }));
+    }
+
+    stop() {
+        new Set(this.rooms.values()).forEach(entry => {
+            entry.unsubscribe();
+            clearTimeout(entry.batchTimer);
+            clearTimeout(entry.releaseTimer);
+        });
+        this.rooms.clear();
+    }
+}
+
+export default TradeRelayService;
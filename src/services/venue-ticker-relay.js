@@ -0,0 +1,424 @@
+/**
+ * Venue Ticker Relay
+ *
+ * Live tickers of other exchanges (Bybit, OKX) next to Binance's, in the same
+ * ticker shape ({ symbol, price, change24h, volume24h, high24h, low24h,
+ * openPrice, stale, timestamp }):
+ * - Neither exchange has an all-tickers channel, so one WebSocket per
+ *   exchange/market subscribes every active instrument the symbol registry
+ *   knows; the exchange adapter (`tickers` in exchanges/*.js) provides the
+ *   frames and parses the payloads
+ * - The cache is filled over REST until the WebSocket delivers, and polled
+ *   again whenever it stops delivering; reconnects never give up
+ * - Symbols are the registry's canonical keys in lowercase, so BTCUSDT on
+ *   Bybit and BTC-USDT-SWAP on OKX are both `btcusdt`
+ *
+ * Rooms are `ticker-{exchange}-{marketType}-{symbol}` and
+ * `ticker-all-{exchange}-{marketType}`. Both get `ticker-update`
+ * ({ exchange, marketType, data }) with the symbols that changed, at most
+ * every VENUE_BROADCAST_MS.
+ */
+
+import WebSocket from 'ws';
+import { getAdapter } from './exchanges/index.js';
+import { getSymbolRegistry } from './symbol-registry.js';
+import { fetchPage } from './exchangeService.js';
+
+// Relay market type -> adapter / registry market
+const VENUE_MARKETS = { spot: 'spot', futures: 'linear' };
+
+const DEFAULT_EXCHANGES = ['bybit', 'okx'];
+
+const VENUE_BROADCAST_MS = 250;
+
+// With hundreds of instruments subscribed, a connection without a single ticker for this long is dead
+const WS_SILENT_MS = 15000;
+
+const STALE_AFTER_MS = 20000;
+const REST_POLL_MS = 5000;
+const FEED_CHECK_MS = 2000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+/**
+ * One exchange/market: WebSocket + REST fallback into a symbol -> ticker cache
+ */
+class VenueTickerFeed {
+    constructor(adapter, marketType, onUpdate) {
+        this.adapter = adapter;
+        this.exchange = adapter.id;
+        this.marketType = marketType;
+        this.market = VENUE_MARKETS[marketType];
+        this.tag = `[Venue Tickers] ${adapter.name} ${marketType}`;
+        this.onUpdate = onUpdate; // (feed, symbols) => void
+
+        this.cache = new Map(); // symbol -> ticker
+        this.symbols = new Map(); // native ID -> symbol
+
+        this.ws = null;
+        this.connected = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+
+        this.lastMessageAt = 0; // last ticker over the WebSocket
+        this.lastUpdateAt = 0; // last ticker from either source
+        this.stale = true;
+        this.polling = false;
+        this.pollTimer = null;
+        this.loadingSymbols = false;
+        this.checkTimer = null;
+        this.stopped = false;
+    }
+
+    start() {
+        this.stopped = false;
+        this.checkTimer = setInterval(() => this.check(), FEED_CHECK_MS);
+        this.loadAndConnect();
+    }
+
+    /**
+     * Load the instrument list, then fill the cache over REST and connect
+     * (retried from check() while the registry can't deliver)
+     */
+    async loadAndConnect() {
+        if (this.loadingSymbols) return;
+
+        this.loadingSymbols = true;
+        const loaded = await this.loadSymbols();
+        this.loadingSymbols = false;
+
+        if (!loaded || this.stopped) return;
+        this.startPolling();
+        this.connect();
+    }
+
+    /**
+     * @returns {Promise<boolean>} whether any instruments are known
+     */
+    async loadSymbols() {
+        const registry = getSymbolRegistry();
+        await registry.ensureLoaded(this.exchange, this.market);
+
+        const symbols = new Map();
+        registry.list(this.exchange, this.market).forEach(instrument => {
+            if (instrument.active) symbols.set(instrument.id, instrument.key.toLowerCase());
+        });
+
+        if (symbols.size > 0) this.symbols = symbols;
+        return this.symbols.size > 0;
+    }
+
+    connect() {
+        if (this.ws || this.stopped) return;
+
+        console.log(`${this.tag} Connecting...`);
+
+        try {
+            const ws = new WebSocket(this.adapter.tickerStreamUrl(this.market));
+            this.ws = ws;
+
+            ws.on('open', () => {
+                this.connected = true;
+                this.reconnectAttempts = 0;
+                this.lastMessageAt = Date.now(); // grace period for the first tickers
+
+                this.adapter.tickerSubscribeFrames([...this.symbols.keys()]).forEach(frame => ws.send(frame));
+                this.pingTimer = setInterval(() => ws.send(this.adapter.tickerPingFrame()), this.adapter.tickers.pingIntervalMs);
+
+                console.log(`${this.tag} ✅ Connected (${this.symbols.size} instruments)`);
+            });
+
+            ws.on('message', (data) => this.handleMessage(data));
+
+            ws.on('close', () => {
+                clearInterval(this.pingTimer);
+                if (this.ws !== ws) return; // closed on purpose
+                console.log(`${this.tag} Connection closed`);
+                this.ws = null;
+                this.connected = false;
+                this.scheduleReconnect();
+            });
+
+            ws.on('error', (error) => {
+                console.error(`${this.tag} WebSocket error:`, error.message);
+            });
+        } catch (error) {
+            console.error(`${this.tag} Failed to connect:`, error.message);
+            this.ws = null;
+            this.scheduleReconnect();
+        }
+    }
+
+    handleMessage(data) {
+        const text = data.toString();
+        if (text === 'pong') return;
+
+        let tickers;
+        try {
+            tickers = this.adapter.parseTickerMessage(JSON.parse(text));
+        } catch (error) {
+            console.error(`${this.tag} Stream error:`, error.message);
+            return;
+        }
+
+        if (tickers.length > 0) {
+            this.lastMessageAt = Date.now();
+            this.applyTickers(tickers);
+        }
+    }
+
+    /**
+     * Merge parsed tickers (possibly partial) into the cache
+     */
+    applyTickers(updates) {
+        const now = Date.now();
+        this.lastUpdateAt = now;
+        if (this.stale) this.setStale(false);
+
+        const changed = [];
+        updates.forEach(({ id, ...fields }) => {
+            const symbol = this.symbols.get(id);
+            const previous = this.cache.get(symbol);
+
+            // Not in this market (OKX lists inverse swaps with the linear ones), or a delta before its snapshot
+            if (!symbol || (!previous && fields.price === undefined)) return;
+
+            const ticker = { ...previous, ...fields };
+            this.cache.set(symbol, {
+                symbol,
+                price: ticker.price,
+                change24h: ticker.change24h ?? 0,
+                volume24h: ticker.volume24h ?? 0,
+                high24h: ticker.high24h ?? 0,
+                low24h: ticker.low24h ?? 0,
+                openPrice: ticker.openPrice ?? 0,
+                stale: false,
+                timestamp: now,
+            });
+            changed.push(symbol);
+        });
+
+        if (changed.length > 0) this.onUpdate(this, changed);
+    }
+
+    setStale(stale) {
+        this.stale = stale;
+        this.cache.forEach((ticker, symbol) => this.cache.set(symbol, { ...ticker, stale }));
+
+        if (stale) {
+            console.warn(`${this.tag} ⚠️ Tickers stale (no data for ${STALE_AFTER_MS / 1000}s)`);
+        } else {
+            console.log(`${this.tag} Tickers fresh`);
+        }
+        this.onUpdate(this, [...this.cache.keys()]);
+    }
+
+    /**
+     * Watchdog: reconnect silent sockets, poll REST while the WebSocket isn't delivering, flag stale data
+     */
+    check() {
+        if (this.symbols.size === 0) {
+            this.loadAndConnect();
+            return;
+        }
+
+        const now = Date.now();
+        const silent = now - this.lastMessageAt > WS_SILENT_MS;
+
+        if (this.connected && silent) {
+            console.warn(`${this.tag} No tickers for ${Math.round((now - this.lastMessageAt) / 1000)}s, reconnecting`);
+            this.ws.terminate();
+        }
+
+        if (this.connected && !silent) {
+            this.stopPolling();
+        } else {
+            this.startPolling();
+        }
+
+        if (!this.stale && now - this.lastUpdateAt > STALE_AFTER_MS) {
+            this.setStale(true);
+        }
+    }
+
+    startPolling() {
+        if (this.polling) return;
+        this.polling = true;
+
+        const poll = async () => {
+            this.pollTimer = null;
+            const tickers = await this.fetchTickers();
+
+            if (!this.polling) return;
+            if (tickers) this.applyTickers(tickers);
+            if (!this.pollTimer) this.pollTimer = setTimeout(poll, REST_POLL_MS);
+        };
+        poll();
+    }
+
+    stopPolling() {
+        this.polling = false;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    async fetchTickers() {
+        const page = await fetchPage(this.adapter.tickerRestUrl(this.market), { name: this.adapter.name, tag: this.tag });
+        if (page.stop) return null;
+
+        try {
+            return this.adapter.parseTickers(page.body);
+        } catch (error) {
+            console.error(`${this.tag} Ticker fetch failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Capped exponential backoff, indefinitely; REST polling covers the gap
+     */
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) return;
+
+        const delay = Math.min(1000 * Math.pow(2, this.reconnectAttempts), MAX_RECONNECT_DELAY_MS);
+        this.reconnectAttempts++;
+
+        console.log(`${this.tag} Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(async () => {
+            // Pick up listings and delistings since the last connect
+            await this.loadSymbols();
+            this.reconnectTimer = null;
+            this.connect();
+        }, delay);
+    }
+
+    getStatus() {
+        return {
+            exchange: this.exchange,
+            marketType: this.marketType,
+            connected: this.connected,
+            stale: this.stale,
+            source: this.stale ? null : (this.polling ? 'rest' : 'websocket'),
+            instruments: this.symbols.size,
+            tickers: this.cache.size,
+            lastMessageAt: this.lastMessageAt || null,
+            lastUpdateAt: this.lastUpdateAt || null,
+            reconnectAttempts: this.reconnectAttempts,
+            polling: this.polling,
+        };
+    }
+
+    stop() {
+        this.stopped = true;
+        clearInterval(this.checkTimer);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopPolling();
+
+        if (this.ws) {
+            const ws = this.ws;
+            this.ws = null;
+            this.connected = false;
+            clearInterval(this.pingTimer);
+            ws.close();
+        }
+    }
+}
+
+class VenueTickerRelay {
+    /**
+     * @param {string[]} exchanges adapter IDs with a `tickers` config
+     */
+    constructor(io, exchanges = DEFAULT_EXCHANGES) {
+        this.io = io;
+        this.feeds = new Map(); // 'exchange:marketType' -> VenueTickerFeed
+        this.pending = new Map(); // feed -> Set of symbols changed since the last broadcast
+        this.broadcastTimer = null;
+
+        exchanges.forEach(id => {
+            const adapter = getAdapter(id);
+            if (!adapter?.tickers) {
+                console.warn(`[Venue Tickers] No ticker stream for exchange "${id}", skipped`);
+                return;
+            }
+
+            Object.entries(VENUE_MARKETS).forEach(([marketType, market]) => {
+                if (!adapter.tickers.markets.includes(market)) return;
+                this.feeds.set(`${adapter.id}:${marketType}`, new VenueTickerFeed(adapter, marketType, (feed, symbols) => this.queueBroadcast(feed, symbols)));
+            });
+        });
+    }
+
+    static roomName(exchange, marketType, symbol = null) {
+        return symbol ? `ticker-${exchange}-${marketType}-${symbol}` : `ticker-all-${exchange}-${marketType}`;
+    }
+
+    /**
+     * Exchange IDs with at least one feed
+     */
+    get exchanges() {
+        return [...new Set(Array.from(this.feeds.values(), feed => feed.exchange))];
+    }
+
+    getFeed(exchange, marketType) {
+        return this.feeds.get(`${String(exchange).toLowerCase()}:${marketType}`) || null;
+    }
+
+    start() {
+        this.feeds.forEach(feed => feed.start());
+    }
+
+    queueBroadcast(feed, symbols) {
+        let pending = this.pending.get(feed);
+        if (!pending) {
+            pending = new Set();
+            this.pending.set(feed, pending);
+        }
+        symbols.forEach(symbol => pending.add(symbol));
+
+        if (!this.broadcastTimer) {
+            this.broadcastTimer = setTimeout(() => this.broadcast(), VENUE_BROADCAST_MS);
+        }
+    }
+
+    broadcast() {
+        this.broadcastTimer = null;
+        const rooms = this.io.sockets.adapter.rooms;
+
+        this.pending.forEach((symbols, feed) => {
+            const { exchange, marketType, cache } = feed;
+
+            const allRoom = VenueTickerRelay.roomName(exchange, marketType);
+            if (rooms.has(allRoom)) {
+                const data = {};
+                symbols.forEach(symbol => {
+                    data[symbol] = cache.get(symbol);
+                });
+                this.io.to(allRoom).emit('ticker-update', { exchange, marketType, data });
+            }
+
+            symbols.forEach(symbol => {
+                const room = VenueTickerRelay.roomName(exchange, marketType, symbol);
+                if (rooms.has(room)) {
+                    this.io.to(room).emit('ticker-update', { exchange, marketType, data: { [symbol]: cache.get(symbol) } });
+                }
+            });
+        });
+
+        this.pending.clear();
+    }
+
+    getStatus() {
+        return Array.from(this.feeds.values(), feed => feed.getStatus());
+    }
+
+    stop() {
+        this.feeds.forEach(feed => feed.stop());
+        clearTimeout(this.broadcastTimer);
+        this.broadcastTimer = null;
+        this.pending.clear();
+    }
+}
+
+export default VenueTickerRelay;
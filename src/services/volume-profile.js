@@ -0,0 +1,187 @@
+/**
+ * Volume Profile
+ * Trade-level analytics for the footprint and volume-profile chart tools:
+ * - volume profile: traded volume per price row, point of control (POC) and value area
+ * - candle delta: taker buy/sell volume per candle, with optional per-row footprint
+ *
+ * Input trades come from fetchTrades() ({ time, price, quantity, side }, oldest
+ * first). Volumes are in the base asset; side is the taker side.
+ */
+
+import { alignTime } from './timeframes.js';
+
+export const DEFAULT_ROWS = 50;
+export const DEFAULT_VALUE_AREA = 0.7;
+
+/**
+ * Round away floating point noise from price * rowSize arithmetic
+ */
+function roundPrice(price) {
+  return Number(price.toPrecision(12));
+}
+
+/**
+ * Lower bound of the row a price falls into
+ */
+function rowPrice(price, rowSize) {
+  return roundPrice(Math.floor(roundPrice(price / rowSize)) * rowSize);
+}
+
+/**
+ * Row size giving about `rows` rows over the traded price range
+ */
+export function autoRowSize(trades, rows = DEFAULT_ROWS) {
+  if (trades.length === 0) return null;
+
+  let low = Infinity;
+  let high = -Infinity;
+  for (const t of trades) {
+    low = Math.min(low, t.price);
+    high = Math.max(high, t.price);
+  }
+
+  // A single price still needs a non-zero row
+  const span = high - low || high * 0.001 || 1;
+  return roundPrice(span / rows);
+}
+
+/**
+ * Volume at price with point of control and value area
+ * The value area grows from the POC one row at a time towards the side with more
+ * volume until it holds `valueArea` (0-1) of the total.
+ * @returns {{rowSize: number, totalVolume: number, buyVolume: number, sellVolume: number, poc: number|null, valueAreaHigh: number|null, valueAreaLow: number|null, rows: Array<{price: number, volume: number, buyVolume: number, sellVolume: number}>}}
+ *   rows sorted by price (ascending); prices are row lower bounds, valueAreaHigh is the top of its row
+ */
+export function buildVolumeProfile(trades, { rowSize, valueArea = DEFAULT_VALUE_AREA } = {}) {
+  const byPrice = new Map();
+  let buyVolume = 0;
+  let sellVolume = 0;
+
+  for (const t of trades) {
+    const price = rowPrice(t.price, rowSize);
+    let row = byPrice.get(price);
+    if (!row) {
+      row = { price, volume: 0, buyVolume: 0, sellVolume: 0 };
+      byPrice.set(price, row);
+    }
+
+    row.volume += t.quantity;
+    if (t.side === 'buy') {
+      row.buyVolume += t.quantity;
+      buyVolume += t.quantity;
+    } else {
+      row.sellVolume += t.quantity;
+      sellVolume += t.quantity;
+    }
+  }
+
+  const rows = Array.from(byPrice.values()).sort((a, b) => a.price - b.price);
+  const totalVolume = buyVolume + sellVolume;
+
+  if (rows.length === 0) {
+    return { rowSize, totalVolume, buyVolume, sellVolume, poc: null, valueAreaHigh: null, valueAreaLow: null, rows };
+  }
+
+  let pocIndex = 0;
+  rows.forEach((row, i) => {
+    if (row.volume > rows[pocIndex].volume) pocIndex = i;
+  });
+
+  let low = pocIndex;
+  let high = pocIndex;
+  let areaVolume = rows[pocIndex].volume;
+
+  while (areaVolume < totalVolume * valueArea && (low > 0 || high < rows.length - 1)) {
+    const below = low > 0 ? rows[low - 1].volume : -1;
+    const above = high < rows.length - 1 ? rows[high + 1].volume : -1;
+
+    if (above >= below) {
+      high++;
+      areaVolume += above;
+    } else {
+      low--;
+      areaVolume += below;
+    }
+  }
+
+  return {
+    rowSize,
+    totalVolume,
+    buyVolume,
+    sellVolume,
+    poc: rows[pocIndex].price,
+    valueAreaHigh: roundPrice(rows[high].price + rowSize),
+    valueAreaLow: rows[low].price,
+    rows,
+  };
+}
+
+/**
+ * Taker buy/sell volume per candle of `stepMs`, with cumulative delta
+ * With a rowSize, each candle also gets its footprint: buy/sell volume per price row.
+ * Only candles with trades are returned.
+ * @returns {Array<{time: number, open: number, high: number, low: number, close: number, volume: number, buyVolume: number, sellVolume: number, delta: number, cumulativeDelta: number, trades: number, levels?: Array<{price: number, buyVolume: number, sellVolume: number}>}>}
+ */
+export function computeCandleDelta(trades, stepMs, { rowSize = null } = {}) {
+  const candles = [];
+  let candle = null;
+  let levels = null;
+  let cumulativeDelta = 0;
+
+  const finish = () => {
+    if (!candle) return;
+    cumulativeDelta += candle.delta;
+    candle.cumulativeDelta = cumulativeDelta;
+    if (levels) {
+      candle.levels = Array.from(levels.values()).sort((a, b) => a.price - b.price);
+    }
+    candles.push(candle);
+  };
+
+  for (const t of trades) {
+    const time = alignTime(t.time, stepMs);
+
+    if (!candle || candle.time !== time) {
+      finish();
+      candle = {
+        time,
+        open: t.price,
+        high: t.price,
+        low: t.price,
+        close: t.price,
+        volume: 0,
+        buyVolume: 0,
+        sellVolume: 0,
+        delta: 0,
+        cumulativeDelta: 0,
+        trades: 0,
+      };
+      levels = rowSize ? new Map() : null;
+    }
+
+    candle.high = Math.max(candle.high, t.price);
+    candle.low = Math.min(candle.low, t.price);
+    candle.close = t.price;
+    candle.volume += t.quantity;
+    candle.trades++;
+
+    const signed = t.side === 'buy' ? t.quantity : -t.quantity;
+    candle.delta += signed;
+    if (signed > 0) candle.buyVolume += t.quantity;
+    else candle.sellVolume += t.quantity;
+
+    if (levels) {
+      const price = rowPrice(t.price, rowSize);
+      let level = levels.get(price);
+      if (!level) {
+        level = { price, buyVolume: 0, sellVolume: 0 };
+        levels.set(price, level);
+      }
+      if (signed > 0) level.buyVolume += t.quantity;
+      else level.sellVolume += t.quantity;
+    }
+  }
+
+  finish();
+  return candles;
+}